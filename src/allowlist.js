@@ -0,0 +1,120 @@
+/*
+ * Allowlist for NYD Bot
+ * Users and roles on a guild's allowlist bypass link blocking. Each allowlisted user or role holds a list
+ * of entries, and an entry can be limited to channels, rules or link domains and can expire.
+ */
+
+const { ruleKey, hostMatchesDomain, formatRule } = require("./rules");
+const { ruleSources } = require("./rule-scope");
+const { formatDuration } = require("./duration");
+
+const ALLOWLIST_CHECK_INTERVAL_MS = 60 * 1000;
+
+// An allowlist entry. Empty channels/rules/domains mean "everywhere"; expiresAt is a timestamp or null for never.
+function createAllowEntry({ channels = [], rules = [], domains = [], expiresAt = null } = {}) {
+  return { channels, rules, domains, expiresAt };
+}
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function isUnrestricted(entry) {
+  return entry.rules.length === 0 && entry.domains.length === 0;
+}
+
+// Entries with the same scope replace each other, so allowing again only updates the expiry
+function sameScope(a, b) {
+  const key = (entry) => JSON.stringify([entry.channels, entry.rules, entry.domains].map((list) => [...list].sort()));
+  return key(a) === key(b);
+}
+
+// Add an entry for a user or role ID to a Map<id, entry[]>. Returns true if it replaced an entry with the same scope.
+function addAllowEntry(entries, id, entry) {
+  const existing = (entries.get(id) || []).filter((other) => !sameScope(other, entry));
+  const replaced = existing.length < (entries.get(id) || []).length;
+  entries.set(id, [...existing, entry]);
+  return replaced;
+}
+
+// Active entries that apply to the message author, directly or through one of their roles, in the message's channel
+function activeEntries(allowList, message, now = Date.now()) {
+  const entries = [...(allowList.users.get(message.author.id) || [])];
+  if (message.member) {
+    for (const role of message.member.roles.cache.values()) entries.push(...(allowList.roles.get(role.id) || []));
+  }
+
+  const channelIds = ruleSources(message.channel).map((source) => source.channelId);
+  return entries.filter(
+    (entry) => !isExpired(entry, now) && (entry.channels.length === 0 || entry.channels.some((id) => channelIds.includes(id)))
+  );
+}
+
+// Check if the message author is exempt from every rule in the message's channel
+function isAllowlisted(allowList, message, now = Date.now()) {
+  return activeEntries(allowList, message, now).some(isUnrestricted);
+}
+
+// Build a check for whether a rule matching a link is waived for the message author, or null if nothing is waived
+function exemptionChecker(allowList, message, now = Date.now()) {
+  const entries = activeEntries(allowList, message, now);
+  if (entries.length === 0) return null;
+
+  return (rule, link) =>
+    entries.some(
+      (entry) =>
+        (entry.rules.length === 0 || entry.rules.includes(ruleKey(rule))) &&
+        (entry.domains.length === 0 || entry.domains.some((domain) => hostMatchesDomain(link.hostname, domain)))
+    );
+}
+
+// Drop expired entries from one allowlist. Returns the number removed.
+function removeExpiredEntries(allowList, now = Date.now()) {
+  let removed = 0;
+  for (const entries of [allowList.users, allowList.roles]) {
+    for (const [id, list] of entries) {
+      const active = list.filter((entry) => !isExpired(entry, now));
+      removed += list.length - active.length;
+      if (active.length === 0) entries.delete(id);
+      else if (active.length < list.length) entries.set(id, active);
+    }
+  }
+  return removed;
+}
+
+// Remove lapsed allowlist entries in every guild
+function runAllowlistExpiry(store, now = Date.now()) {
+  for (const [guildId, guildData] of store) {
+    const removed = removeExpiredEntries(guildData.allowList, now);
+    if (removed === 0) continue;
+    store.save(guildId);
+    console.log(`⌛ Removed ${removed} expired allowlist entries in guild ${guildId}`);
+  }
+}
+
+// Rule keys are "type:pattern"
+function formatRuleKey(key) {
+  const separator = key.indexOf(":");
+  return formatRule({ type: key.slice(0, separator), pattern: key.slice(separator + 1) });
+}
+
+// Human readable scope and remaining time, e.g. "in <#1>, rules "tiktok", expires in 23h 59m"
+function formatAllowEntry(entry, now = Date.now()) {
+  const parts = [entry.channels.length > 0 ? `in ${entry.channels.map((id) => `<#${id}>`).join(", ")}` : "everywhere"];
+  if (entry.rules.length > 0) parts.push(`rules ${entry.rules.map(formatRuleKey).join(", ")}`);
+  if (entry.domains.length > 0) parts.push(`links to ${entry.domains.join(", ")}`);
+  parts.push(entry.expiresAt === null ? "permanent" : `expires in ${formatDuration(entry.expiresAt - now)}`);
+  return parts.join(", ");
+}
+
+module.exports = {
+  ALLOWLIST_CHECK_INTERVAL_MS,
+  createAllowEntry,
+  addAllowEntry,
+  isExpired,
+  isAllowlisted,
+  exemptionChecker,
+  removeExpiredEntries,
+  runAllowlistExpiry,
+  formatAllowEntry,
+};
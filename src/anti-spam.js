@@ -0,0 +1,191 @@
+/*
+ * Anti-spam for NYD Bot
+ * Catches link raids that no rule covers yet: the same link or domain posted again and again across users
+ * and channels, or one user posting links too fast. Recent posts are kept per guild in a sliding window;
+ * when a threshold trips the whole burst is deleted, and the domain can be blocked server-wide for a while.
+ */
+
+const { createRule, ruleKey, isExpiredRule, hostMatchesDomain } = require("./rules");
+
+// Per-guild anti-spam settings stored in guild settings
+const DEFAULT_ANTI_SPAM_SETTINGS = {
+  enabled: false,
+  // Count repeats of the exact link ("url") or of any link to the same host ("domain")
+  match: "url",
+  // Posts of the same link within windowSeconds that make a burst
+  duplicates: 5,
+  windowSeconds: 10,
+  // Links one user may post per minute
+  linksPerMinute: 10,
+  // Block a repeated domain server-wide for this long after a burst, 0 to only delete the burst
+  autoBlockMinutes: 0,
+};
+
+const ANTI_SPAM_MATCHES = {
+  url: "Same link",
+  domain: "Same domain",
+};
+
+// Domains Discord serves uploads and media from. Every upload links there, so they never count as spam and are
+// never blocked.
+const DISCORD_MEDIA_DOMAINS = ["cdn.discordapp.com", "discordapp.net"];
+
+const FLOOD_WINDOW_MS = 60 * 1000;
+const MAX_TRACKED_POSTS = 1000;
+const RULE_CHECK_INTERVAL_MS = 60 * 1000;
+
+function getAntiSpamSettings(settings) {
+  return { ...DEFAULT_ANTI_SPAM_SETTINGS, ...settings.antiSpam };
+}
+
+function linkDomain(link) {
+  return link.hostname.replace(/^www\./, "");
+}
+
+// Links posted by the author: not the file links Discord gives attachments, nor links to Discord's media hosts
+function isSpamCandidate(link) {
+  return link.source !== "attachments" && !DISCORD_MEDIA_DOMAINS.some((domain) => hostMatchesDomain(link.hostname, domain));
+}
+
+function spamKey(link, match) {
+  return match === "domain" ? linkDomain(link) : link.href;
+}
+
+class SpamDetector {
+  constructor() {
+    // Recent posts with links, oldest first: Map<guildId, [{ message, userId, keys, linkCount, at }]>
+    this.posts = new Map();
+    // Links and users that tripped a threshold, so the rest of a burst is deleted as it arrives:
+    // Map<guildId, Map<"duplicates <key>" or "flood <userId>", until>>
+    this.tripped = new Map();
+  }
+
+  // Record a message's links and check the thresholds. Returns null, or the burst to delete:
+  // { reason: "duplicates", key, link, messages } for a repeated link, or { reason: "flood", key: userId, messages }.
+  // Attachments and links to Discord's media hosts are not counted.
+  track(message, allLinks, settings, now = Date.now()) {
+    const links = allLinks.filter(isSpamCandidate);
+    if (links.length === 0) return null;
+    const windowMs = settings.windowSeconds * 1000;
+    const posts = (this.posts.get(message.guildId) || []).filter((post) => now - post.at < Math.max(windowMs, FLOOD_WINDOW_MS));
+    const post = {
+      message,
+      userId: message.author.id,
+      keys: Array.from(new Set(links.map((link) => spamKey(link, settings.match)))),
+      linkCount: links.length,
+      at: now,
+    };
+    posts.push(post);
+    if (posts.length > MAX_TRACKED_POSTS) posts.shift();
+    this.posts.set(message.guildId, posts);
+
+    const tripped = this.trippedKeys(message.guildId, now);
+    for (const key of post.keys) {
+      const burst = posts.filter((other) => now - other.at < windowMs && other.keys.includes(key));
+      if (tripped.has(`duplicates ${key}`) || burst.length >= settings.duplicates) {
+        const link = links.find((candidate) => spamKey(candidate, settings.match) === key);
+        return this.trip(message.guildId, burst, { reason: "duplicates", key, link }, windowMs, now);
+      }
+    }
+
+    const recent = posts.filter((other) => now - other.at < FLOOD_WINDOW_MS && other.userId === post.userId);
+    const linkCount = recent.reduce((sum, other) => sum + other.linkCount, 0);
+    if (tripped.has(`flood ${post.userId}`) || linkCount > settings.linksPerMinute) {
+      return this.trip(message.guildId, recent, { reason: "flood", key: post.userId }, FLOOD_WINDOW_MS, now);
+    }
+    return null;
+  }
+
+  // Keep deleting a tripped link or user until it has been quiet for holdMs, and take the burst out of the
+  // window so its messages are only deleted once
+  trip(guildId, burst, result, holdMs, now) {
+    this.trippedKeys(guildId, now).set(`${result.reason} ${result.key}`, now + holdMs);
+    const remaining = this.posts.get(guildId).filter((post) => !burst.includes(post));
+    this.posts.set(guildId, remaining);
+    return { ...result, messages: burst.map((post) => post.message) };
+  }
+
+  trippedKeys(guildId, now) {
+    if (!this.tripped.has(guildId)) this.tripped.set(guildId, new Map());
+    const tripped = this.tripped.get(guildId);
+    for (const [key, until] of tripped) if (until <= now) tripped.delete(key);
+    return tripped;
+  }
+}
+
+// Delete a burst, bulk-deleting per channel. Falls back to single deletes when a bulk delete fails, e.g. because a
+// rule already removed one of the messages. Returns the number of messages deleted.
+async function deleteBurst(messages) {
+  const byChannel = new Map();
+  for (const message of messages) {
+    if (!byChannel.has(message.channel)) byChannel.set(message.channel, []);
+    byChannel.get(message.channel).push(message);
+  }
+
+  let deleted = 0;
+  for (const [channel, channelMessages] of byChannel) {
+    try {
+      deleted += (await channel.bulkDelete(channelMessages)).size;
+      continue;
+    } catch (err) {
+      console.error(`[Anti-spam] Bulk delete failed in #${channel.name}, deleting one by one:`, err.message);
+    }
+    for (const message of channelMessages) {
+      try {
+        await message.delete();
+        deleted++;
+      } catch {
+        // Already deleted
+      }
+    }
+  }
+  return deleted;
+}
+
+// Block a repeated domain server-wide until the auto-block time has passed. A permanent rule for the domain is
+// left alone. Returns the rule, or null if none was added.
+function autoBlockDomain(guildData, link, minutes, now = Date.now()) {
+  if (!isSpamCandidate(link)) return null;
+  const rule = createRule("domain", linkDomain(link));
+  const existing = guildData.globalBlockRules.get(ruleKey(rule));
+  if (existing && !existing.expiresAt) return null;
+
+  rule.expiresAt = now + minutes * 60 * 1000;
+  guildData.globalBlockRules.set(ruleKey(rule), rule);
+  return rule;
+}
+
+// Remove temporary channel and server-wide rules whose time has passed
+function removeExpiredRules(guildData, now = Date.now()) {
+  let removed = 0;
+  for (const rules of [...guildData.blockRules.values(), guildData.globalBlockRules]) {
+    for (const [key, rule] of rules) {
+      if (isExpiredRule(rule, now)) {
+        rules.delete(key);
+        removed++;
+      }
+    }
+  }
+  return removed;
+}
+
+function runRuleExpiry(store, now = Date.now()) {
+  for (const [guildId, guildData] of store) {
+    const removed = removeExpiredRules(guildData, now);
+    if (removed === 0) continue;
+    store.save(guildId);
+    console.log(`⌛ Removed ${removed} expired temporary rules in guild ${guildId}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_ANTI_SPAM_SETTINGS,
+  ANTI_SPAM_MATCHES,
+  RULE_CHECK_INTERVAL_MS,
+  getAntiSpamSettings,
+  SpamDetector,
+  deleteBurst,
+  autoBlockDomain,
+  removeExpiredRules,
+  runRuleExpiry,
+};
@@ -0,0 +1,137 @@
+/*
+ * Audit log for NYD Bot
+ * Posts deletion reports and configuration changes to a guild's log channel
+ */
+
+const { EmbedBuilder } = require("discord.js");
+const { formatRule } = require("./rules");
+const { RULE_ORIGINS } = require("./rule-scope");
+const { MESSAGE_SOURCES } = require("./message-sources");
+const { RESTRICTED_RULE_TYPE } = require("./member-restrictions");
+
+const DELETION_COLOR = 0xed4245;
+const CONFIG_COLOR = 0x0099ff;
+const ESCALATION_COLOR = 0xfee75c;
+const MONITOR_COLOR = 0x99aab5;
+const SPAM_COLOR = 0xe67e22;
+
+// Discord rejects embed field values longer than 1024 characters
+function truncate(text, max = 1024) {
+  if (!text) return "*(empty)*";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Embed describing a message the bot removed
+function buildDeletionEmbed({ message, rule, scope, link }) {
+  return new EmbedBuilder()
+    .setColor(DELETION_COLOR)
+    .setTitle("🗑️ Message deleted")
+    .setThumbnail(message.author.displayAvatarURL())
+    .addFields(
+      { name: "Author", value: `${message.author} (${message.author.tag})`, inline: true },
+      { name: "Channel", value: `${message.channel}`, inline: true },
+      { name: "Scope", value: `${RULE_ORIGINS[scope]} rule`, inline: true },
+      { name: rule.type === RESTRICTED_RULE_TYPE ? "Reason" : "Matched rule", value: truncate(formatRule(rule)), inline: true },
+      { name: "Offending URL", value: truncate(link.expandedFrom ? `${link.raw} (via ${link.expandedFrom})` : link.raw), inline: true },
+      { name: "Found in", value: MESSAGE_SOURCES[link.source], inline: true },
+      { name: "Original content", value: truncate(message.content), inline: false }
+    )
+    .setTimestamp(message.createdAt)
+    .setFooter({ text: `User ID: ${message.author.id} • Message ID: ${message.id}` });
+}
+
+// Embed describing a match in monitor mode, which was logged instead of deleted
+function buildMonitorEmbed(details) {
+  return buildDeletionEmbed(details).setColor(MONITOR_COLOR).setTitle("👀 Would delete (monitor mode)");
+}
+
+// Embed describing an escalation action taken against a repeat offender
+function buildEscalationEmbed({ user, strikeCount, outcome, error }) {
+  return new EmbedBuilder()
+    .setColor(ESCALATION_COLOR)
+    .setTitle(error ? "⚖️ Escalation failed" : "⚖️ Escalation applied")
+    .addFields(
+      { name: "User", value: `${user} (${user.tag})`, inline: true },
+      { name: "Active strikes", value: `${strikeCount}`, inline: true },
+      { name: error ? "Error" : "Action", value: truncate(error || outcome), inline: false }
+    )
+    .setTimestamp();
+}
+
+// Embed describing a burst of spam deleted by anti-spam. trigger says which threshold tripped; autoBlocked is the
+// temporary rule added for the repeated domain, if any.
+function buildSpamEmbed({ trigger, messages, deleted, autoBlocked = null }) {
+  const list = (values) => truncate(Array.from(new Set(values)).join(", "));
+  const embed = new EmbedBuilder()
+    .setColor(SPAM_COLOR)
+    .setTitle("🚨 Spam burst deleted")
+    .addFields(
+      { name: "Trigger", value: truncate(trigger), inline: false },
+      { name: "Messages deleted", value: `${deleted} of ${messages.length}`, inline: true },
+      { name: "Authors", value: list(messages.map((message) => `${message.author}`)), inline: true },
+      { name: "Channels", value: list(messages.map((message) => `${message.channel}`)), inline: true }
+    )
+    .setTimestamp();
+  if (autoBlocked) {
+    embed.addFields({
+      name: "Auto-block",
+      value: `${formatRule(autoBlocked)} blocked server-wide until <t:${Math.floor(autoBlocked.expiresAt / 1000)}:t>`,
+    });
+  }
+  return embed;
+}
+
+// Embed describing a configuration change made through /nyd or /nyd-admin
+function buildConfigEmbed(interaction, description) {
+  // Buttons and forms carry the command and subcommand in their custom ID, e.g. "nyd:panel:remove:..."
+  const [commandName, command] = interaction.customId
+    ? interaction.customId.split(":")
+    : [
+        interaction.commandName,
+        [interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand()].filter(Boolean).join(" "),
+      ];
+  return new EmbedBuilder()
+    .setColor(CONFIG_COLOR)
+    .setTitle(`⚙️ /${commandName} ${command}`)
+    .setDescription(truncate(description, 4096))
+    .addFields(
+      { name: "Changed by", value: `${interaction.user} (${interaction.user.tag})`, inline: true },
+      { name: "Used in", value: `${interaction.channel || "Unknown channel"}`, inline: true }
+    )
+    .setTimestamp();
+}
+
+// The configured log channel, or null if it is missing or not a text channel. Throws if it cannot be fetched.
+async function fetchLogChannel(guild, logChannelId) {
+  const channel = guild.channels.cache.get(logChannelId) || (await guild.channels.fetch(logChannelId));
+  if (!channel || !channel.isTextBased()) {
+    console.error(`Log channel ${logChannelId} in guild ${guild.id} is missing or not a text channel`);
+    return null;
+  }
+  return channel;
+}
+
+// Send embeds to the configured log channel. Logging failures never break moderation.
+async function sendToLogChannel(guild, logChannelId, embeds) {
+  if (!logChannelId) return false;
+
+  try {
+    const channel = await fetchLogChannel(guild, logChannelId);
+    if (!channel) return false;
+    await channel.send({ embeds });
+    return true;
+  } catch (err) {
+    console.error(`Failed to send audit log to channel ${logChannelId}:`, err.message);
+    return false;
+  }
+}
+
+module.exports = {
+  buildDeletionEmbed,
+  buildMonitorEmbed,
+  buildEscalationEmbed,
+  buildSpamEmbed,
+  buildConfigEmbed,
+  fetchLogChannel,
+  sendToLogChannel,
+};
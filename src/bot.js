@@ -0,0 +1,83 @@
+/*
+ * NYD Bot wiring
+ * Loads the command and event modules and connects them, the guild data store and the moderation
+ * pipeline to a discord.js client. Nothing here logs in, so the bot can be driven by a fake client in tests.
+ */
+
+const path = require("path");
+const GuildStore = require("./guild-store");
+const Moderator = require("./moderation");
+const { LinkResolver } = require("./link-resolver");
+const { SharedLists } = require("./shared-lists");
+const { loadCommands, loadEvents } = require("./loader");
+const { registerCommands } = require("./command-registration");
+const { BACKUP_CHECK_INTERVAL_MS, runScheduledBackups } = require("./scheduled-backups");
+const { ALLOWLIST_CHECK_INTERVAL_MS, runAllowlistExpiry } = require("./allowlist");
+const { RULE_CHECK_INTERVAL_MS, runRuleExpiry } = require("./anti-spam");
+
+// Attach NYD Bot to a client. rest is used to register commands once the client is ready,
+// to guildId only if one is given (faster, for development).
+function createBot({ client, dataManager, rest, clientId, guildId = null }) {
+  const store = new GuildStore(dataManager);
+  const linkResolver = new LinkResolver({ cacheFile: path.join(dataManager.dataDir, "link-cache.json") });
+  const sharedLists = new SharedLists({ file: path.join(dataManager.dataDir, "shared-lists.json") });
+  const moderator = new Moderator(store, { linkResolver, sharedLists });
+  const commands = loadCommands();
+  let backupTimer = null;
+  let allowlistTimer = null;
+  let ruleTimer = null;
+
+  // Shared with every command and event module
+  const context = {
+    client,
+    dataManager,
+    store,
+    moderator,
+    linkResolver,
+    sharedLists,
+    commands,
+
+    registerCommands(options = {}) {
+      const stateFile = path.join(dataManager.dataDir, "registered-commands.json");
+      return registerCommands({ rest, clientId, guildId, commands, stateFile, ...options });
+    },
+
+    startScheduledBackups() {
+      clearInterval(backupTimer);
+      backupTimer = setInterval(() => runScheduledBackups(store), BACKUP_CHECK_INTERVAL_MS);
+      return runScheduledBackups(store);
+    },
+
+    // Remove allowlist entries once their duration has passed
+    startAllowlistExpiry() {
+      clearInterval(allowlistTimer);
+      allowlistTimer = setInterval(() => runAllowlistExpiry(store), ALLOWLIST_CHECK_INTERVAL_MS);
+      runAllowlistExpiry(store);
+    },
+
+    // Remove temporary rules, such as domains blocked by anti-spam, once their time has passed
+    startRuleExpiry() {
+      clearInterval(ruleTimer);
+      ruleTimer = setInterval(() => runRuleExpiry(store), RULE_CHECK_INTERVAL_MS);
+      runRuleExpiry(store);
+    },
+  };
+
+  loadEvents(client, context);
+
+  // Stop scheduled work and write queued changes
+  async function destroy() {
+    clearInterval(backupTimer);
+    clearInterval(allowlistTimer);
+    clearInterval(ruleTimer);
+    await linkResolver.flush();
+    await sharedLists.flush();
+    await dataManager.close();
+  }
+
+  return { ...context, destroy };
+}
+
+module.exports = {
+  createBot,
+};
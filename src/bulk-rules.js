@@ -0,0 +1,84 @@
+/*
+ * Bulk rule editing for NYD Bot
+ * Turns comma- or newline-separated lists of partials into rules and applies them to a rule collection
+ * in one go, counting what was added, what was already there and what could not be read.
+ */
+
+const { createRule, ruleKey, findRules } = require("./rules");
+
+// Skipped entries quoted in a summary
+const MAX_ENTRIES_SHOWN = 5;
+
+// Match types whose patterns can contain commas, e.g. \d{1,3}, so their entries are only split on line breaks
+const LINE_ONLY_TYPES = new Set(["regex", "glob"]);
+
+// Split a list of partials of the given match type on commas and line breaks. Blank entries and lines starting
+// with # are skipped.
+function splitEntries(text, type = null) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => !line.trim().startsWith("#"))
+    .flatMap((line) => (LINE_ONLY_TYPES.has(type) ? [line] : line.split(",")))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Create a rule of the given match type from every entry. Returns { rules: [rule], invalid: [entry] }.
+function parseRuleEntries(entries, type = null) {
+  const rules = [];
+  const invalid = [];
+  for (const entry of entries) {
+    try {
+      rules.push(createRule(type, entry));
+    } catch {
+      invalid.push(entry);
+    }
+  }
+  return { rules, invalid };
+}
+
+// Add rules to a rule collection (Map<ruleKey, rule>). Returns { added: [rule], duplicates: [rule] }.
+function addRules(collection, rules) {
+  const added = [];
+  const duplicates = [];
+  for (const rule of rules) {
+    const key = ruleKey(rule);
+    if (collection.has(key)) {
+      duplicates.push(rule);
+      continue;
+    }
+    collection.set(key, { ...rule });
+    added.push(rule);
+  }
+  return { added, duplicates };
+}
+
+// Remove the rules matching each partial, as /nyd unblock does for one. Returns { removed: [rule], missing: [partial] }.
+function removeRules(collection, partials, type = null) {
+  const removed = [];
+  const missing = [];
+  for (const partial of partials) {
+    const matches = findRules(collection, partial, type);
+    if (matches.length === 0) missing.push(partial);
+    for (const rule of matches) {
+      collection.delete(ruleKey(rule));
+      removed.push(rule);
+    }
+  }
+  return { removed, missing };
+}
+
+// Quote the first few entries for a reply, e.g. "a", "b", …and 3 more
+function quoteEntries(entries) {
+  const shown = entries.slice(0, MAX_ENTRIES_SHOWN).map((entry) => `"${entry}"`);
+  if (entries.length > MAX_ENTRIES_SHOWN) shown.push(`…and ${entries.length - MAX_ENTRIES_SHOWN} more`);
+  return shown.join(", ");
+}
+
+module.exports = {
+  splitEntries,
+  quoteEntries,
+  parseRuleEntries,
+  addRules,
+  removeRules,
+};
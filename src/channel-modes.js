@@ -0,0 +1,57 @@
+/*
+ * Channel modes for NYD Bot
+ * A channel either uses block rules only ("blocklist", the default) or only permits links to its
+ * approved domains ("allowlist-domains"). Modes and approved domains are inherited like block rules:
+ * threads follow their parent channel and channels follow their category.
+ */
+
+const { hostMatchesDomain } = require("./rules");
+const { ruleSources } = require("./rule-scope");
+
+const CHANNEL_MODES = {
+  blocklist: "Blocklist (only blocked partials are removed)",
+  "allowlist-domains": "Approved domains only (every other link is removed)",
+};
+
+const DEFAULT_CHANNEL_MODE = "blocklist";
+
+// Rule type used to report links outside a channel's approved domains
+const UNAPPROVED_RULE_TYPE = "unapproved";
+
+// Mode in effect in a channel and where it is set: { mode, origin, channelId }, origin null for the default
+function channelMode(guildData, channel) {
+  for (const source of ruleSources(channel)) {
+    const mode = guildData.channelModes.get(source.channelId);
+    if (mode) return { mode, ...source };
+  }
+  return { mode: DEFAULT_CHANNEL_MODE, origin: null, channelId: null };
+}
+
+// Approved domains that apply in a channel, most specific first: [{ origin, channelId, domains }]
+function approvedDomainSets(guildData, channel) {
+  return ruleSources(channel)
+    .map((source) => ({ ...source, domains: guildData.approvedDomains.get(source.channelId) }))
+    .filter((set) => set.domains && set.domains.size > 0);
+}
+
+// Find the first link that is not on one of the approved domains: { rule, link } or null.
+// The rule describes the unapproved host for the deletion log; isExempt(rule, link) skips links the author is allowlisted for.
+function findUnapprovedLink(domains, links, isExempt = null) {
+  for (const link of links) {
+    // Attachment file names are not links to any domain
+    if (link.fileName) continue;
+    if (domains.some((domain) => hostMatchesDomain(link.hostname, domain))) continue;
+    const rule = { type: UNAPPROVED_RULE_TYPE, pattern: link.hostname };
+    if (!(isExempt && isExempt(rule, link))) return { rule, link };
+  }
+  return null;
+}
+
+module.exports = {
+  CHANNEL_MODES,
+  DEFAULT_CHANNEL_MODE,
+  UNAPPROVED_RULE_TYPE,
+  channelMode,
+  approvedDomainSets,
+  findUnapprovedLink,
+};
@@ -0,0 +1,56 @@
+/*
+ * Slash command registration for NYD Bot
+ * Pushes the loaded command definitions to Discord, globally or to one guild (GUILD_ID), and
+ * remembers a hash of what was pushed so unchanged definitions do not cost a REST call.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { Routes } = require("discord.js");
+const { writeFileAtomic } = require("./storage/atomic-write");
+
+// Hashes of the last registered definitions, keyed by REST route
+const DEFAULT_STATE_FILE = path.join(__dirname, "..", "data", "registered-commands.json");
+
+async function readState(stateFile) {
+  try {
+    return JSON.parse(await fs.readFile(stateFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") console.warn(`⚠️ Ignoring unreadable ${stateFile}: ${error.message}`);
+    return {};
+  }
+}
+
+// Register commands (a Collection of { data }) unless the same definitions were already registered
+// on the same route. Returns { registered, count }.
+async function registerCommands({ rest, clientId, guildId = null, commands, stateFile = DEFAULT_STATE_FILE, force = false }) {
+  const body = Array.from(commands.values()).map((command) => command.data.toJSON());
+  const route = guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+  const target = guildId ? `guild ${guildId}` : "globally";
+  const hash = crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+
+  const state = await readState(stateFile);
+  if (!force && state[route] === hash) {
+    console.log(`⏭️ ${body.length} commands unchanged ${target}, skipping registration`);
+    return { registered: false, count: body.length };
+  }
+
+  await rest.put(route, { body });
+  console.log(`✅ Registered ${body.length} commands ${target}`);
+
+  state[route] = hash;
+  try {
+    await fs.mkdir(path.dirname(stateFile), { recursive: true });
+    await writeFileAtomic(stateFile, JSON.stringify(state, null, 2));
+  } catch (error) {
+    // Only costs a redundant registration next time
+    console.error(`❌ Failed to save ${stateFile}:`, error.message);
+  }
+  return { registered: true, count: body.length };
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE,
+  registerCommands,
+};
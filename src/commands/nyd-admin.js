@@ -0,0 +1,10 @@
+const path = require("path");
+const { createNydCommand } = require("../nyd-command");
+
+// Permissions, approved domains, monitor mode and how messages are checked. Split from /nyd, since Discord
+// allows a command at most 25 subcommands and groups and 8000 characters of names and descriptions.
+module.exports = createNydCommand({
+  name: "nyd-admin",
+  description: "NYD Bot server configuration",
+  directory: path.join(__dirname, "nyd-admin"),
+});
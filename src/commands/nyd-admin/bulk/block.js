@@ -0,0 +1,37 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { parseRuleEntries, addRules, quoteEntries } = require("../../../bulk-rules");
+const { matchTypeOption, bulkEntriesFromOptions, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("block")
+    .setDescription("Block many partials in a channel or server-wide")
+    .addStringOption((opt) => opt.setName("partials").setDescription("Comma- or line-separated partials (regex and glob: one per line)"))
+    .addAttachmentOption((opt) => opt.setName("file").setDescription("Text file with partials"))
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel (default: server-wide)"))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const entries = await bulkEntriesFromOptions(interaction);
+    if (!entries) return;
+    const { rules, invalid } = parseRuleEntries(entries, interaction.options.getString("type"));
+
+    const channel = interaction.options.getChannel("channel");
+    let collection = guildData.globalBlockRules;
+    if (channel) {
+      if (!guildData.blockRules.has(channel.id)) guildData.blockRules.set(channel.id, new Map());
+      collection = guildData.blockRules.get(channel.id);
+    }
+    const { added, duplicates } = addRules(collection, rules);
+    if (added.length > 0) store.save(guildId);
+
+    const where = channel ? `${channel}` : "server-wide";
+    const lines = [`✅ Blocked ${where}: ${added.length} added, ${duplicates.length} duplicates, ${invalid.length} invalid.`];
+    if (invalid.length > 0) lines.push(`⚠️ Skipped invalid entries: ${quoteEntries(invalid)}`);
+    await replyAndLog(interaction, store, lines.join("\n"));
+  },
+};
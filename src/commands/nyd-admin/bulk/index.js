@@ -0,0 +1,5 @@
+const { SlashCommandSubcommandGroupBuilder } = require("discord.js");
+
+module.exports = {
+  data: new SlashCommandSubcommandGroupBuilder().setName("bulk").setDescription("Block or unblock many partials at once"),
+};
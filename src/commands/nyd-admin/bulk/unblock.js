@@ -0,0 +1,32 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { removeRules, quoteEntries } = require("../../../bulk-rules");
+const { matchTypeOption, bulkEntriesFromOptions, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("unblock")
+    .setDescription("Unblock many partials in a channel or server-wide")
+    .addStringOption((opt) => opt.setName("partials").setDescription("Comma- or line-separated partials (regex and glob: one per line)"))
+    .addAttachmentOption((opt) => opt.setName("file").setDescription("Text file with partials"))
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel (default: server-wide)"))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const entries = await bulkEntriesFromOptions(interaction);
+    if (!entries) return;
+
+    const channel = interaction.options.getChannel("channel");
+    const collection = channel ? guildData.blockRules.get(channel.id) : guildData.globalBlockRules;
+    const { removed, missing } = removeRules(collection, entries, interaction.options.getString("type"));
+    if (removed.length > 0) store.save(guildId);
+
+    const where = channel ? `${channel}` : "server-wide";
+    const lines = [`✅ Unblocked ${where}: ${removed.length} removed, ${missing.length} not found.`];
+    if (missing.length > 0) lines.push(`⚠️ Not blocked: ${quoteEntries(missing)}`);
+    await replyAndLog(interaction, store, lines.join("\n"));
+  },
+};
@@ -0,0 +1,43 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { normalizeHostname } = require("../../../url-parser");
+const { channelMode } = require("../../../channel-modes");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("add")
+    .setDescription("Approve a domain and its subdomains in a channel")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category to configure").setRequired(true))
+    .addStringOption((opt) => opt.setName("domain").setDescription('Domain to approve (e.g. "github.com")').setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { approvedDomains } = guildData;
+
+    const channel = interaction.options.getChannel("channel");
+    const input = interaction.options.getString("domain");
+    const domain = normalizeHostname(input);
+    if (!domain) {
+      await interaction.reply({ content: `❌ "${input}" is not a valid domain.`, ephemeral: true });
+      return;
+    }
+    if (approvedDomains.get(channel.id)?.has(domain)) {
+      await interaction.reply({ content: `⚠️ ${domain} is already approved in ${channel}.`, ephemeral: true });
+      return;
+    }
+
+    if (!approvedDomains.has(channel.id)) {
+      approvedDomains.set(channel.id, new Set());
+    }
+    approvedDomains.get(channel.id).add(domain);
+    store.save(guildId);
+
+    let content = `✅ Approved links to ${domain} in ${channel}.`;
+    if (channelMode(guildData, channel).mode !== "allowlist-domains") {
+      content += "\n⚠️ The channel is in blocklist mode, so this has no effect until you run /nyd-admin domains mode.";
+    }
+    await replyAndLog(interaction, store, content);
+  },
+};
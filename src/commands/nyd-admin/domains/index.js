@@ -0,0 +1,5 @@
+const { SlashCommandSubcommandGroupBuilder } = require("discord.js");
+
+module.exports = {
+  data: new SlashCommandSubcommandGroupBuilder().setName("domains").setDescription("Channels that only allow links to approved domains"),
+};
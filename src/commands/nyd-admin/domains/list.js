@@ -0,0 +1,27 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { RULE_ORIGINS } = require("../../../rule-scope");
+const { channelMode, approvedDomainSets } = require("../../../channel-modes");
+
+module.exports = {
+  capability: "rules.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("list")
+    .setDescription("Show a channel's mode and approved domains")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel, thread or category to check").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildData = store.get(interaction.guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const { mode, origin, channelId } = channelMode(guildData, channel);
+    const inherited = origin === "parent" || origin === "category" ? ` (from ${RULE_ORIGINS[origin].toLowerCase()} <#${channelId}>)` : "";
+    const list =
+      approvedDomainSets(guildData, channel)
+        .map((set) => {
+          const source = set.origin === "parent" || set.origin === "category" ? ` (<#${set.channelId}>)` : "";
+          return `• ${RULE_ORIGINS[set.origin]}${source}: ${Array.from(set.domains).join(", ")}`;
+        })
+        .join("\n") || "• None";
+    await interaction.reply({ content: `📋 Mode in ${channel}: ${mode}${inherited}\nApproved domains:\n${list}`, ephemeral: true });
+  },
+};
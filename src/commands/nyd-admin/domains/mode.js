@@ -0,0 +1,39 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { CHANNEL_MODES, approvedDomainSets } = require("../../../channel-modes");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("mode")
+    .setDescription("Remove blocked links, or all links except approved domains")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category to configure").setRequired(true))
+    .addStringOption((opt) =>
+      opt
+        .setName("mode")
+        .setDescription("Filtering mode")
+        .setRequired(true)
+        .addChoices(...Object.entries(CHANNEL_MODES).map(([value, name]) => ({ name, value })))
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const mode = interaction.options.getString("mode");
+    if (guildData.channelModes.get(channel.id) === mode) {
+      await interaction.reply({ content: `⚠️ ${channel} is already in ${mode} mode.`, ephemeral: true });
+      return;
+    }
+
+    guildData.channelModes.set(channel.id, mode);
+    store.save(guildId);
+
+    let content = `✅ ${channel} is now in ${mode} mode: ${CHANNEL_MODES[mode]}.`;
+    if (mode === "allowlist-domains" && approvedDomainSets(guildData, channel).length === 0) {
+      content += "\n⚠️ No domains are approved yet, so every link will be removed. Add some with /nyd-admin domains add.";
+    }
+    await replyAndLog(interaction, store, content);
+  },
+};
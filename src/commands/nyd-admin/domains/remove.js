@@ -0,0 +1,32 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { normalizeHostname } = require("../../../url-parser");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("remove")
+    .setDescription("Stop approving links to a domain in a channel")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category to configure").setRequired(true))
+    .addStringOption((opt) => opt.setName("domain").setDescription("Approved domain to remove").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { approvedDomains } = guildData;
+
+    const channel = interaction.options.getChannel("channel");
+    const input = interaction.options.getString("domain");
+    const domain = normalizeHostname(input) || input;
+    const domains = approvedDomains.get(channel.id);
+    if (!domains || !domains.has(domain)) {
+      await interaction.reply({ content: `⚠️ ${domain} was not approved in ${channel}.`, ephemeral: true });
+      return;
+    }
+
+    domains.delete(domain);
+    if (domains.size === 0) approvedDomains.delete(channel.id);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Removed ${domain} from the approved domains of ${channel}.`);
+  },
+};
@@ -0,0 +1,27 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { formatRule } = require("../../../rules");
+const { matchTypeOption, listOption, ruleFromOptions, sharedListFromOptions, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("add")
+    .setDescription("Add a blocked partial to a shared list")
+    .addStringOption(listOption)
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription('Part of link to block (e.g. "tiktok")').setRequired(true))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store, sharedLists }) {
+    const list = await sharedListFromOptions(interaction, { store, sharedLists }, { owned: true });
+    if (!list) return;
+    const rule = await ruleFromOptions(interaction);
+    if (!rule) return;
+
+    if (sharedLists.addRules(list, [rule]).added.length === 0) {
+      await interaction.reply({ content: `⚠️ \`${list.name}\` already blocks ${formatRule(rule)}.`, ephemeral: true });
+      return;
+    }
+    await sharedLists.save();
+    await replyAndLog(interaction, store, `✅ Added ${formatRule(rule)} to the shared list \`${list.name}\`.`);
+  },
+};
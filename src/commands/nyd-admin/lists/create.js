@@ -0,0 +1,42 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { listRef, normalizeListName } = require("../../../shared-lists");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("create")
+    .setDescription("Create a shared blocklist owned by this server")
+    .addStringOption((opt) => opt.setName("name").setDescription('Name of the list (e.g. "scam-domains")').setRequired(true))
+    .addStringOption((opt) => opt.setName("description").setDescription("What the list blocks").setMaxLength(200).setRequired(false))
+    .addBooleanOption((opt) => opt.setName("public").setDescription("Let every server see and subscribe to the list").setRequired(false)),
+
+  async execute(interaction, { store, sharedLists }) {
+    let name;
+    try {
+      name = normalizeListName(interaction.options.getString("name"));
+    } catch (error) {
+      await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+      return;
+    }
+    if (sharedLists.owned(interaction.guildId, name)) {
+      await interaction.reply({ content: `⚠️ This server already has a shared list called \`${name}\`.`, ephemeral: true });
+      return;
+    }
+
+    const isPublic = interaction.options.getBoolean("public") === true;
+    const list = sharedLists.create(name, interaction.guildId, {
+      description: interaction.options.getString("description") || "",
+      isPublic,
+    });
+    await sharedLists.save();
+    const visibility = isPublic
+      ? "It is public, so any server can subscribe to it"
+      : "It is private, so only this server can subscribe to it until you run /nyd-admin lists publish";
+    await replyAndLog(
+      interaction,
+      store,
+      `✅ Created the shared list \`${listRef(list)}\`. ${visibility}. Add rules with /nyd-admin lists add or /nyd-admin lists import, and subscribe with /nyd subscribe.`
+    );
+  },
+};
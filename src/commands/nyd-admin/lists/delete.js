@@ -0,0 +1,35 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { listRef } = require("../../../shared-lists");
+const { listOption, sharedListFromOptions, askConfirmation, logConfigChange } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("delete")
+    .setDescription("Delete a shared list and unsubscribe every server")
+    .addStringOption(listOption),
+
+  async execute(interaction, { store, sharedLists }) {
+    const list = await sharedListFromOptions(interaction, { store, sharedLists }, { owned: true });
+    if (!list) return;
+
+    const ref = listRef(list);
+    const subscribers = Array.from(store).filter(([, guildData]) => guildData.subscriptions.has(ref));
+    const button = await askConfirmation(
+      interaction,
+      `⚠️ Delete the shared list \`${ref}\` (${list.rules.size} rules)? ${subscribers.length} server(s) subscribe to it and will stop applying its rules.`
+    );
+    if (!button) return;
+
+    sharedLists.delete(list);
+    await sharedLists.save();
+    for (const [guildId, guildData] of subscribers) {
+      guildData.subscriptions.delete(ref);
+      store.save(guildId);
+    }
+
+    const content = `✅ Deleted the shared list \`${ref}\`.`;
+    await button.update({ content, components: [] });
+    await logConfigChange(interaction, store, content);
+  },
+};
@@ -0,0 +1,46 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { parseListFile } = require("../../../shared-lists");
+const { quoteEntries } = require("../../../bulk-rules");
+const { matchTypeOption, listOption, sharedListFromOptions, downloadAttachment, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("import")
+    .setDescription("Add a text or hosts file to a shared list")
+    .addStringOption(listOption)
+    .addAttachmentOption((opt) =>
+      opt.setName("file").setDescription("Text file with one entry per line, or a hosts file").setRequired(true)
+    )
+    .addStringOption((opt) => matchTypeOption(opt).setDescription("How plain lines are matched"))
+    .addBooleanOption((opt) => opt.setName("replace").setDescription("Replace the list's rules instead of adding").setRequired(false)),
+
+  async execute(interaction, { store, sharedLists }) {
+    const list = await sharedListFromOptions(interaction, { store, sharedLists }, { owned: true });
+    if (!list) return;
+
+    const attachment = interaction.options.getAttachment("file");
+    let parsed;
+    try {
+      parsed = parseListFile(await downloadAttachment(attachment), interaction.options.getString("type"));
+    } catch (error) {
+      await interaction.reply({ content: `❌ Import failed: ${error.message}`, ephemeral: true });
+      return;
+    }
+    if (parsed.rules.length === 0) {
+      await interaction.reply({ content: `❌ Import failed: \`${attachment.name}\` has no valid entries.`, ephemeral: true });
+      return;
+    }
+
+    const replace = interaction.options.getBoolean("replace");
+    if (replace) list.rules.clear();
+    const { added, duplicates } = sharedLists.addRules(list, parsed.rules);
+    await sharedLists.save();
+
+    const lines = [
+      `✅ Imported \`${attachment.name}\` into the shared list \`${list.name}\`${replace ? ", replacing its rules" : ""}: ${added.length} added, ${duplicates.length} duplicates, ${parsed.invalid.length} invalid.`,
+    ];
+    if (parsed.invalid.length > 0) lines.push(`⚠️ Skipped invalid entries: ${quoteEntries(parsed.invalid)}`);
+    await replyAndLog(interaction, store, lines.join("\n"));
+  },
+};
@@ -0,0 +1,5 @@
+const { SlashCommandSubcommandGroupBuilder } = require("discord.js");
+
+module.exports = {
+  data: new SlashCommandSubcommandGroupBuilder().setName("lists").setDescription("Shared blocklists that servers can subscribe to"),
+};
@@ -0,0 +1,30 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { listRef } = require("../../../shared-lists");
+const { listOption, sharedListFromOptions, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("publish")
+    .setDescription("Let every server see and subscribe to a shared list")
+    .addStringOption(listOption)
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("False to make the list private again").setRequired(false)),
+
+  async execute(interaction, { store, sharedLists }) {
+    const list = await sharedListFromOptions(interaction, { store, sharedLists }, { owned: true });
+    if (!list) return;
+
+    const isPublic = interaction.options.getBoolean("enabled") !== false;
+    if (list.public === isPublic) {
+      await interaction.reply({ content: `⚠️ \`${listRef(list)}\` is already ${isPublic ? "public" : "private"}.`, ephemeral: true });
+      return;
+    }
+    list.public = isPublic;
+    list.updatedAt = Date.now();
+    await sharedLists.save();
+    const content = isPublic
+      ? `✅ \`${listRef(list)}\` is now public. Any server can see and subscribe to it.`
+      : `✅ \`${listRef(list)}\` is now private. Servers that already subscribe keep their subscription.`;
+    await replyAndLog(interaction, store, content);
+  },
+};
@@ -0,0 +1,28 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { findRules, formatRule } = require("../../../rules");
+const { matchTypeOption, listOption, sharedListFromOptions, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("remove")
+    .setDescription("Remove a blocked partial from a shared list")
+    .addStringOption(listOption)
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription("Partial to remove").setRequired(true))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store, sharedLists }) {
+    const list = await sharedListFromOptions(interaction, { store, sharedLists }, { owned: true });
+    if (!list) return;
+
+    const partial = interaction.options.getString("filtered_partial");
+    const matches = findRules(list.rules, partial, interaction.options.getString("type"));
+    if (matches.length === 0) {
+      await interaction.reply({ content: `⚠️ "${partial}" is not in the shared list \`${list.name}\`.`, ephemeral: true });
+      return;
+    }
+    sharedLists.removeRules(list, matches);
+    await sharedLists.save();
+    await replyAndLog(interaction, store, `✅ Removed ${matches.map(formatRule).join(", ")} from the shared list \`${list.name}\`.`);
+  },
+};
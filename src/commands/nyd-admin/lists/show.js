@@ -0,0 +1,48 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { listRef } = require("../../../shared-lists");
+const { formatRules, listOption, sharedListFromOptions } = require("../../../nyd-helpers");
+
+// Discord rejects messages over 2000 characters
+const MAX_REPLY_LENGTH = 2000;
+
+// e.g. "`scam-domains#3f9a1c` (120 rules, owned by this server, private, subscribed)". Other servers' lists do not
+// say who owns them.
+function describeList(interaction, list, subscriptions) {
+  const flags = [`${list.rules.size} rules`];
+  if (list.ownerGuildId === interaction.guildId) flags.push("owned by this server", list.public ? "public" : "private");
+  if (subscriptions.has(listRef(list))) flags.push("subscribed");
+  return `\`${listRef(list)}\` (${flags.join(", ")})`;
+}
+
+function truncate(content) {
+  return content.length > MAX_REPLY_LENGTH ? `${content.slice(0, MAX_REPLY_LENGTH - 1)}…` : content;
+}
+
+module.exports = {
+  capability: "rules.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("show")
+    .setDescription("List the shared lists this server can see, or the rules in one of them")
+    .addStringOption((opt) => listOption(opt).setDescription("Shared list to show the rules of").setRequired(false)),
+
+  async execute(interaction, { store, sharedLists }) {
+    const { subscriptions } = store.get(interaction.guildId);
+
+    if (interaction.options.getString("list")) {
+      const list = await sharedListFromOptions(interaction, { store, sharedLists });
+      if (!list) return;
+      const lines = [`📚 Shared list ${describeList(interaction, list, subscriptions)}`, list.description, formatRules(list.rules)];
+      await interaction.reply({ content: truncate(lines.filter(Boolean).join("\n")), ephemeral: true });
+      return;
+    }
+
+    const lines = sharedLists
+      .visibleTo(interaction.guildId, subscriptions)
+      .map((list) => `• ${describeList(interaction, list, subscriptions)}${list.description ? `: ${list.description}` : ""}`);
+    const content =
+      lines.length > 0
+        ? `📚 Shared lists:\n${lines.join("\n")}`
+        : "📚 There are no shared lists yet. Create one with /nyd-admin lists create.";
+    await interaction.reply({ content: truncate(content), ephemeral: true });
+  },
+};
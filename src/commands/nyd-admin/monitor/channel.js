@@ -0,0 +1,34 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { getMonitorSettings } = require("../../../monitor");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("channel")
+    .setDescription("Put every rule in a channel or category in monitor mode")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category").setRequired(true))
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("True to only log matches, false to enforce").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const enabled = interaction.options.getBoolean("enabled");
+    const monitor = getMonitorSettings(guildData.settings);
+    if (monitor.channels.includes(channel.id) === enabled) {
+      await interaction.reply({ content: `⚠️ Monitor mode is already ${enabled ? "on" : "off"} for ${channel}.`, ephemeral: true });
+      return;
+    }
+
+    const channels = enabled ? [...monitor.channels, channel.id] : monitor.channels.filter((id) => id !== channel.id);
+    guildData.settings.monitor = { ...monitor, channels };
+    store.save(guildId);
+
+    const content = enabled
+      ? `👀 Monitor mode is on for ${channel}. Matches there are logged but not deleted.`
+      : `✅ Monitor mode is off for ${channel}. Matching messages will be deleted.`;
+    await replyAndLog(interaction, store, content);
+  },
+};
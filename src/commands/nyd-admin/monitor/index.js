@@ -0,0 +1,5 @@
+const { SlashCommandSubcommandGroupBuilder } = require("discord.js");
+
+module.exports = {
+  data: new SlashCommandSubcommandGroupBuilder().setName("monitor").setDescription("Log what rules would delete without deleting anything"),
+};
@@ -0,0 +1,42 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { findRules, formatRule } = require("../../../rules");
+const { matchTypeOption, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("rule")
+    .setDescription("Switch a blocked partial between monitor mode and enforce mode")
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription("Blocked partial to switch").setRequired(true))
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("True to only log matches, false to enforce").setRequired(true))
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category of the rule (default: server-wide rule)"))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const partial = interaction.options.getString("filtered_partial");
+    const enabled = interaction.options.getBoolean("enabled");
+    const rules = channel ? guildData.blockRules.get(channel.id) : guildData.globalBlockRules;
+    const matches = findRules(rules, partial, interaction.options.getString("type"));
+    const where = channel ? `in ${channel}` : "server-wide";
+
+    if (matches.length === 0) {
+      await interaction.reply({ content: `⚠️ "${partial}" is not blocked ${where}.`, ephemeral: true });
+      return;
+    }
+    for (const rule of matches) {
+      if (enabled) rule.monitor = true;
+      else delete rule.monitor;
+    }
+    store.save(guildId);
+
+    const ruleText = matches.map(formatRule).join(", ");
+    const content = enabled
+      ? `👀 ${ruleText} ${where} is now in monitor mode. Matches are logged but not deleted.`
+      : `✅ ${ruleText} ${where} is now enforced. Matching messages will be deleted.`;
+    await replyAndLog(interaction, store, content);
+  },
+};
@@ -0,0 +1,31 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { getMonitorSettings } = require("../../../monitor");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("server")
+    .setDescription("Put every rule in the server in monitor mode")
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("True to only log matches, false to enforce").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const monitor = getMonitorSettings(guildData.settings);
+    if (monitor.enabled === enabled) {
+      await interaction.reply({ content: `⚠️ Server-wide monitor mode is already ${enabled ? "on" : "off"}.`, ephemeral: true });
+      return;
+    }
+
+    guildData.settings.monitor = { ...monitor, enabled };
+    store.save(guildId);
+
+    const content = enabled
+      ? "👀 Server-wide monitor mode is on. Matches are logged but nothing is deleted."
+      : "✅ Server-wide monitor mode is off. Rules that are not monitored themselves will delete messages again.";
+    await replyAndLog(interaction, store, content);
+  },
+};
@@ -0,0 +1,59 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { formatRule } = require("../../../rules");
+const { formatDuration } = require("../../../duration");
+const { getMonitorSettings, monitorSummary } = require("../../../monitor");
+const { hasCapability } = require("../../../permissions");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+// Discord rejects messages longer than 2000 characters. Room is kept for the "…and N more" line and the reset notice.
+const MAX_REPLY_LENGTH = 2000;
+const RESERVED_LENGTH = 60;
+
+module.exports = {
+  capability: "rules.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("summary")
+    .setDescription("Show what each monitored rule would have deleted")
+    .addBooleanOption((opt) => opt.setName("reset").setDescription("Clear the hit counts after showing them")),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const reset = interaction.options.getBoolean("reset");
+    if (reset && !hasCapability(interaction.member, guildData.permissions, "rules.edit")) {
+      await interaction.reply({ content: "❌ You need the `rules.edit` permission to reset the hit counts.", ephemeral: true });
+      return;
+    }
+
+    const monitor = getMonitorSettings(guildData.settings);
+    const modes = [`Server-wide monitor mode: ${monitor.enabled ? "on" : "off"}`];
+    if (monitor.channels.length > 0) modes.push(`Monitored channels: ${monitor.channels.map((id) => `<#${id}>`).join(", ")}`);
+    const lines = ["👀 Monitor summary", ...modes];
+
+    const now = Date.now();
+    const entries = monitorSummary(guildData);
+    let length = lines.join("\n").length;
+    for (const [i, { channelId, rule, count, lastHitAt }] of entries.entries()) {
+      const where = channelId ? `<#${channelId}>` : "Server-wide";
+      const last = lastHitAt ? `, last ${formatDuration(now - lastHitAt)} ago` : "";
+      const line = `• ${where} ${formatRule(rule)}: ${count} ${count === 1 ? "hit" : "hits"}${last}`;
+      if (length + 1 + line.length > MAX_REPLY_LENGTH - RESERVED_LENGTH) {
+        lines.push(`…and ${entries.length - i} more`);
+        break;
+      }
+      lines.push(line);
+      length += 1 + line.length;
+    }
+    if (entries.length === 0) lines.push("• No monitored rules or hits");
+    const content = lines.join("\n");
+
+    if (!reset) {
+      await interaction.reply({ content, ephemeral: true });
+      return;
+    }
+    guildData.monitorHits.clear();
+    store.save(guildId);
+    await replyAndLog(interaction, store, `${content}\n✅ Hit counts cleared.`);
+  },
+};
@@ -0,0 +1,37 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { CAPABILITIES } = require("../../../permissions");
+const { choicesMatching, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  // Only administrators can hand out permissions
+  capability: null,
+  data: new SlashCommandSubcommandBuilder()
+    .setName("grant")
+    .setDescription("Allow a role to use a group of /nyd commands")
+    .addRoleOption((opt) => opt.setName("role").setDescription("Role to grant the permission to").setRequired(true))
+    .addStringOption((opt) => opt.setName("capability").setDescription("What the role may do").setRequired(true).setAutocomplete(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const { permissions } = store.get(guildId);
+    const role = interaction.options.getRole("role");
+    const capability = interaction.options.getString("capability");
+    if (!CAPABILITIES[capability]) {
+      await interaction.reply({ content: `❌ Unknown permission "${capability}". Pick one of the suggestions.`, ephemeral: true });
+      return;
+    }
+
+    if (!permissions.has(role.id)) permissions.set(role.id, new Set());
+    if (permissions.get(role.id).has(capability)) {
+      await interaction.reply({ content: `⚠️ Role ${role.name} already has \`${capability}\`.`, ephemeral: true });
+      return;
+    }
+    permissions.get(role.id).add(capability);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Role ${role.name} was granted \`${capability}\` (${CAPABILITIES[capability]}).`);
+  },
+
+  async autocomplete(interaction) {
+    await interaction.respond(choicesMatching(CAPABILITIES, interaction.options.getFocused()));
+  },
+};
@@ -0,0 +1,5 @@
+const { SlashCommandSubcommandGroupBuilder } = require("discord.js");
+
+module.exports = {
+  data: new SlashCommandSubcommandGroupBuilder().setName("permissions").setDescription("Let roles use /nyd commands without Administrator"),
+};
@@ -0,0 +1,19 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+
+module.exports = {
+  capability: null,
+  data: new SlashCommandSubcommandBuilder().setName("list").setDescription("Show which roles can use which /nyd commands"),
+
+  async execute(interaction, { store }) {
+    const { permissions } = store.get(interaction.guildId);
+    const list =
+      Array.from(permissions.entries())
+        .map(([roleId, capabilities]) => `• <@&${roleId}>: ${Array.from(capabilities).sort().join(", ")}`)
+        .join("\n") || "• None";
+    await interaction.reply({
+      content: `🔑 **Granted permissions** (administrators can use every command):\n${list}`,
+      ephemeral: true,
+      allowedMentions: { parse: [] },
+    });
+  },
+};
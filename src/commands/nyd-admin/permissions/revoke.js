@@ -0,0 +1,33 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { CAPABILITIES } = require("../../../permissions");
+const { choicesMatching, replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: null,
+  data: new SlashCommandSubcommandBuilder()
+    .setName("revoke")
+    .setDescription("Take a /nyd permission away from a role")
+    .addRoleOption((opt) => opt.setName("role").setDescription("Role to revoke the permission from").setRequired(true))
+    .addStringOption((opt) => opt.setName("capability").setDescription("Permission to revoke").setRequired(true).setAutocomplete(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const { permissions } = store.get(guildId);
+    const role = interaction.options.getRole("role");
+    const capability = interaction.options.getString("capability");
+    const granted = permissions.get(role.id);
+
+    if (!granted || !granted.has(capability)) {
+      await interaction.reply({ content: `⚠️ Role ${role.name} does not have \`${capability}\`.`, ephemeral: true });
+      return;
+    }
+    granted.delete(capability);
+    if (granted.size === 0) permissions.delete(role.id);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Revoked \`${capability}\` from role ${role.name}.`);
+  },
+
+  async autocomplete(interaction) {
+    await interaction.respond(choicesMatching(CAPABILITIES, interaction.options.getFocused()));
+  },
+};
@@ -0,0 +1,75 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { ANTI_SPAM_MATCHES, getAntiSpamSettings } = require("../../../anti-spam");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+// Option names and the settings they change
+const OPTIONS = {
+  duplicates: "duplicates",
+  window_seconds: "windowSeconds",
+  links_per_minute: "linksPerMinute",
+  auto_block_minutes: "autoBlockMinutes",
+};
+
+function describeSettings(settings) {
+  const autoBlock = settings.autoBlockMinutes > 0 ? `blocked server-wide for ${settings.autoBlockMinutes} minutes` : "not blocked";
+  return [
+    `🚨 Anti-spam is ${settings.enabled ? "enabled" : "disabled"}.`,
+    `• Burst: ${settings.duplicates} posts of the ${settings.match === "domain" ? "same domain" : "same link"} within ${settings.windowSeconds}s`,
+    `• Flood: more than ${settings.linksPerMinute} links from one user in a minute`,
+    `• Repeated domains are ${autoBlock}`,
+  ].join("\n");
+}
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("antispam")
+    .setDescription("Delete bursts of the same link and users who post links too fast")
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("Turn anti-spam on or off"))
+    .addStringOption((opt) =>
+      opt
+        .setName("match")
+        .setDescription("Count repeats of the exact link or of its domain")
+        .addChoices(...Object.entries(ANTI_SPAM_MATCHES).map(([value, name]) => ({ name, value })))
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("duplicates").setDescription("Posts of the same link that make a burst").setMinValue(2).setMaxValue(100)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("window_seconds").setDescription("Time the duplicates are counted over").setMinValue(1).setMaxValue(300)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("links_per_minute").setDescription("Links one user may post per minute").setMinValue(1).setMaxValue(100)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("auto_block_minutes")
+        .setDescription("Block a repeated domain server-wide for this long (0 to only delete the burst)")
+        .setMinValue(0)
+        .setMaxValue(7 * 24 * 60)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const settings = getAntiSpamSettings(guildData.settings);
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const match = interaction.options.getString("match");
+    const values = Object.entries(OPTIONS)
+      .map(([option, key]) => [key, interaction.options.getInteger(option)])
+      .filter(([, value]) => value !== null);
+
+    if (enabled === null && !match && values.length === 0) {
+      await interaction.reply({ content: describeSettings(settings), ephemeral: true });
+      return;
+    }
+
+    if (enabled !== null) settings.enabled = enabled;
+    if (match) settings.match = match;
+    for (const [key, value] of values) settings[key] = value;
+    guildData.settings.antiSpam = settings;
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Anti-spam settings updated.\n${describeSettings(settings)}`);
+  },
+};
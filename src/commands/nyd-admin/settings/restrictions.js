@@ -0,0 +1,74 @@
+const { SlashCommandSubcommandBuilder, GatewayIntentBits } = require("discord.js");
+const { getMemberRestrictions } = require("../../../member-restrictions");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+function describeRestrictions(restrictions) {
+  const lines = [`🔒 Member restrictions are ${restrictions.enabled ? "enabled" : "disabled"}. These members may not post links:`];
+  if (restrictions.minMemberAgeHours > 0) lines.push(`• Members who joined less than ${restrictions.minMemberAgeHours}h ago`);
+  if (restrictions.minAccountAgeDays > 0) lines.push(`• Accounts younger than ${restrictions.minAccountAgeDays}d`);
+  if (restrictions.requiredRoleId) lines.push(`• Members without <@&${restrictions.requiredRoleId}>`);
+  if (lines.length === 1) lines.push("• Nobody, no restriction is set");
+  return lines.join("\n");
+}
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("restrictions")
+    .setDescription("Stop new members, new accounts or members without a role from posting links")
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("Turn member restrictions on or off"))
+    .addIntegerOption((opt) =>
+      opt
+        .setName("member_hours")
+        .setDescription("Members need to have joined this many hours ago to post links (0 to allow)")
+        .setMinValue(0)
+        .setMaxValue(24 * 30)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("account_days")
+        .setDescription("Accounts need to be this many days old to post links (0 to allow)")
+        .setMinValue(0)
+        .setMaxValue(365)
+    )
+    .addRoleOption((opt) => opt.setName("required_role").setDescription("Role members need to post links"))
+    .addBooleanOption((opt) => opt.setName("remove_role").setDescription("Stop requiring a role to post links")),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const restrictions = getMemberRestrictions(guildData.settings);
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const memberHours = interaction.options.getInteger("member_hours");
+    const accountDays = interaction.options.getInteger("account_days");
+    const role = interaction.options.getRole("required_role");
+    const removeRole = interaction.options.getBoolean("remove_role");
+
+    if (enabled === null && memberHours === null && accountDays === null && !role && !removeRole) {
+      await interaction.reply({ content: describeRestrictions(restrictions), ephemeral: true });
+      return;
+    }
+    if (enabled && !interaction.client.options.intents.has(GatewayIntentBits.GuildMembers)) {
+      await interaction.reply({
+        content:
+          "❌ Member restrictions need the Server Members intent. Turn it on in the Discord developer portal, set `MEMBER_RESTRICTIONS=true` and restart the bot.",
+        ephemeral: true,
+      });
+      return;
+    }
+    if (role && removeRole) {
+      await interaction.reply({ content: "❌ Choose either `required_role` or `remove_role`, not both.", ephemeral: true });
+      return;
+    }
+
+    if (enabled !== null) restrictions.enabled = enabled;
+    if (memberHours !== null) restrictions.minMemberAgeHours = memberHours;
+    if (accountDays !== null) restrictions.minAccountAgeDays = accountDays;
+    if (role) restrictions.requiredRoleId = role.id;
+    if (removeRole) restrictions.requiredRoleId = null;
+    guildData.settings.memberRestrictions = restrictions;
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Member restrictions updated.\n${describeRestrictions(restrictions)}`);
+  },
+};
@@ -0,0 +1,74 @@
+const net = require("net");
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { normalizeHostname } = require("../../../url-parser");
+const { DEFAULT_LINK_EXPANSION_SETTINGS } = require("../../../link-resolver");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("shorteners")
+    .setDescription("Check rules against where shortened links redirect")
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("Expand links on shortener hosts before checking rules"))
+    .addStringOption((opt) => opt.setName("add").setDescription('Shortener host to add (e.g. "lnkd.in")'))
+    .addStringOption((opt) => opt.setName("remove").setDescription("Shortener host to remove")),
+
+  async execute(interaction, { store, linkResolver }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const addInput = interaction.options.getString("add");
+    const removeInput = interaction.options.getString("remove");
+    const settings = { ...DEFAULT_LINK_EXPANSION_SETTINGS, ...guildData.settings.linkExpansion };
+    const hosts = new Set(settings.hosts);
+
+    if (enabled === null && !addInput && !removeInput) {
+      await interaction.reply({
+        content: `🔗 Link expansion is ${settings.enabled ? "enabled" : "disabled"}.\nShortener hosts: ${Array.from(hosts).join(", ") || "None"}`,
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const changes = [];
+    if (enabled !== null) {
+      settings.enabled = enabled;
+      changes.push(`link expansion ${enabled ? "enabled" : "disabled"}`);
+    }
+    if (addInput) {
+      const host = normalizeHostname(addInput);
+      if (!host) {
+        await interaction.reply({ content: `❌ "${addInput}" is not a valid host name.`, ephemeral: true });
+        return;
+      }
+      // Expanding a link requests its host, which must not be one of the bot's own network
+      if (net.isIP(host)) {
+        await interaction.reply({ content: "❌ Add shorteners by host name, not by IP address.", ephemeral: true });
+        return;
+      }
+      if (await linkResolver.isPrivateHost(host)) {
+        await interaction.reply({ content: `❌ ${host} points to a private network address.`, ephemeral: true });
+        return;
+      }
+      hosts.add(host);
+      changes.push(`added ${host}`);
+    }
+    if (removeInput) {
+      const host = normalizeHostname(removeInput) || removeInput;
+      if (!hosts.delete(host)) {
+        await interaction.reply({ content: `⚠️ ${host} is not on the shortener list.`, ephemeral: true });
+        return;
+      }
+      changes.push(`removed ${host}`);
+    }
+
+    guildData.settings.linkExpansion = { ...settings, hosts: Array.from(hosts) };
+    store.save(guildId);
+    await replyAndLog(
+      interaction,
+      store,
+      `✅ Shorteners updated: ${changes.join(", ")}.\nShortener hosts: ${Array.from(hosts).join(", ") || "None"}`
+    );
+  },
+};
@@ -0,0 +1,36 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { MESSAGE_SOURCES, getScanSources } = require("../../../message-sources");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+function formatSources(sources) {
+  return Object.entries(MESSAGE_SOURCES)
+    .map(([source, label]) => `${sources[source] ? "✅" : "⛔"} ${label}`)
+    .join("\n");
+}
+
+const data = new SlashCommandSubcommandBuilder().setName("sources").setDescription("Choose which parts of a message are checked for links");
+for (const [source, label] of Object.entries(MESSAGE_SOURCES)) {
+  data.addBooleanOption((opt) => opt.setName(source).setDescription(`Check links in: ${label}`));
+}
+
+module.exports = {
+  capability: "settings.edit",
+  data,
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const sources = getScanSources(guildData.settings);
+    const changed = Object.keys(MESSAGE_SOURCES).filter((source) => interaction.options.getBoolean(source) !== null);
+    if (changed.length === 0) {
+      await interaction.reply({ content: `🔍 Parts of messages checked for links:\n${formatSources(sources)}`, ephemeral: true });
+      return;
+    }
+
+    for (const source of changed) sources[source] = interaction.options.getBoolean(source);
+    guildData.settings.scanSources = sources;
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Parts of messages checked for links:\n${formatSources(sources)}`);
+  },
+};
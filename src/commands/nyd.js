@@ -0,0 +1,5 @@
+const path = require("path");
+const { createNydCommand } = require("../nyd-command");
+
+// Rules, allowlists, moderation and backups. Server configuration is under /nyd-admin.
+module.exports = createNydCommand({ name: "nyd", description: "NYD Bot controls", directory: path.join(__dirname, "nyd") });
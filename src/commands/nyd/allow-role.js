@@ -0,0 +1,26 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { allowScopeOptions, allowEntryFromOptions, replyAndLog } = require("../../nyd-helpers");
+const { addAllowEntry, formatAllowEntry } = require("../../allowlist");
+
+module.exports = {
+  capability: "allowlist.edit",
+  data: allowScopeOptions(
+    new SlashCommandSubcommandBuilder()
+      .setName("allow-role")
+      .setDescription("Allow a role to bypass link blocking")
+      .addRoleOption((opt) => opt.setName("role").setDescription("Role to allow").setRequired(true))
+  ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const role = interaction.options.getRole("role");
+    const entry = await allowEntryFromOptions(interaction);
+    if (!entry) return;
+
+    const replaced = addAllowEntry(guildData.allowList.roles, role.id, entry);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Role ${role.name} is ${replaced ? "still" : "now"} allowlisted: ${formatAllowEntry(entry)}.`);
+  },
+};
@@ -0,0 +1,26 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { allowScopeOptions, allowEntryFromOptions, replyAndLog } = require("../../nyd-helpers");
+const { addAllowEntry, formatAllowEntry } = require("../../allowlist");
+
+module.exports = {
+  capability: "allowlist.edit",
+  data: allowScopeOptions(
+    new SlashCommandSubcommandBuilder()
+      .setName("allow-user")
+      .setDescription("Allow a user to bypass link blocking")
+      .addUserOption((opt) => opt.setName("user").setDescription("User to allow").setRequired(true))
+  ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const user = interaction.options.getUser("user");
+    const entry = await allowEntryFromOptions(interaction);
+    if (!entry) return;
+
+    const replaced = addAllowEntry(guildData.allowList.users, user.id, entry);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ ${user.tag} is ${replaced ? "still" : "now"} allowlisted: ${formatAllowEntry(entry)}.`);
+  },
+};
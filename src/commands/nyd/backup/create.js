@@ -0,0 +1,22 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { DEFAULT_BACKUP_SETTINGS } = require("../../../data-manager");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "backup.create",
+  data: new SlashCommandSubcommandBuilder().setName("create").setDescription("Create a backup of this server's bot data"),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { dataManager } = store;
+
+    const backupSettings = { ...DEFAULT_BACKUP_SETTINGS, ...guildData.settings.backup };
+    try {
+      const name = await dataManager.createBackup(guildId, guildData, { retention: backupSettings.retention });
+      await replyAndLog(interaction, store, `✅ Backup created: \`${name}\``);
+    } catch (error) {
+      await interaction.reply({ content: `❌ Failed to create backup: ${error.message}`, ephemeral: true });
+    }
+  },
+};
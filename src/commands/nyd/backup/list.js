@@ -0,0 +1,28 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { DEFAULT_BACKUP_SETTINGS } = require("../../../data-manager");
+
+module.exports = {
+  capability: "backup.create",
+  data: new SlashCommandSubcommandBuilder().setName("list").setDescription("List this server's backups"),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { dataManager } = store;
+
+    const backupSettings = { ...DEFAULT_BACKUP_SETTINGS, ...guildData.settings.backup };
+    const backups = await dataManager.listBackups(guildId);
+    const list =
+      backups
+        .slice(0, 15)
+        .map(
+          (backup) => `• \`${backup.name}\` (<t:${Math.floor(backup.createdAt.getTime() / 1000)}:R>, ${Math.ceil(backup.size / 1024)} KB)`
+        )
+        .join("\n") || "• None";
+    const schedule = backupSettings.intervalHours ? `every ${backupSettings.intervalHours}h` : "off";
+    await interaction.reply({
+      content: `💾 **Backups** (${backups.length}, keeping ${backupSettings.retention}, automatic: ${schedule}):\n${list}`,
+      ephemeral: true,
+    });
+  },
+};
@@ -0,0 +1,47 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { askConfirmation, replaceGuildData } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "backup.restore",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("restore")
+    .setDescription("Restore this server's bot data from a backup")
+    .addStringOption((opt) => opt.setName("name").setDescription("Backup to restore").setRequired(true).setAutocomplete(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const { dataManager } = store;
+
+    const name = interaction.options.getString("name");
+    let restored;
+    try {
+      restored = await dataManager.readGuildBackup(guildId, name);
+    } catch (error) {
+      await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+      return;
+    }
+
+    const button = await askConfirmation(
+      interaction,
+      `⚠️ Restore \`${name}\`? This replaces all of this server's rules and settings. A backup of the current data is taken first.`
+    );
+    if (!button) return;
+    await replaceGuildData(interaction, store, button, restored, `✅ Restored backup \`${name}\`.`);
+  },
+
+  // Suggest backup names
+  async autocomplete(interaction, { store }) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    try {
+      const backups = await store.dataManager.listBackups(interaction.guildId);
+      await interaction.respond(
+        backups
+          .filter((backup) => backup.name.toLowerCase().includes(focused))
+          .slice(0, 25)
+          .map((backup) => ({ name: backup.name, value: backup.name }))
+      );
+    } catch (error) {
+      console.error("Failed to autocomplete backup names:", error.message);
+    }
+  },
+};
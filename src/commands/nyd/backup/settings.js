@@ -0,0 +1,37 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { DEFAULT_BACKUP_SETTINGS } = require("../../../data-manager");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("settings")
+    .setDescription("Configure backup retention and scheduled backups")
+    .addIntegerOption((opt) => opt.setName("retention").setDescription("Number of backups to keep").setMinValue(1).setMaxValue(100))
+    .addIntegerOption((opt) =>
+      opt.setName("interval_hours").setDescription("Hours between automatic backups (0 to disable)").setMinValue(0).setMaxValue(720)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { dataManager } = store;
+
+    const retention = interaction.options.getInteger("retention");
+    const intervalHours = interaction.options.getInteger("interval_hours");
+    const backupSettings = { ...DEFAULT_BACKUP_SETTINGS, ...guildData.settings.backup };
+
+    if (retention !== null) backupSettings.retention = retention;
+    if (intervalHours !== null) backupSettings.intervalHours = intervalHours || null;
+    guildData.settings.backup = backupSettings;
+    store.save(guildId);
+
+    const rotated = retention !== null ? await dataManager.rotateBackups(guildId, backupSettings.retention) : 0;
+    const schedule = backupSettings.intervalHours ? `every ${backupSettings.intervalHours}h` : "disabled";
+    await replyAndLog(
+      interaction,
+      store,
+      `✅ Keeping the newest ${backupSettings.retention} backups${rotated ? ` (removed ${rotated})` : ""}. Automatic backups: ${schedule}.`
+    );
+  },
+};
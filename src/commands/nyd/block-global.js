@@ -0,0 +1,30 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { ruleKey, formatRule } = require("../../rules");
+const { matchTypeOption, monitorOption, ruleFromOptions, replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("block-global")
+    .setDescription("Block links containing a partial across the whole server")
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription('Part of link to block (e.g. "tiktok")').setRequired(true))
+    .addStringOption(matchTypeOption)
+    .addBooleanOption(monitorOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { globalBlockRules } = guildData;
+
+    const rule = await ruleFromOptions(interaction);
+    if (!rule) return;
+    if (interaction.options.getBoolean("monitor")) rule.monitor = true;
+
+    globalBlockRules.set(ruleKey(rule), rule);
+    store.save(guildId);
+    const content = rule.monitor
+      ? `👀 Monitoring links matching ${formatRule(rule)} server-wide. Matches are logged but not deleted.`
+      : `✅ Blocked links matching ${formatRule(rule)} server-wide.`;
+    await replyAndLog(interaction, store, content);
+  },
+};
@@ -0,0 +1,36 @@
+const { SlashCommandSubcommandBuilder, ChannelType } = require("discord.js");
+const { ruleKey, formatRule } = require("../../rules");
+const { matchTypeOption, monitorOption, ruleFromOptions, replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("block")
+    .setDescription("Block links containing a partial in a channel or category")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category to monitor").setRequired(true))
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription('Part of link to block (e.g. "tiktok")').setRequired(true))
+    .addStringOption(matchTypeOption)
+    .addBooleanOption(monitorOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { blockRules } = guildData;
+
+    const channel = interaction.options.getChannel("channel");
+    const rule = await ruleFromOptions(interaction);
+    if (!rule) return;
+    if (interaction.options.getBoolean("monitor")) rule.monitor = true;
+
+    if (!blockRules.has(channel.id)) {
+      blockRules.set(channel.id, new Map());
+    }
+    blockRules.get(channel.id).set(ruleKey(rule), rule);
+    store.save(guildId);
+    const where = channel.type === ChannelType.GuildCategory ? `every channel in category ${channel}` : `${channel}`;
+    const content = rule.monitor
+      ? `👀 Monitoring links matching ${formatRule(rule)} in ${where}. Matches are logged but not deleted.`
+      : `✅ Blocked links matching ${formatRule(rule)} in ${where}.`;
+    await replyAndLog(interaction, store, content);
+  },
+};
@@ -0,0 +1,31 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { askConfirmation, logConfigChange } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("clear")
+    .setDescription("Remove all block rules from a channel")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel to clear").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const { blockRules } = store.get(guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const count = blockRules.has(channel.id) ? blockRules.get(channel.id).size : 0;
+    if (count === 0) {
+      await interaction.reply({ content: `⚠️ ${channel} has no block rules.`, ephemeral: true });
+      return;
+    }
+
+    const button = await askConfirmation(interaction, `⚠️ Remove all ${count} block rules from ${channel}? This cannot be undone.`);
+    if (!button) return;
+
+    blockRules.delete(channel.id);
+    store.save(guildId);
+    const content = `✅ Removed all ${count} block rules from ${channel}.`;
+    await button.update({ content, components: [] });
+    await logConfigChange(interaction, store, content);
+  },
+};
@@ -0,0 +1,38 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { addRules } = require("../../bulk-rules");
+const { replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("copy-rules")
+    .setDescription("Copy a channel's block rules to another")
+    .addChannelOption((opt) => opt.setName("from").setDescription("Copy from").setRequired(true))
+    .addChannelOption((opt) => opt.setName("to").setDescription("Copy to").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const { blockRules } = store.get(guildId);
+
+    const from = interaction.options.getChannel("from");
+    const to = interaction.options.getChannel("to");
+    if (from.id === to.id) {
+      await interaction.reply({ content: "❌ Pick two different channels.", ephemeral: true });
+      return;
+    }
+    const rules = Array.from((blockRules.get(from.id) || new Map()).values());
+    if (rules.length === 0) {
+      await interaction.reply({ content: `⚠️ ${from} has no block rules to copy.`, ephemeral: true });
+      return;
+    }
+
+    if (!blockRules.has(to.id)) blockRules.set(to.id, new Map());
+    const { added, duplicates } = addRules(blockRules.get(to.id), rules);
+    if (added.length > 0) store.save(guildId);
+    await replyAndLog(
+      interaction,
+      store,
+      `✅ Copied the block rules of ${from} to ${to}: ${added.length} added, ${duplicates.length} duplicates.`
+    );
+  },
+};
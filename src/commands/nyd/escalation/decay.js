@@ -0,0 +1,28 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { parseDuration, formatDuration } = require("../../../duration");
+const { getEscalationConfig } = require("../../../escalation");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("decay")
+    .setDescription("Set how long a strike counts before it expires")
+    .addStringOption((opt) => opt.setName("duration").setDescription('e.g. "12h" or "7d"').setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const durationMs = parseDuration(interaction.options.getString("duration"));
+    if (!durationMs) {
+      await interaction.reply({ content: `❌ Invalid duration. Use e.g. "12h" or "7d".`, ephemeral: true });
+      return;
+    }
+
+    const { settings } = guildData;
+    settings.escalation = { ...getEscalationConfig(settings), decayMs: durationMs };
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Strikes now expire after ${formatDuration(durationMs)}.`);
+  },
+};
@@ -0,0 +1,7 @@
+const { SlashCommandSubcommandGroupBuilder } = require("discord.js");
+
+module.exports = {
+  data: new SlashCommandSubcommandGroupBuilder()
+    .setName("escalation")
+    .setDescription("Punish repeat offenders based on their strike count"),
+};
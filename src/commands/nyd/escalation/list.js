@@ -0,0 +1,19 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { formatDuration } = require("../../../duration");
+const { getEscalationConfig, formatStep } = require("../../../escalation");
+
+module.exports = {
+  capability: "settings.view",
+  data: new SlashCommandSubcommandBuilder().setName("list").setDescription("Show the escalation steps and strike decay"),
+
+  async execute(interaction, { store }) {
+    const guildData = store.get(interaction.guildId);
+
+    const config = getEscalationConfig(guildData.settings);
+    const steps = config.steps.length > 0 ? config.steps.map((step) => `• ${formatStep(step)}`).join("\n") : "• None (deletions only)";
+    await interaction.reply({
+      content: `⚖️ **Escalation steps:**\n${steps}\n⏳ Strikes expire after ${formatDuration(config.decayMs)}.`,
+      ephemeral: true,
+    });
+  },
+};
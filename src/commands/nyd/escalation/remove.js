@@ -0,0 +1,30 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { getEscalationConfig } = require("../../../escalation");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("remove")
+    .setDescription("Remove the action for a strike count")
+    .addIntegerOption((opt) =>
+      opt.setName("strikes").setDescription("Strike count of the action to remove").setRequired(true).setMinValue(1)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const strikeCount = interaction.options.getInteger("strikes");
+    const { settings } = guildData;
+    const config = getEscalationConfig(settings);
+
+    if (!config.steps.some((step) => step.strikes === strikeCount)) {
+      await interaction.reply({ content: `⚠️ No escalation step is set for ${strikeCount} strikes.`, ephemeral: true });
+      return;
+    }
+    settings.escalation = { ...config, steps: config.steps.filter((step) => step.strikes !== strikeCount) };
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Removed the escalation step for ${strikeCount} strikes.`);
+  },
+};
@@ -0,0 +1,46 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { parseDuration } = require("../../../duration");
+const { ESCALATION_ACTIONS, getEscalationConfig, formatStep } = require("../../../escalation");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("set")
+    .setDescription("Set the action taken when a user reaches a strike count")
+    .addIntegerOption((opt) =>
+      opt.setName("strikes").setDescription("Strike count that triggers the action").setRequired(true).setMinValue(1)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("Action to take")
+        .setRequired(true)
+        .addChoices(...Object.entries(ESCALATION_ACTIONS).map(([value, name]) => ({ name, value })))
+    )
+    .addStringOption((opt) => opt.setName("duration").setDescription('Timeout length, e.g. "10m" or "1h" (timeout only)')),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const strikeCount = interaction.options.getInteger("strikes");
+    const action = interaction.options.getString("action");
+    const durationText = interaction.options.getString("duration");
+    const durationMs = parseDuration(durationText);
+
+    if (action === "timeout" && !durationMs) {
+      await interaction.reply({ content: `❌ Timeouts need a duration, e.g. "10m" or "1h".`, ephemeral: true });
+      return;
+    }
+
+    const { settings } = guildData;
+    const config = getEscalationConfig(settings);
+    const step = { strikes: strikeCount, action, durationMs: action === "timeout" ? durationMs : null };
+    const steps = config.steps.filter((existing) => existing.strikes !== strikeCount).concat(step);
+    steps.sort((a, b) => a.strikes - b.strikes);
+    settings.escalation = { ...config, steps };
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Escalation step set: ${formatStep(step)}.`);
+  },
+};
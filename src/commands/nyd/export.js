@@ -0,0 +1,17 @@
+const { SlashCommandSubcommandBuilder, AttachmentBuilder } = require("discord.js");
+
+module.exports = {
+  capability: "backup.create",
+  data: new SlashCommandSubcommandBuilder().setName("export").setDescription("Download this server's configuration as a JSON file"),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { dataManager } = store;
+
+    const file = new AttachmentBuilder(Buffer.from(dataManager.exportGuild(guildId, guildData)), {
+      name: `nyd-config-${guildId}.json`,
+    });
+    await interaction.reply({ content: "📦 This server's NYD Bot configuration:", files: [file], ephemeral: true });
+  },
+};
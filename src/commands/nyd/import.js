@@ -0,0 +1,34 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { askConfirmation, downloadAttachment, replaceGuildData } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "backup.restore",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("import")
+    .setDescription("Replace this server's configuration with an exported JSON file")
+    .addAttachmentOption((opt) => opt.setName("file").setDescription("File created by /nyd export").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildData = store.get(interaction.guildId);
+    const { dataManager } = store;
+
+    const attachment = interaction.options.getAttachment("file");
+    let imported;
+    try {
+      imported = dataManager.parseImport(await downloadAttachment(attachment));
+    } catch (error) {
+      await interaction.reply({ content: `❌ Import failed: ${error.message}`, ephemeral: true });
+      return;
+    }
+
+    // Exports do not carry strikes, so keep the current ones
+    imported.strikes = guildData.strikes;
+    const stats = dataManager.getDataStats(imported);
+    const button = await askConfirmation(
+      interaction,
+      `⚠️ Import \`${attachment.name}\` (${stats.totalBlockRules} channel rules, ${stats.totalGlobalRules} server-wide rules)? This replaces this server's current configuration. A backup of the current data is taken first.`
+    );
+    if (!button) return;
+    await replaceGuildData(interaction, store, button, imported, `✅ Imported configuration from \`${attachment.name}\`.`);
+  },
+};
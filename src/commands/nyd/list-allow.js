@@ -0,0 +1,30 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { formatAllowEntry } = require("../../allowlist");
+
+// One line per entry, e.g. "• <@1>: in <#2>, links to youtube.com, expires in 23h 59m"
+function formatEntries(entries, mention, now) {
+  const lines = [];
+  for (const [id, list] of entries) {
+    for (const entry of list) lines.push(`• ${mention(id)}: ${formatAllowEntry(entry, now)}`);
+  }
+  return lines.length > 0 ? lines.join("\n") : "None";
+}
+
+module.exports = {
+  capability: "allowlist.view",
+  data: new SlashCommandSubcommandBuilder().setName("list-allow").setDescription("List all allowlisted users and roles in this server"),
+
+  async execute(interaction, { store }) {
+    const guildData = store.get(interaction.guildId);
+
+    const allow = guildData.allowList;
+    const now = Date.now();
+    const users = formatEntries(allow.users, (id) => `<@${id}>`, now);
+    const roles = formatEntries(allow.roles, (id) => `<@&${id}>`, now);
+    await interaction.reply({
+      content: `✅ Allowlisted users:\n${users}\n✅ Allowlisted roles:\n${roles}`,
+      ephemeral: true,
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,26 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { formatRules } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.view",
+  data: new SlashCommandSubcommandBuilder().setName("list-global").setDescription("List globally blocked partials for this server"),
+
+  async execute(interaction, { store, sharedLists }) {
+    const guildData = store.get(interaction.guildId);
+    const { globalBlockRules, subscriptions } = guildData;
+
+    const list = formatRules(globalBlockRules);
+    // Subscribed lists are listed by reference; their rules can be long and are shown by /nyd-admin lists show
+    const subscribed =
+      Array.from(subscriptions)
+        .map((ref) => {
+          const sharedList = sharedLists.get(ref);
+          return `• \`${ref}\`: ${sharedList ? `${sharedList.rules.size} rules` : "deleted by its owner"}`;
+        })
+        .join("\n") || "• None";
+    await interaction.reply({
+      content: `📋 Globally blocked partials: ${list}\n📚 Subscribed shared lists:\n${subscribed}`,
+      ephemeral: true,
+    });
+  },
+};
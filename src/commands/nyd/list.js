@@ -0,0 +1,27 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { RULE_ORIGINS, effectiveRuleSets } = require("../../rule-scope");
+const { formatRules } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("list")
+    .setDescription("List the blocked partials that apply in a channel")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel, thread or category to check").setRequired(true)),
+
+  async execute(interaction, { store, sharedLists }) {
+    const guildData = store.get(interaction.guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const sets = effectiveRuleSets(guildData, channel, sharedLists);
+    const list =
+      sets
+        .map((set) => {
+          if (set.origin === "list") return `• ${RULE_ORIGINS.list} \`${set.listRef}\`: ${set.rules.size} rules`;
+          const source = set.origin === "parent" || set.origin === "category" ? ` (<#${set.channelId}>)` : "";
+          return `• ${RULE_ORIGINS[set.origin]}${source}: ${formatRules(set.rules)}`;
+        })
+        .join("\n") || "• None";
+    await interaction.reply({ content: `📋 Blocked partials that apply in ${channel}:\n${list}`, ephemeral: true });
+  },
+};
@@ -0,0 +1,40 @@
+const { SlashCommandSubcommandBuilder, ChannelType } = require("discord.js");
+const { replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("log-channel")
+    .setDescription("Channel for deletion reports and config changes (omit to disable)")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Log channel")
+        .setRequired(false)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const channel = interaction.options.getChannel("channel");
+    const { settings } = guildData;
+
+    if (!channel) {
+      if (!settings.logChannelId) {
+        await interaction.reply({ content: `⚠️ No log channel is set.`, ephemeral: true });
+        return;
+      }
+      // Log before clearing so the old channel records that logging was turned off
+      await replyAndLog(interaction, store, `✅ Audit logging disabled (was <#${settings.logChannelId}>).`);
+      delete settings.logChannelId;
+      store.save(guildId);
+      return;
+    }
+
+    settings.logChannelId = channel.id;
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Deletions and config changes will now be logged to ${channel}.`);
+  },
+};
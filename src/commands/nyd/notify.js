@@ -0,0 +1,55 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { NOTIFY_MODES, DEFAULT_NOTIFY_CONFIG, getNotifyConfig } = require("../../notifier");
+const { replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "settings.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("notify")
+    .setDescription("Tell users why their message was removed")
+    .addStringOption((opt) =>
+      opt
+        .setName("mode")
+        .setDescription("How to notify the user")
+        .setRequired(true)
+        .addChoices(...Object.entries(NOTIFY_MODES).map(([value, name]) => ({ name, value })))
+    )
+    .addStringOption((opt) =>
+      opt.setName("template").setDescription('Notice with {user}, {rule}, {channel}, {server} ("default" to reset)').setMaxLength(1000)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("delete_after").setDescription("Seconds before a channel reply deletes itself").setMinValue(1).setMaxValue(300)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("cooldown").setDescription("Minimum seconds between notices to the same user").setMinValue(0).setMaxValue(86400)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const { settings } = guildData;
+    const config = getNotifyConfig(settings);
+    const template = interaction.options.getString("template");
+    const deleteAfter = interaction.options.getInteger("delete_after");
+    const cooldown = interaction.options.getInteger("cooldown");
+
+    config.mode = interaction.options.getString("mode");
+    if (template) config.template = template.toLowerCase() === "default" ? DEFAULT_NOTIFY_CONFIG.template : template;
+    if (deleteAfter !== null) config.deleteAfterSeconds = deleteAfter;
+    if (cooldown !== null) config.cooldownSeconds = cooldown;
+    settings.notify = config;
+    store.save(guildId);
+
+    if (config.mode === "off") {
+      await replyAndLog(interaction, store, `✅ Offender notifications disabled.`);
+      return;
+    }
+    const delivery = config.mode === "dm" ? "by DM" : `in the channel (deleted after ${config.deleteAfterSeconds}s)`;
+    await replyAndLog(
+      interaction,
+      store,
+      `✅ Offenders will be notified ${delivery}, at most once every ${config.cooldownSeconds}s.\n📝 Template: ${config.template}`
+    );
+  },
+};
@@ -0,0 +1,115 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { MATCH_TYPES } = require("../../rules");
+const { DEFAULT_WATCHMAN_SETTINGS } = require("../../data-manager");
+const { splitEntries, parseRuleEntries, addRules, quoteEntries } = require("../../bulk-rules");
+const { GLOBAL_VIEW, ALLOW_VIEW, isChannelView, viewRules, panelEntries, renderPanel, addRulesModal } = require("../../panel");
+const { requireCapability, logConfigChange } = require("../../nyd-helpers");
+
+// Capability needed to change what a view shows
+function editCapability(view) {
+  return view === ALLOW_VIEW ? "allowlist.edit" : "rules.edit";
+}
+
+// Show another view or page of the panel, keeping the notice of the last change out of it
+async function showView(interaction, { store }, state) {
+  if (state.view === ALLOW_VIEW && !(await requireCapability(interaction, store, "allowlist.view"))) return;
+  await interaction.update(renderPanel(interaction.guild, store.get(interaction.guildId), state));
+}
+
+// Save a change made from the panel, log it and show the result above the updated panel
+async function applyChange(interaction, store, state, content) {
+  store.save(interaction.guildId);
+  await interaction.update(renderPanel(interaction.guild, store.get(interaction.guildId), state, content));
+  await logConfigChange(interaction, store, content);
+}
+
+// Handlers by action, called with the rest of the custom ID: "<view>:<page>[:<entry>]"
+const ACTIONS = {
+  async view(interaction, context) {
+    await showView(interaction, context, { view: interaction.values[0] });
+  },
+
+  async channel(interaction, context) {
+    await showView(interaction, context, { view: interaction.values[0] });
+  },
+
+  async page(interaction, context, view, page) {
+    await showView(interaction, context, { view, page });
+  },
+
+  async pick(interaction, context, view, page) {
+    await showView(interaction, context, { view, page, selected: interaction.values[0] });
+  },
+
+  async remove(interaction, { store }, view, page, selected) {
+    if (!(await requireCapability(interaction, store, editCapability(view)))) return;
+    const guildData = store.get(interaction.guildId);
+    const entry = panelEntries(interaction.guild, guildData, view).find((candidate) => candidate.id === selected);
+    if (!entry) {
+      await interaction.update(renderPanel(interaction.guild, guildData, { view, page }, "⚠️ That entry was already removed."));
+      return;
+    }
+    await applyChange(interaction, store, { view, page }, `✅ Removed ${entry.remove()}.`);
+  },
+
+  async add(interaction, { store }, view, page) {
+    if (!(await requireCapability(interaction, store, "rules.edit"))) return;
+    await interaction.showModal(addRulesModal(view, page));
+  },
+
+  async addform(interaction, { store }, view, page) {
+    if (!(await requireCapability(interaction, store, "rules.edit"))) return;
+    const type = interaction.fields.getTextInputValue("type").trim().toLowerCase() || null;
+    if (type && !MATCH_TYPES[type]) {
+      await interaction.reply({
+        content: `❌ Unknown match type "${type}". Use one of: ${Object.keys(MATCH_TYPES).join(", ")}.`,
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const guildData = store.get(interaction.guildId);
+    const entries = splitEntries(interaction.fields.getTextInputValue("partials"), type);
+    const { rules, invalid } = parseRuleEntries(entries, type);
+    if (isChannelView(view) && !guildData.blockRules.has(view)) guildData.blockRules.set(view, new Map());
+    const { added, duplicates } = addRules(viewRules(guildData, view), rules);
+
+    const where = view === GLOBAL_VIEW ? "server-wide" : `<#${view}>`;
+    const lines = [`✅ Blocked ${where}: ${added.length} added, ${duplicates.length} duplicates, ${invalid.length} invalid.`];
+    if (invalid.length > 0) lines.push(`⚠️ Skipped invalid entries: ${quoteEntries(invalid)}`);
+    await applyChange(interaction, store, { view, page }, lines.join("\n"));
+  },
+
+  async watchman(interaction, { store }, view, page) {
+    if (!(await requireCapability(interaction, store, "watchman.toggle"))) return;
+    const { watchmanChannels } = store.get(interaction.guildId);
+    let content;
+    if (watchmanChannels.has(view)) {
+      watchmanChannels.delete(view);
+      content = `✅ Watchman mode disabled for <#${view}>.`;
+    } else {
+      watchmanChannels.set(view, { ...DEFAULT_WATCHMAN_SETTINGS });
+      content = `✅ Watchman mode enabled for <#${view}>.`;
+    }
+    await applyChange(interaction, store, { view, page }, content);
+  },
+};
+
+module.exports = {
+  capability: "rules.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("panel")
+    .setDescription("Browse and edit rules with buttons and menus")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Open on this channel's rules")),
+
+  async execute(interaction, { store }) {
+    const channel = interaction.options.getChannel("channel");
+    const panel = renderPanel(interaction.guild, store.get(interaction.guildId), { view: channel ? channel.id : GLOBAL_VIEW });
+    await interaction.reply({ ...panel, ephemeral: true, allowedMentions: { parse: [] } });
+  },
+
+  async handleComponent(interaction, context, [action, view, page, selected]) {
+    if (!Object.hasOwn(ACTIONS, action)) return;
+    await ACTIONS[action](interaction, context, view, Number.parseInt(page, 10) || 0, selected);
+  },
+};
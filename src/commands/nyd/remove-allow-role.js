@@ -0,0 +1,25 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "allowlist.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("remove-allow-role")
+    .setDescription("Remove a role from allowlist")
+    .addRoleOption((opt) => opt.setName("role").setDescription("Role to remove from allowlist").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const role = interaction.options.getRole("role");
+    const allow = guildData.allowList;
+    if (!allow.roles.has(role.id)) {
+      await interaction.reply({ content: `⚠️ Role ${role.name} was not on the allowlist.`, ephemeral: true });
+      return;
+    }
+    allow.roles.delete(role.id);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Role ${role.name} removed from allowlist.`);
+  },
+};
@@ -0,0 +1,25 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "allowlist.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("remove-allow")
+    .setDescription("Remove a user from allowlist")
+    .addUserOption((opt) => opt.setName("user").setDescription("User to remove from allowlist").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const user = interaction.options.getUser("user");
+    const allow = guildData.allowList;
+    if (!allow.users.has(user.id)) {
+      await interaction.reply({ content: `⚠️ ${user.tag} was not on the allowlist.`, ephemeral: true });
+      return;
+    }
+    allow.users.delete(user.id);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ ${user.tag} removed from allowlist.`);
+  },
+};
@@ -0,0 +1,100 @@
+const { SlashCommandSubcommandBuilder, EmbedBuilder, AttachmentBuilder } = require("discord.js");
+const { formatRule } = require("../../rules");
+const { HIT_RETENTION_DAYS, DEFAULT_STATS_DAYS, summarizeRuleHits, ruleHitsCsv } = require("../../rule-stats");
+
+const STATS_COLOR = 0x0099ff;
+
+// Entries listed per embed field; the CSV attachment has all of them
+const MAX_FIELD_LINES = 10;
+
+function ruleSet(channelId) {
+  return channelId ? `<#${channelId}>` : "Server-wide";
+}
+
+function hits(count) {
+  return `${count} ${count === 1 ? "hit" : "hits"}`;
+}
+
+// Embed field value listing the first entries, e.g. "1. <#123> "tiktok": 4 hits"
+function fieldLines(entries, format, empty) {
+  if (entries.length === 0) return empty;
+  const lines = entries.slice(0, MAX_FIELD_LINES).map((entry, i) => `${i + 1}. ${format(entry)}`);
+  if (entries.length > MAX_FIELD_LINES) lines.push(`…and ${entries.length - MAX_FIELD_LINES} more`);
+  const value = lines.join("\n");
+  return value.length > 1024 ? `${value.slice(0, 1023)}…` : value;
+}
+
+module.exports = {
+  capability: "stats.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("stats")
+    .setDescription("Show which rules fire, who trips them and which rules never fire")
+    .addIntegerOption((opt) =>
+      opt
+        .setName("days")
+        .setDescription(`Days of hits to count (default ${DEFAULT_STATS_DAYS})`)
+        .setMinValue(1)
+        .setMaxValue(HIT_RETENTION_DAYS)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildData = store.get(interaction.guildId);
+    const { dataManager } = store;
+    const days = interaction.options.getInteger("days") || DEFAULT_STATS_DAYS;
+
+    const stats = dataManager.getDataStats(guildData);
+    const summary = summarizeRuleHits(guildData, days);
+    const total = summary.rules.reduce((sum, { count }) => sum + count, 0);
+
+    const embed = new EmbedBuilder()
+      .setColor(STATS_COLOR)
+      .setTitle("NYD Bot statistics")
+      .setDescription(`${total} ${total === 1 ? "message" : "messages"} deleted`)
+      .addFields(
+        {
+          name: "Configuration",
+          value: [
+            `• Channels with rules: ${stats.channelsWithRules}`,
+            `• Total channel block rules: ${stats.totalBlockRules}`,
+            `• Server-wide block rules: ${stats.totalGlobalRules}`,
+            `• Allowlisted users: ${stats.allowlistedUsers}`,
+            `• Allowlisted roles: ${stats.allowlistedRoles}`,
+            `• Watchman channels: ${stats.watchmanChannels}`,
+          ].join("\n"),
+        },
+        {
+          name: "Top rules",
+          value: fieldLines(
+            summary.rules,
+            ({ channelId, rule, count }) => `${ruleSet(channelId)} ${formatRule(rule)}: ${hits(count)}`,
+            "No hits"
+          ),
+        },
+        {
+          name: "Top offenders",
+          value: fieldLines(summary.users, ({ userId, count }) => `<@${userId}>: ${hits(count)}`, "No hits"),
+          inline: true,
+        },
+        {
+          name: "Top channels",
+          value: fieldLines(summary.channels, ({ channelId, count }) => `<#${channelId}>: ${hits(count)}`, "No hits"),
+          inline: true,
+        },
+        {
+          name: `Rules with no hits (${summary.unused.length})`,
+          value: fieldLines(summary.unused, ({ channelId, rule }) => `${ruleSet(channelId)} ${formatRule(rule)}`, "Every rule has fired"),
+        }
+      )
+      .setFooter({ text: "Monitored matches are not counted here, see /nyd-admin monitor summary" })
+      .setTimestamp();
+
+    const file = new AttachmentBuilder(Buffer.from(ruleHitsCsv(summary)), { name: `nyd-stats-${interaction.guildId}-${days}d.csv` });
+    await interaction.reply({
+      content: `📊 Rule statistics for the last ${days} ${days === 1 ? "day" : "days"}. The attached CSV has the full breakdown.`,
+      embeds: [embed],
+      files: [file],
+      ephemeral: true,
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,24 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { replyAndLog } = require("../../../nyd-helpers");
+
+module.exports = {
+  capability: "strikes.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("clear")
+    .setDescription("Clear all strikes for a user")
+    .addUserOption((opt) => opt.setName("user").setDescription("User to clear").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+
+    const user = interaction.options.getUser("user");
+    if (!guildData.strikes.has(user.id)) {
+      await interaction.reply({ content: `⚠️ ${user.tag} has no strikes.`, ephemeral: true });
+      return;
+    }
+    guildData.strikes.delete(user.id);
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Cleared all strikes for ${user.tag}.`);
+  },
+};
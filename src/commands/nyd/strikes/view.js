@@ -0,0 +1,25 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { getEscalationConfig, activeStrikes } = require("../../../escalation");
+
+module.exports = {
+  capability: "strikes.view",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("view")
+    .setDescription("Show a user's active strikes")
+    .addUserOption((opt) => opt.setName("user").setDescription("User to check").setRequired(true)),
+
+  async execute(interaction, { store }) {
+    const guildData = store.get(interaction.guildId);
+
+    const user = interaction.options.getUser("user");
+    const { decayMs } = getEscalationConfig(guildData.settings);
+    const active = activeStrikes(guildData.strikes.get(user.id), decayMs);
+
+    if (active.length === 0) {
+      await interaction.reply({ content: `📋 ${user.tag} has no active strikes.`, ephemeral: true });
+      return;
+    }
+    const list = active.map((timestamp) => `• <t:${Math.floor(timestamp / 1000)}:R>`).join("\n");
+    await interaction.reply({ content: `📋 ${user.tag} has ${active.length} active strike(s):\n${list}`, ephemeral: true });
+  },
+};
@@ -0,0 +1,56 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { listRef } = require("../../shared-lists");
+const { listOption, sharedListFromOptions, replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("subscribe")
+    .setDescription("Subscribe to a shared blocklist")
+    .addStringOption(listOption)
+    .addBooleanOption((opt) => opt.setName("enabled").setDescription("False to unsubscribe").setRequired(false)),
+
+  async execute(interaction, { store, sharedLists }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { subscriptions } = guildData;
+
+    // Unsubscribing works on the stored references, so lists that were deleted since can still be dropped. A bare
+    // name drops the one subscription with that name.
+    if (interaction.options.getBoolean("enabled") === false) {
+      const input = interaction.options.getString("list").trim().toLowerCase();
+      const matches = Array.from(subscriptions).filter((ref) => ref === input || ref.split("#")[0] === input);
+      if (matches.length === 0) {
+        await interaction.reply({ content: `⚠️ This server is not subscribed to \`${input}\`.`, ephemeral: true });
+        return;
+      }
+      if (matches.length > 1) {
+        await interaction.reply({
+          content: `❌ This server subscribes to several lists called \`${input}\`: ${matches.map((ref) => `\`${ref}\``).join(", ")}. Pick one.`,
+          ephemeral: true,
+        });
+        return;
+      }
+      subscriptions.delete(matches[0]);
+      store.save(guildId);
+      await replyAndLog(interaction, store, `✅ Unsubscribed from the shared list \`${matches[0]}\`.`);
+      return;
+    }
+
+    const list = await sharedListFromOptions(interaction, { store, sharedLists });
+    if (!list) return;
+    const ref = listRef(list);
+    if (subscriptions.has(ref)) {
+      await interaction.reply({ content: `⚠️ This server is already subscribed to \`${ref}\`.`, ephemeral: true });
+      return;
+    }
+
+    subscriptions.add(ref);
+    store.save(guildId);
+    await replyAndLog(
+      interaction,
+      store,
+      `✅ Subscribed to the shared list \`${ref}\` (${list.rules.size} rules). Its rules now apply server-wide and follow every edit its owner makes.`
+    );
+  },
+};
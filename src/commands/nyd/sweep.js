@@ -0,0 +1,159 @@
+const { SlashCommandSubcommandBuilder, ChannelType, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require("discord.js");
+const { DEFAULT_SWEEP_LIMIT, MAX_SWEEP_LIMIT, isSweeping, cancelSweep, sweepChannel } = require("../../sweep");
+const { parseDuration, formatDuration } = require("../../duration");
+const { fetchLogChannel } = require("../../audit-log");
+const { logConfigChange } = require("../../nyd-helpers");
+
+// Interaction tokens expire after 15 minutes, after which the reply can no longer be edited or cancelled
+const CANCEL_TIMEOUT_MS = 14 * 60 * 1000;
+
+function describeProgress(progress, preview) {
+  const found = preview ? "would be deleted" : `broke the rules, ${progress.deleted} deleted`;
+  const failed = progress.failed > 0 ? `, ${progress.failed} could not be deleted` : "";
+  return `${progress.scanned} messages checked, ${progress.matched} ${found}${failed}`;
+}
+
+// Show the sweep's status by editing the reply while the interaction token is valid, then in one message in the log
+// channel that is edited as the sweep goes on, so a long sweep still reports its progress and result without posting
+// in the channel being swept. Without a log channel the status is only logged to the console. A status that cannot
+// be shown is logged rather than stopping the sweep.
+function statusReporter(interaction, store) {
+  let message = null;
+  return async (content, { final = false } = {}) => {
+    try {
+      if (Date.now() - interaction.createdTimestamp < CANCEL_TIMEOUT_MS) {
+        await interaction.editReply(final ? { content, components: [] } : content);
+        return;
+      }
+      if (message) {
+        await message.edit(content);
+        return;
+      }
+      const { logChannelId } = store.get(interaction.guildId).settings;
+      const logChannel = logChannelId && (await fetchLogChannel(interaction.guild, logChannelId));
+      if (logChannel) message = await logChannel.send({ content, allowedMentions: { parse: [] } });
+      else console.log(`🧹 [Sweep] ${content}`);
+    } catch (err) {
+      console.error("[Sweep] Could not show the sweep status:", err.message);
+    }
+  };
+}
+
+module.exports = {
+  capability: "sweep.run",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("sweep")
+    .setDescription("Delete earlier messages in a channel that break the current rules")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Channel or thread to sweep")
+        .setRequired(true)
+        .addChannelTypes(
+          ChannelType.GuildText,
+          ChannelType.GuildAnnouncement,
+          ChannelType.PublicThread,
+          ChannelType.PrivateThread,
+          ChannelType.AnnouncementThread
+        )
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("limit")
+        .setDescription(`Most messages to check, newest first (default ${DEFAULT_SWEEP_LIMIT}, or ${MAX_SWEEP_LIMIT} with since)`)
+        .setMinValue(1)
+        .setMaxValue(MAX_SWEEP_LIMIT)
+    )
+    .addStringOption((opt) => opt.setName("since").setDescription("Only check messages sent within this long, e.g. 12h or 7d"))
+    .addBooleanOption((opt) => opt.setName("preview").setDescription("Only count the messages that would be deleted"))
+    .addBooleanOption((opt) => opt.setName("cancel").setDescription("Stop the sweep running in the channel instead of starting one")),
+
+  async execute(interaction, { store, moderator }) {
+    const channel = interaction.options.getChannel("channel");
+    const sinceText = interaction.options.getString("since");
+    const preview = Boolean(interaction.options.getBoolean("preview"));
+
+    // The Cancel button stops working with the reply after 15 minutes, so longer sweeps are cancelled with this option
+    if (interaction.options.getBoolean("cancel")) {
+      if (!cancelSweep(channel.id)) {
+        await interaction.reply({ content: `⚠️ ${channel} is not being swept.`, ephemeral: true });
+        return;
+      }
+      await interaction.reply({ content: `❎ Cancelling the sweep of ${channel}. It stops before its next page.`, ephemeral: true });
+      return;
+    }
+
+    const sinceMs = parseDuration(sinceText);
+    // A time range should be covered in full, so it is only cut short by an explicit limit or the maximum
+    const limit = interaction.options.getInteger("limit") || (sinceMs ? MAX_SWEEP_LIMIT : DEFAULT_SWEEP_LIMIT);
+    if (sinceText && !sinceMs) {
+      await interaction.reply({ content: "❌ Invalid duration. Use a format like `30m`, `12h` or `7d`.", ephemeral: true });
+      return;
+    }
+    if (!moderator.hasRules(channel, { restrictions: false })) {
+      await interaction.reply({ content: `⚠️ No rules apply in ${channel}, so there is nothing to sweep.`, ephemeral: true });
+      return;
+    }
+    if (!preview && !interaction.guild.members.me.permissions.has("ManageMessages")) {
+      await interaction.reply({ content: "❌ I need the Manage Messages permission to delete messages.", ephemeral: true });
+      return;
+    }
+    if (isSweeping(channel.id)) {
+      await interaction.reply({ content: `⚠️ ${channel} is already being swept.`, ephemeral: true });
+      return;
+    }
+
+    const action = preview ? "🔎 Previewing sweep" : "🧹 Sweeping";
+    const range = sinceMs ? `messages from the last ${formatDuration(sinceMs)}` : `the last ${limit} messages`;
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("sweep-cancel").setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+    );
+    const response = await interaction.reply({
+      content: `${action} ${range} of ${channel}…`,
+      components: [row],
+      ephemeral: true,
+      fetchReply: true,
+    });
+
+    // The cancel button only stops the sweep before its next page; messages already deleted stay deleted
+    let cancelled = false;
+    const collector = response.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      filter: (i) => i.user.id === interaction.user.id && i.customId === "sweep-cancel",
+      max: 1,
+      time: CANCEL_TIMEOUT_MS,
+    });
+    collector.on("collect", async (button) => {
+      cancelled = true;
+      await button.deferUpdate().catch(() => {});
+    });
+
+    const report = statusReporter(interaction, store);
+    let progress;
+    try {
+      progress = await sweepChannel(channel, moderator, {
+        limit,
+        since: sinceMs ? Date.now() - sinceMs : 0,
+        preview,
+        isCancelled: () => cancelled,
+        onProgress: (current) => report(`${action} ${channel}… ${describeProgress(current, preview)}.`),
+      });
+    } catch (err) {
+      console.error(`[Sweep] Failed to sweep #${channel.name}:`, err.message);
+      await report(`❌ Sweep of ${channel} failed: ${err.message}`, { final: true });
+      return;
+    } finally {
+      collector.stop();
+    }
+
+    const status = progress.cancelled ? "❎ Sweep cancelled" : preview ? "🔎 Sweep preview" : "✅ Sweep finished";
+    const next = preview && progress.matched > 0 ? " Run the sweep again without `preview` to delete them." : "";
+    const truncated =
+      sinceMs && progress.limitReached
+        ? ` Stopped at the limit of ${limit} messages, so older messages in that range were not checked.`
+        : "";
+    const summary = `${status} for ${channel}: ${describeProgress(progress, preview)}.${next}${truncated}`;
+    await report(summary, { final: true });
+    if (progress.deleted > 0) await logConfigChange(interaction, store, summary);
+  },
+};
@@ -0,0 +1,29 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { ruleKey, findRules, formatRule } = require("../../rules");
+const { matchTypeOption, replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("unblock-global")
+    .setDescription("Remove a globally blocked partial from this server")
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription("Partial to remove").setRequired(true))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { globalBlockRules } = guildData;
+
+    const partial = interaction.options.getString("filtered_partial");
+    const matches = findRules(globalBlockRules, partial, interaction.options.getString("type"));
+
+    if (matches.length === 0) {
+      await interaction.reply({ content: `⚠️ "${partial}" was not globally blocked.`, ephemeral: true });
+      return;
+    }
+    for (const rule of matches) globalBlockRules.delete(ruleKey(rule));
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Removed ${matches.map(formatRule).join(", ")} from global block list.`);
+  },
+};
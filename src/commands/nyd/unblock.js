@@ -0,0 +1,31 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { ruleKey, findRules, formatRule } = require("../../rules");
+const { matchTypeOption, replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "rules.edit",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("unblock")
+    .setDescription("Remove a blocked partial from a channel or category")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel or category to modify").setRequired(true))
+    .addStringOption((opt) => opt.setName("filtered_partial").setDescription("Partial to remove").setRequired(true))
+    .addStringOption(matchTypeOption),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { blockRules } = guildData;
+
+    const channel = interaction.options.getChannel("channel");
+    const partial = interaction.options.getString("filtered_partial");
+    const matches = findRules(blockRules.get(channel.id), partial, interaction.options.getString("type"));
+
+    if (matches.length === 0) {
+      await interaction.reply({ content: `⚠️ "${partial}" was not blocked in ${channel}.`, ephemeral: true });
+      return;
+    }
+    for (const rule of matches) blockRules.get(channel.id).delete(ruleKey(rule));
+    store.save(guildId);
+    await replyAndLog(interaction, store, `✅ Removed ${matches.map(formatRule).join(", ")} from ${channel} block list.`);
+  },
+};
@@ -0,0 +1,69 @@
+const { SlashCommandSubcommandBuilder } = require("discord.js");
+const { DEFAULT_WATCHMAN_SETTINGS } = require("../../data-manager");
+const { replyAndLog } = require("../../nyd-helpers");
+
+module.exports = {
+  capability: "watchman.toggle",
+  data: new SlashCommandSubcommandBuilder()
+    .setName("watchman")
+    .setDescription("Re-check edited and recent messages in a channel")
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Channel to monitor").setRequired(true))
+    .addStringOption((opt) =>
+      opt
+        .setName("is_enabled")
+        .setDescription("Enable or disable watchman mode")
+        .setRequired(true)
+        .addChoices({ name: "Enable", value: "enable" }, { name: "Disable", value: "disable" })
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("lookback")
+        .setDescription(`Recent messages to re-check on each new message (default ${DEFAULT_WATCHMAN_SETTINGS.lookback})`)
+        .setMinValue(1)
+        .setMaxValue(100)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("window_minutes").setDescription("Only re-check messages sent within this many minutes").setMinValue(1)
+    ),
+
+  async execute(interaction, { store }) {
+    const guildId = interaction.guildId;
+    const guildData = store.get(guildId);
+    const { watchmanChannels } = guildData;
+
+    const channel = interaction.options.getChannel("channel");
+    const isEnabled = interaction.options.getString("is_enabled") === "enable";
+    const channelId = channel.id;
+
+    if (isEnabled) {
+      const lookback = interaction.options.getInteger("lookback");
+      const windowMinutes = interaction.options.getInteger("window_minutes");
+      if (watchmanChannels.has(channelId) && lookback === null && windowMinutes === null) {
+        await interaction.reply({ content: `⚠️ Watchman mode is already enabled for ${channel}.`, ephemeral: true });
+        return;
+      }
+
+      // Re-running the command on an enabled channel updates its settings
+      const settings = { ...DEFAULT_WATCHMAN_SETTINGS, ...watchmanChannels.get(channelId) };
+      if (lookback !== null) settings.lookback = lookback;
+      if (windowMinutes !== null) settings.windowMinutes = windowMinutes;
+      watchmanChannels.set(channelId, settings);
+      store.save(guildId);
+
+      const window = settings.windowMinutes ? ` sent within the last ${settings.windowMinutes} minutes` : "";
+      await replyAndLog(
+        interaction,
+        store,
+        `✅ Watchman mode enabled for ${channel}. The bot will now re-check edited messages and the latest ${settings.lookback} messages${window} for prohibited partials.`
+      );
+    } else {
+      if (!watchmanChannels.has(channelId)) {
+        await interaction.reply({ content: `⚠️ Watchman mode is already disabled for ${channel}.`, ephemeral: true });
+        return;
+      }
+      watchmanChannels.delete(channelId);
+      store.save(guildId);
+      await replyAndLog(interaction, store, `✅ Watchman mode disabled for ${channel}.`);
+    }
+  },
+};
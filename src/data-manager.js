@@ -1,21 +1,282 @@
 /*
  * Data Manager for NYD Bot
- * Handles persistent storage of bot data using JSON files
+ * Handles persistent storage of per-guild bot data through a storage backend (JSON files or SQLite).
+ * Saves are debounced so a burst of changes produces one write per guild.
  */
 
 const fs = require("fs").promises;
 const path = require("path");
+const { createRule, ruleKey } = require("./rules");
+const { createStorage } = require("./storage");
+const { writeFileAtomic } = require("./storage/atomic-write");
+const { createAllowEntry } = require("./allowlist");
+const { CAPABILITIES } = require("./permissions");
+const { CHANNEL_MODES } = require("./channel-modes");
+
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+// Per-guild backup settings stored in guild settings
+const DEFAULT_BACKUP_SETTINGS = { retention: 10, intervalHours: null, lastBackupAt: null };
+
+// Exports and imports are capped so a huge attachment cannot exhaust memory
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const EXPORT_VERSION = 1;
+
+const BACKUP_NAME_PATTERN = /^backup-[\w-]+\.json$/;
+
+// Rule collections are Map<ruleKey, rule> in memory and arrays of { type, pattern, monitor? } on disk.
+// Plain strings from older data files are loaded as substring rules.
+function deserializeRules(entries) {
+  const rules = new Map();
+  for (const entry of entries || []) {
+    try {
+      const rule = typeof entry === "string" ? createRule("substring", entry) : createRule(entry.type, entry.pattern);
+      if (entry.monitor) rule.monitor = true;
+      if (entry.expiresAt) rule.expiresAt = entry.expiresAt;
+      rules.set(ruleKey(rule), rule);
+    } catch (error) {
+      console.error(`⚠️ Skipping invalid rule ${JSON.stringify(entry)}: ${error.message}`);
+    }
+  }
+  return rules;
+}
+
+// Optional flags are only written when set, so plain rules stay { type, pattern }
+function serializeRules(rules) {
+  return Array.from(rules.values()).map((rule) => {
+    const entry = { type: rule.type, pattern: rule.pattern };
+    if (rule.monitor) entry.monitor = true;
+    if (rule.expiresAt) entry.expiresAt = rule.expiresAt;
+    return entry;
+  });
+}
+
+// Watchman channels are Map<channelId, { lookback, windowMinutes }>.
+// Older data files stored a plain array of channel IDs, which get the default settings.
+const DEFAULT_WATCHMAN_SETTINGS = { lookback: 6, windowMinutes: null };
+
+function deserializeWatchman(entries) {
+  if (Array.isArray(entries)) {
+    return new Map(entries.map((channelId) => [channelId, { ...DEFAULT_WATCHMAN_SETTINGS }]));
+  }
+  return new Map(Object.entries(entries || {}).map(([channelId, settings]) => [channelId, { ...DEFAULT_WATCHMAN_SETTINGS, ...settings }]));
+}
+
+// Allowlisted users and roles are Map<id, entry[]> (see allowlist.js).
+// Older data files stored a plain array of IDs, which become permanent entries that apply everywhere.
+function deserializeAllowEntries(entries) {
+  if (Array.isArray(entries)) return new Map(entries.map((id) => [id, [createAllowEntry()]]));
+  return new Map(Object.entries(entries || {}).map(([id, list]) => [id, list.map((entry) => createAllowEntry(entry))]));
+}
+
+// Everything the bot stores for one guild
+function createGuildData() {
+  return {
+    blockRules: new Map(),
+    globalBlockRules: new Map(),
+    allowList: { users: new Map(), roles: new Map() },
+    watchmanChannels: new Map(),
+    settings: {},
+    strikes: new Map(),
+    // Capabilities granted to roles, Map<roleId, Set<capability>>
+    permissions: new Map(),
+    // "blocklist" or "allowlist-domains" per channel, Map<channelId, mode> (see channel-modes.js)
+    channelModes: new Map(),
+    // Domains permitted in allowlist-domains channels, Map<channelId, Set<domain>>
+    approvedDomains: new Map(),
+    // Matches logged instead of deleted in monitor mode, Map<hitKey, { count, lastHitAt }> (see monitor.js)
+    monitorHits: new Map(),
+    // Deletions per day, Map<"YYYY-MM-DD", { rules, channels, users }> counting hits by hitKey, channel and user ID (see rule-stats.js)
+    ruleHits: new Map(),
+    // Names of the shared lists the guild subscribes to, Set<name> (see shared-lists.js)
+    subscriptions: new Set(),
+  };
+}
+
+// Convert arrays and objects back to Maps and Sets
+function deserializeGuild(data) {
+  return {
+    blockRules: new Map(Object.entries(data.blockRules || {}).map(([k, v]) => [k, deserializeRules(v)])),
+    globalBlockRules: deserializeRules(data.globalBlockRules),
+    allowList: {
+      users: deserializeAllowEntries(data.allowList && data.allowList.users),
+      roles: deserializeAllowEntries(data.allowList && data.allowList.roles),
+    },
+    watchmanChannels: deserializeWatchman(data.watchmanChannels),
+    settings: data.settings || {},
+    strikes: new Map(Object.entries(data.strikes || {})),
+    permissions: new Map(Object.entries(data.permissions || {}).map(([roleId, capabilities]) => [roleId, new Set(capabilities)])),
+    channelModes: new Map(Object.entries(data.channelModes || {})),
+    approvedDomains: new Map(Object.entries(data.approvedDomains || {}).map(([channelId, domains]) => [channelId, new Set(domains)])),
+    monitorHits: new Map(Object.entries(data.monitorHits || {})),
+    ruleHits: new Map(Object.entries(data.ruleHits || {})),
+    subscriptions: new Set(data.subscriptions || []),
+  };
+}
+
+// Shape checks for imported data, so a hand-edited file cannot load values the commands never produce
+const ID_PATTERN = /^\d+$/;
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+function isIdList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && ID_PATTERN.test(item));
+}
+
+// An object whose keys are IDs (or match keyPattern) and whose values pass isValid
+function isObjectOf(value, isValid, keyPattern = ID_PATTERN) {
+  return isObject(value) && Object.entries(value).every(([key, item]) => keyPattern.test(key) && isValid(item));
+}
+
+function isRuleList(value) {
+  return Array.isArray(value) && value.every((entry) => typeof entry === "string" || (isObject(entry) && typeof entry.type === "string"));
+}
+
+function isAllowEntry(entry) {
+  return (
+    isObject(entry) &&
+    ["channels", "rules", "domains"].every((key) => entry[key] === undefined || isStringList(entry[key])) &&
+    (entry.expiresAt === undefined || entry.expiresAt === null || Number.isFinite(entry.expiresAt))
+  );
+}
+
+function isAllowEntries(value) {
+  return value === undefined || isIdList(value) || isObjectOf(value, (list) => Array.isArray(list) && list.every(isAllowEntry));
+}
+
+// Settings are objects per feature, except the log channel ID
+const SETTING_SHAPES = {
+  logChannelId: (value) => value === null || (typeof value === "string" && ID_PATTERN.test(value)),
+  notify: isObject,
+  escalation: isObject,
+  backup: isObject,
+  linkExpansion: isObject,
+  scanSources: isObject,
+  antiSpam: isObject,
+  memberRestrictions: isObject,
+  monitor: isObject,
+};
+
+// Each guild data field with its check and a description for the error
+const FIELD_SHAPES = {
+  blockRules: [(value) => isObjectOf(value, isRuleList), "channel IDs mapped to rule lists"],
+  globalBlockRules: [isRuleList, "a rule list"],
+  allowList: [(value) => isObject(value) && isAllowEntries(value.users) && isAllowEntries(value.roles), "user and role allowlist entries"],
+  watchmanChannels: [(value) => isIdList(value) || isObjectOf(value, isObject), "channel IDs mapped to watchman settings"],
+  settings: [
+    (value) =>
+      isObject(value) && Object.entries(value).every(([key, item]) => Object.hasOwn(SETTING_SHAPES, key) && SETTING_SHAPES[key](item)),
+    "known settings",
+  ],
+  strikes: [(value) => isObjectOf(value, (list) => Array.isArray(list) && list.every(Number.isFinite)), "user IDs mapped to strike times"],
+  permissions: [
+    (value) => isObjectOf(value, (list) => isStringList(list) && list.every((capability) => Object.hasOwn(CAPABILITIES, capability))),
+    "role IDs mapped to capabilities",
+  ],
+  channelModes: [(value) => isObjectOf(value, (mode) => Object.hasOwn(CHANNEL_MODES, mode)), "channel IDs mapped to channel modes"],
+  approvedDomains: [(value) => isObjectOf(value, isStringList), "channel IDs mapped to domain lists"],
+  monitorHits: [(value) => isObjectOf(value, isObject, /./), "monitor hit counts"],
+  ruleHits: [(value) => isObjectOf(value, isObject, /^\d{4}-\d{2}-\d{2}$/), "deletion counts per day"],
+  subscriptions: [isStringList, "a list of shared list references"],
+};
+
+// The first field of serialized guild data with the wrong shape, as a readable reason, or null
+function findShapeError(data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (!Object.hasOwn(FIELD_SHAPES, field)) return `unknown field "${field}"`;
+    const [isValid, expected] = FIELD_SHAPES[field];
+    if (!isValid(value)) return `"${field}" should be ${expected}`;
+  }
+  return null;
+}
+
+// Convert Maps and Sets to JSON-serializable format
+function serializeGuild(guildData) {
+  return {
+    blockRules: Object.fromEntries(Array.from(guildData.blockRules.entries()).map(([k, v]) => [k, serializeRules(v)])),
+    globalBlockRules: serializeRules(guildData.globalBlockRules),
+    allowList: {
+      users: Object.fromEntries(guildData.allowList.users),
+      roles: Object.fromEntries(guildData.allowList.roles),
+    },
+    watchmanChannels: Object.fromEntries(guildData.watchmanChannels),
+    settings: guildData.settings,
+    strikes: Object.fromEntries(guildData.strikes),
+    permissions: Object.fromEntries(
+      Array.from(guildData.permissions.entries()).map(([roleId, capabilities]) => [roleId, Array.from(capabilities)])
+    ),
+    channelModes: Object.fromEntries(guildData.channelModes),
+    approvedDomains: Object.fromEntries(
+      Array.from(guildData.approvedDomains.entries()).map(([channelId, domains]) => [channelId, Array.from(domains)])
+    ),
+    monitorHits: Object.fromEntries(guildData.monitorHits),
+    ruleHits: Object.fromEntries(guildData.ruleHits),
+    subscriptions: Array.from(guildData.subscriptions),
+  };
+}
+
+// Split the old single-file format (channel-keyed rules shared by every guild) into per-guild data.
+// resolveChannelGuild(channelId) returns the guild ID owning a channel, or null if unknown.
+function splitLegacyData(parsedData, resolveChannelGuild) {
+  const guilds = new Map();
+  const unresolvedChannels = [];
+  const guildFor = (guildId) => {
+    if (!guilds.has(guildId)) guilds.set(guildId, {});
+    return guilds.get(guildId);
+  };
+
+  for (const [channelId, rules] of Object.entries(parsedData.blockRules || {})) {
+    const guildId = resolveChannelGuild(channelId);
+    if (!guildId) {
+      unresolvedChannels.push(channelId);
+      continue;
+    }
+    const guild = guildFor(guildId);
+    guild.blockRules = { ...guild.blockRules, [channelId]: rules };
+  }
+
+  for (const [channelId, settings] of deserializeWatchman(parsedData.watchmanChannels)) {
+    const guildId = resolveChannelGuild(channelId);
+    if (!guildId) {
+      unresolvedChannels.push(channelId);
+      continue;
+    }
+    const guild = guildFor(guildId);
+    guild.watchmanChannels = { ...guild.watchmanChannels, [channelId]: settings };
+  }
+
+  for (const [guildId, rules] of Object.entries(parsedData.globalBlockRules || {})) guildFor(guildId).globalBlockRules = rules;
+  for (const [guildId, allowList] of Object.entries(parsedData.allowLists || {})) guildFor(guildId).allowList = allowList;
+  for (const [guildId, settings] of Object.entries(parsedData.guildSettings || {})) guildFor(guildId).settings = settings;
+  for (const [guildId, strikes] of Object.entries(parsedData.strikes || {})) guildFor(guildId).strikes = strikes;
+
+  return { guilds, unresolvedChannels };
+}
 
 class DataManager {
-  constructor() {
-    this.dataDir = path.join(__dirname, "..", "data");
-    this.dataFile = path.join(this.dataDir, "bot-data.json");
-    this.defaultData = {
-      blockRules: {},
-      globalBlockRules: {},
-      allowLists: {},
-      watchmanChannels: [],
-    };
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, "..", "data");
+    // Single-file format used before data was stored per guild
+    this.legacyFile = path.join(this.dataDir, "bot-data.json");
+    this.backend = options.backend || process.env.STORAGE_BACKEND || "json";
+    this.storage = createStorage(this.backend, this.dataDir);
+
+    // Debounced save queue: guilds waiting to be written, and the chain of running flushes
+    this.saveDelayMs = options.saveDelayMs ?? DEFAULT_SAVE_DELAY_MS;
+    this.pendingSaves = new Map();
+    this.saveTimer = null;
+    this.flushing = Promise.resolve();
+
+    // Saves are refused for guilds (or all data, if storage could not be read) whose stored data is corrupt
+    // and could not be moved aside or read, so the damaged data is never overwritten
+    this.writeProtectedGuilds = new Set();
+    this.saveBlocked = false;
   }
 
   // Ensure data directory exists
@@ -28,121 +289,352 @@ class DataManager {
     }
   }
 
-  // Load data from file
-  async loadData() {
+  // Load all guild data. Returns Map<guildId, guildData>.
+  // If the storage is empty and an old bot-data.json exists, it is migrated first.
+  // Corrupt guild data is moved aside and restored from the most recent backup when possible.
+  async loadData(resolveChannelGuild = () => null) {
+    await this.ensureDataDir();
+
+    let stored;
     try {
-      await this.ensureDataDir();
-      const data = await fs.readFile(this.dataFile, "utf8");
-      const parsedData = JSON.parse(data);
-
-      // Convert arrays back to Maps and Sets
-      const convertedData = {
-        blockRules: new Map(Object.entries(parsedData.blockRules || {}).map(([k, v]) => [k, new Set(v)])),
-        globalBlockRules: new Map(Object.entries(parsedData.globalBlockRules || {}).map(([k, v]) => [k, new Set(v)])),
-        allowLists: new Map(
-          Object.entries(parsedData.allowLists || {}).map(([k, v]) => [
-            k,
-            {
-              users: new Set(v.users || []),
-              roles: new Set(v.roles || []),
-            },
-          ])
-        ),
-        watchmanChannels: new Set(parsedData.watchmanChannels || []),
-      };
-
-      console.log("📂 Loaded bot data from file");
-      return convertedData;
+      await this.storage.init();
+      let loaded = await this.storage.loadAll();
+      if (loaded.guilds.size === 0 && loaded.corrupt.length === 0 && (await this.migrateLegacyFile(resolveChannelGuild))) {
+        loaded = await this.storage.loadAll();
+      }
+      stored = loaded.guilds;
+
+      for (const guildId of loaded.corrupt) {
+        const restored = await this.recoverGuild(guildId, resolveChannelGuild);
+        if (restored) stored.set(guildId, restored);
+      }
     } catch (error) {
-      if (error.code === "ENOENT") {
-        console.log("📂 No existing data file found, starting with empty data");
-        return {
-          blockRules: new Map(),
-          globalBlockRules: new Map(),
-          allowLists: new Map(),
-          watchmanChannels: new Set(),
-        };
+      // Storage is unreadable: never write over it, run from the latest backup (or empty) instead
+      this.saveBlocked = true;
+      console.error(`❌ Error loading data from ${this.backend} storage:`, error.message);
+      console.error("🔒 Saving is disabled until the storage problem is fixed and the bot is restarted");
+      stored = await this.findLatestBackups(resolveChannelGuild);
+      console.log(stored.size > 0 ? `🔄 Running ${stored.size} guild(s) from their latest backups` : "🔄 Starting with empty data");
+    }
+
+    const guilds = new Map();
+    for (const [guildId, data] of stored) {
+      try {
+        guilds.set(guildId, deserializeGuild(data));
+      } catch (error) {
+        // Valid JSON with the wrong shape: leave it untouched and run the guild with empty data
+        this.writeProtectedGuilds.add(guildId);
+        console.error(`🔒 Could not read data for guild ${guildId} (${error.message}); saving is disabled for it`);
       }
-      console.error("❌ Error loading data:", error.message);
-      console.log("🔄 Starting with default data");
-      return {
-        blockRules: new Map(),
-        globalBlockRules: new Map(),
-        allowLists: new Map(),
-        watchmanChannels: new Set(),
-      };
     }
+
+    console.log(`📂 Loaded bot data for ${guilds.size} guild(s) from ${this.backend} storage`);
+    return guilds;
   }
 
-  // Save data to file
-  async saveData(data) {
+  // Handle a guild whose stored data cannot be parsed. Returns restored serialized data, or null.
+  async recoverGuild(guildId, resolveChannelGuild) {
     try {
-      await this.ensureDataDir();
-
-      // Convert Maps and Sets to JSON-serializable format
-      const serializableData = {
-        blockRules: Object.fromEntries(Array.from(data.blockRules.entries()).map(([k, v]) => [k, Array.from(v)])),
-        globalBlockRules: Object.fromEntries(Array.from(data.globalBlockRules.entries()).map(([k, v]) => [k, Array.from(v)])),
-        allowLists: Object.fromEntries(
-          Array.from(data.allowLists.entries()).map(([k, v]) => [
-            k,
-            {
-              users: Array.from(v.users),
-              roles: Array.from(v.roles),
-            },
-          ])
-        ),
-        watchmanChannels: Array.from(data.watchmanChannels),
-      };
-
-      await fs.writeFile(this.dataFile, JSON.stringify(serializableData, null, 2));
-      console.log("💾 Bot data saved successfully");
+      const location = await this.storage.quarantineGuild(guildId);
+      console.warn(`⚠️ Moved corrupt data for guild ${guildId} to ${location}`);
     } catch (error) {
-      console.error("❌ Error saving data:", error.message);
+      this.writeProtectedGuilds.add(guildId);
+      console.error(`🔒 Could not move corrupt data for guild ${guildId} aside (${error.message}); saving is disabled for it`);
+    }
+
+    const backup = await this.findLatestBackup(resolveChannelGuild, guildId);
+    if (!backup) {
+      console.warn(`⚠️ No backup contains guild ${guildId}, starting it with empty data`);
+      return null;
+    }
+
+    const data = backup.guilds.get(guildId);
+    if (!this.writeProtectedGuilds.has(guildId)) {
+      await this.storage.saveGuild(guildId, data);
+    }
+    console.log(`🔄 Restored guild ${guildId} from backup ${backup.file}`);
+    return data;
+  }
+
+  // Directory holding a guild's backups (data/backups/<guildId>)
+  backupDir(guildId) {
+    if (!/^\d+$/.test(guildId)) throw new Error(`Invalid guild ID "${guildId}"`);
+    return path.join(this.dataDir, "backups", guildId);
+  }
+
+  // List backup-*.json files in a directory, newest first (names start with an ISO timestamp)
+  async listBackupFiles(dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
       throw error;
     }
+    return files
+      .filter((file) => BACKUP_NAME_PATTERN.test(file))
+      .sort()
+      .reverse();
+  }
+
+  // Read a backup file into Map<guildId, serialized guild data>. Accepts the per-guild format
+  // ({ guilds: {...} }) and the older single-file format, which is split by guild.
+  async readBackup(file, resolveChannelGuild = () => null) {
+    const parsedData = JSON.parse(await fs.readFile(file, "utf8"));
+    if (parsedData.guilds) return new Map(Object.entries(parsedData.guilds));
+    return splitLegacyData(parsedData, resolveChannelGuild).guilds;
   }
 
-  // Create backup of current data
-  async createBackup(data) {
+  // Find the most recent readable backup (optionally one that contains a given guild).
+  // A guild's own backups are searched first, then bot-wide backups from older versions.
+  async findLatestBackup(resolveChannelGuild, guildId = null) {
+    const files = [];
     try {
-      await this.ensureDataDir();
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const backupFile = path.join(this.dataDir, `backup-${timestamp}.json`);
-
-      const serializableData = {
-        blockRules: Object.fromEntries(Array.from(data.blockRules.entries()).map(([k, v]) => [k, Array.from(v)])),
-        globalBlockRules: Object.fromEntries(Array.from(data.globalBlockRules.entries()).map(([k, v]) => [k, Array.from(v)])),
-        allowLists: Object.fromEntries(
-          Array.from(data.allowLists.entries()).map(([k, v]) => [
-            k,
-            {
-              users: Array.from(v.users),
-              roles: Array.from(v.roles),
-            },
-          ])
-        ),
-        watchmanChannels: Array.from(data.watchmanChannels),
-      };
-
-      await fs.writeFile(backupFile, JSON.stringify(serializableData, null, 2));
-      console.log(`💾 Backup created: ${backupFile}`);
+      if (guildId) {
+        const dir = this.backupDir(guildId);
+        files.push(...(await this.listBackupFiles(dir)).map((file) => path.join(dir, file)));
+      }
+      files.push(...(await this.listBackupFiles(this.dataDir)).map((file) => path.join(this.dataDir, file)));
+    } catch (error) {
+      console.error("❌ Error listing backups:", error.message);
+      return null;
+    }
+
+    for (const file of files) {
+      try {
+        const guilds = await this.readBackup(file, resolveChannelGuild);
+        if (!guildId || guilds.has(guildId)) return { file: path.basename(file), guilds };
+      } catch (error) {
+        console.error(`❌ Skipping unreadable backup ${file}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  // Find the latest backup of every guild, for when the storage cannot be read: each guild in data/backups from its
+  // own backups, then guilds that only bot-wide backups from older versions contain. Returns Map<guildId, serialized
+  // guild data>.
+  async findLatestBackups(resolveChannelGuild) {
+    let guildIds;
+    try {
+      guildIds = (await fs.readdir(path.join(this.dataDir, "backups"))).filter((name) => /^\d+$/.test(name));
+    } catch (error) {
+      if (error.code !== "ENOENT") console.error("❌ Error listing backups:", error.message);
+      guildIds = [];
+    }
+
+    const guilds = new Map();
+    for (const guildId of guildIds) {
+      const backup = await this.findLatestBackup(resolveChannelGuild, guildId);
+      if (!backup) continue;
+      guilds.set(guildId, backup.guilds.get(guildId));
+      console.log(`🔄 Using backup ${backup.file} for guild ${guildId}`);
+    }
+
+    const legacy = await this.findLatestBackup(resolveChannelGuild);
+    if (legacy) {
+      for (const [guildId, data] of legacy.guilds) if (!guilds.has(guildId)) guilds.set(guildId, data);
+    }
+    return guilds;
+  }
+
+  // Migrate data/bot-data.json into the storage backend. Returns true if anything was migrated.
+  async migrateLegacyFile(resolveChannelGuild) {
+    let parsedData;
+    try {
+      parsedData = JSON.parse(await fs.readFile(this.legacyFile, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+
+      // The old file is left untouched; restore from the newest backup instead of starting empty
+      console.error("❌ Error reading legacy data file:", error.message);
+      const backup = await this.findLatestBackup(resolveChannelGuild);
+      if (!backup) {
+        // Saves would fill the empty storage, and the legacy file is only migrated into empty storage
+        this.saveBlocked = true;
+        console.error("🔒 Saving is disabled until the legacy data file is fixed and the bot is restarted");
+        return false;
+      }
+      for (const [guildId, data] of backup.guilds) {
+        await this.storage.saveGuild(guildId, data);
+      }
+      console.log(`🔄 Restored ${backup.guilds.size} guild(s) from backup ${backup.file}`);
+      return backup.guilds.size > 0;
+    }
+
+    const { guilds, unresolvedChannels } = splitLegacyData(parsedData, resolveChannelGuild);
+    for (const [guildId, data] of guilds) {
+      await this.storage.saveGuild(guildId, serializeGuild(deserializeGuild(data)));
+    }
+
+    // Keep the old file around (renamed) so nothing is lost, e.g. rules for channels the bot can no longer see
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    await fs.rename(this.legacyFile, path.join(this.dataDir, `bot-data.migrated-${timestamp}.json`));
+
+    console.log(`🔀 Migrated bot-data.json into ${guilds.size} guild(s)`);
+    if (unresolvedChannels.length > 0) {
+      console.warn(`⚠️ Could not find the guild for channel(s) ${unresolvedChannels.join(", ")}; their rules were not migrated`);
+    }
+    return guilds.size > 0;
+  }
+
+  // Queue a guild to be saved. Changes made within saveDelayMs are coalesced into one write.
+  scheduleSave(guildId, guildData) {
+    this.pendingSaves.set(guildId, guildData);
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelayMs);
+  }
+
+  // Write all queued guilds now. Flushes run one after another so writes never overlap.
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.flushing = this.flushing.then(() => this.writePendingSaves());
+    return this.flushing;
+  }
+
+  async writePendingSaves() {
+    const pending = this.pendingSaves;
+    this.pendingSaves = new Map();
+    for (const [guildId, guildData] of pending) {
+      try {
+        await this.saveGuild(guildId, guildData);
+      } catch (error) {
+        // saveGuild already logged the failure; keep writing the other guilds
+      }
+    }
+  }
+
+  // Save one guild's data immediately
+  async saveGuild(guildId, guildData) {
+    if (this.saveBlocked || this.writeProtectedGuilds.has(guildId)) {
+      const error = new Error(`Refusing to save guild ${guildId}: its stored data is corrupt and was not moved aside`);
+      console.error(`❌ ${error.message}`);
+      throw error;
+    }
+
+    try {
+      await this.storage.saveGuild(guildId, serializeGuild(guildData));
+      console.log(`💾 Bot data saved for guild ${guildId}`);
+    } catch (error) {
+      console.error(`❌ Error saving data for guild ${guildId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Create a backup of one guild's data and rotate old backups. Returns the backup name.
+  // label is appended to the name, e.g. "pre-restore". Errors are thrown to the caller.
+  async createBackup(guildId, guildData, { retention = DEFAULT_BACKUP_SETTINGS.retention, label = "" } = {}) {
+    const dir = this.backupDir(guildId);
+    await fs.mkdir(dir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const name = `backup-${timestamp}${label ? `-${label}` : ""}.json`;
+    const serializableData = { guilds: { [guildId]: serializeGuild(guildData) } };
+
+    try {
+      await writeFileAtomic(path.join(dir, name), JSON.stringify(serializableData, null, 2));
+    } catch (error) {
+      console.error(`❌ Error creating backup for guild ${guildId}:`, error.message);
+      throw error;
+    }
+    console.log(`💾 Backup created: ${path.join(dir, name)}`);
+
+    await this.rotateBackups(guildId, retention);
+    return name;
+  }
+
+  // Delete all but the newest `retention` backups of a guild
+  async rotateBackups(guildId, retention) {
+    const dir = this.backupDir(guildId);
+    const stale = (await this.listBackupFiles(dir)).slice(retention);
+    for (const file of stale) {
+      await fs.rm(path.join(dir, file), { force: true });
+      console.log(`🗑️ Rotated out old backup ${file}`);
+    }
+    return stale.length;
+  }
+
+  // List a guild's backups, newest first: [{ name, createdAt, size }]
+  async listBackups(guildId) {
+    const dir = this.backupDir(guildId);
+    const backups = [];
+    for (const name of await this.listBackupFiles(dir)) {
+      const stats = await fs.stat(path.join(dir, name));
+      backups.push({ name, createdAt: stats.mtime, size: stats.size });
+    }
+    return backups;
+  }
+
+  // Load one of a guild's backups as guild data. Throws if it does not exist or is unreadable.
+  async readGuildBackup(guildId, name) {
+    if (!BACKUP_NAME_PATTERN.test(name)) throw new Error(`"${name}" is not a backup name`);
+
+    let guilds;
+    try {
+      guilds = await this.readBackup(path.join(this.backupDir(guildId), name));
     } catch (error) {
-      console.error("❌ Error creating backup:", error.message);
+      if (error.code === "ENOENT") throw new Error(`Backup "${name}" does not exist`);
+      throw new Error(`Backup "${name}" is unreadable: ${error.message}`);
     }
+    if (!guilds.has(guildId)) throw new Error(`Backup "${name}" does not contain this server's data`);
+    return deserializeGuild(guilds.get(guildId));
+  }
+
+  // Serialize a guild's configuration for download
+  exportGuild(guildId, guildData) {
+    const data = serializeGuild(guildData);
+    // Strikes are moderation history, not configuration
+    delete data.strikes;
+    return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), guildId, data }, null, 2);
   }
 
-  // Get data statistics
-  getDataStats(data) {
+  // Parse an exported configuration back into guild data. Throws with a readable reason.
+  parseImport(text) {
+    if (Buffer.byteLength(text) > MAX_IMPORT_BYTES) throw new Error("File is larger than 1 MB");
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`File is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || parsed.version !== EXPORT_VERSION || typeof parsed.data !== "object" || parsed.data === null) {
+      throw new Error("File is not an NYD Bot export");
+    }
+    const shapeError = findShapeError(parsed.data);
+    if (shapeError) throw new Error(`File is not a valid NYD Bot export: ${shapeError}`);
+    return deserializeGuild(parsed.data);
+  }
+
+  // Get data statistics for one guild
+  getDataStats(guildData) {
     return {
-      channelsWithRules: data.blockRules.size,
-      serversWithGlobalRules: data.globalBlockRules.size,
-      serversWithAllowlists: data.allowLists.size,
-      watchmanChannels: data.watchmanChannels.size,
-      totalBlockRules: Array.from(data.blockRules.values()).reduce((sum, set) => sum + set.size, 0),
-      totalGlobalRules: Array.from(data.globalBlockRules.values()).reduce((sum, set) => sum + set.size, 0),
+      channelsWithRules: Array.from(guildData.blockRules.values()).filter((rules) => rules.size > 0).length,
+      totalBlockRules: Array.from(guildData.blockRules.values()).reduce((sum, rules) => sum + rules.size, 0),
+      totalGlobalRules: guildData.globalBlockRules.size,
+      allowlistedUsers: guildData.allowList.users.size,
+      allowlistedRoles: guildData.allowList.roles.size,
+      watchmanChannels: guildData.watchmanChannels.size,
     };
   }
+
+  // Write any queued saves and release the storage backend (closes the SQLite database)
+  async close() {
+    await this.flush();
+    await this.storage.close();
+  }
 }
 
 module.exports = DataManager;
+module.exports.DEFAULT_WATCHMAN_SETTINGS = DEFAULT_WATCHMAN_SETTINGS;
+module.exports.DEFAULT_BACKUP_SETTINGS = DEFAULT_BACKUP_SETTINGS;
+module.exports.MAX_IMPORT_BYTES = MAX_IMPORT_BYTES;
+module.exports.createGuildData = createGuildData;
+module.exports.serializeRules = serializeRules;
+module.exports.deserializeRules = deserializeRules;
@@ -1,39 +1,26 @@
-const { REST, Routes } = require("discord.js");
-const fs = require("fs");
-const path = require("path");
+const { REST } = require("discord.js");
+const { loadCommands } = require("./loader");
+const { registerCommands } = require("./command-registration");
 require("dotenv").config();
 
-const commands = [];
-// Grab all the command files from the commands directory
-const commandsPath = path.join(__dirname, "commands");
-const commandFiles = fs.readdirSync(commandsPath).filter((file) => file.endsWith(".js"));
-
-// Grab the SlashCommandBuilder#toJSON() output of each command's data for deployment
-for (const file of commandFiles) {
-  const command = require(`./commands/${file}`);
-  commands.push(command.data.toJSON());
-}
+// Grab all the command modules, including /nyd and its subcommands
+const commands = loadCommands();
 
 // Construct and prepare an instance of the REST module
 const rest = new REST().setToken(process.env.DISCORD_TOKEN);
 
-// and deploy your commands!
+// and deploy your commands! Set GUILD_ID to deploy to a single guild (faster, for development).
+// Unchanged definitions are skipped unless --force is passed.
 (async () => {
   try {
-    console.log(`Started refreshing ${commands.length} application (/) commands.`);
-
-    let data;
-    if (process.env.GUILD_ID) {
-      // Deploy to specific guild (faster, for development)
-      console.log(`Deploying to guild ${process.env.GUILD_ID}...`);
-      data = await rest.put(Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID), { body: commands });
-    } else {
-      // Deploy globally (slower, for production)
-      console.log("Deploying globally...");
-      data = await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), { body: commands });
-    }
-
-    console.log(`Successfully reloaded ${data.length} application (/) commands.`);
+    console.log(`Started refreshing ${commands.size} application (/) commands.`);
+    await registerCommands({
+      rest,
+      clientId: process.env.CLIENT_ID,
+      guildId: process.env.GUILD_ID || null,
+      commands,
+      force: process.argv.includes("--force"),
+    });
   } catch (error) {
     // And of course, make sure you catch and log any errors!
     console.error(error);
@@ -0,0 +1,44 @@
+/*
+ * Duration helpers for NYD Bot
+ * Parses short durations like "30s", "10m", "1h30m" or "7d" used by slash command options
+ */
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Parse a duration string into milliseconds. Returns null if the text is not a valid duration.
+function parseDuration(text) {
+  if (!text) return null;
+  const input = text.trim().toLowerCase().replace(/\s+/g, "");
+  if (!/^(\d+[smhdw])+$/.test(input)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of input.matchAll(/(\d+)([smhdw])/g)) {
+    total += Number(amount) * UNITS[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+// Format milliseconds as a compact duration, e.g. 5400000 -> "1h 30m"
+function formatDuration(ms) {
+  const parts = [];
+  let remaining = Math.max(0, Math.round(ms / 1000)) * 1000;
+  for (const unit of ["d", "h", "m", "s"]) {
+    const amount = Math.floor(remaining / UNITS[unit]);
+    if (amount > 0) {
+      parts.push(`${amount}${unit}`);
+      remaining -= amount * UNITS[unit];
+    }
+  }
+  return parts.length > 0 ? parts.join(" ") : "0s";
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+};
@@ -0,0 +1,95 @@
+/*
+ * Punishment escalation for NYD Bot
+ * Every deletion adds a strike to the author. When their active strike count reaches a
+ * configured threshold the matching action (warn, timeout, kick or ban) is applied.
+ */
+
+const { formatDuration } = require("./duration");
+
+const ESCALATION_ACTIONS = {
+  warn: "Warn (DM)",
+  timeout: "Timeout",
+  kick: "Kick",
+  ban: "Ban",
+};
+
+const DEFAULT_DECAY_MS = 24 * 60 * 60 * 1000;
+
+// Discord does not allow timeouts longer than 28 days
+const MAX_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
+
+// Escalation config stored in guild settings: { steps: [{ strikes, action, durationMs }], decayMs }
+function getEscalationConfig(settings) {
+  const config = (settings && settings.escalation) || {};
+  return {
+    steps: config.steps || [],
+    decayMs: config.decayMs || DEFAULT_DECAY_MS,
+  };
+}
+
+// Drop strikes older than the decay window. Returns the remaining timestamps.
+function activeStrikes(timestamps, decayMs, now = Date.now()) {
+  return (timestamps || []).filter((timestamp) => now - timestamp < decayMs);
+}
+
+// Record a strike in a guild's strikes (Map<userId, timestamps[]>). Returns the active count.
+function recordStrike(strikes, userId, decayMs, now = Date.now()) {
+  const timestamps = activeStrikes(strikes.get(userId), decayMs, now);
+  timestamps.push(now);
+  strikes.set(userId, timestamps);
+  return timestamps.length;
+}
+
+// Pick the step with the highest threshold the strike count has reached
+function pickStep(steps, strikeCount) {
+  return steps
+    .filter((step) => strikeCount >= step.strikes)
+    .reduce((best, step) => (!best || step.strikes > best.strikes ? step : best), null);
+}
+
+function formatStep(step) {
+  const duration = step.action === "timeout" ? ` for ${formatDuration(step.durationMs)}` : "";
+  return `${step.strikes} strike${step.strikes === 1 ? "" : "s"} → ${step.action}${duration}`;
+}
+
+// Apply an escalation step to a guild member. Returns a short description of what happened.
+async function applyStep(member, step, strikeCount) {
+  const reason = `NYD Bot: ${strikeCount} link violation${strikeCount === 1 ? "" : "s"}`;
+
+  switch (step.action) {
+    case "warn":
+      await member.send(
+        `⚠️ You have ${strikeCount} active link violation${strikeCount === 1 ? "" : "s"} in **${member.guild.name}**. Further violations may lead to a timeout, kick or ban.`
+      );
+      return "warned by DM";
+
+    case "timeout":
+      if (!member.moderatable) throw new Error("Bot cannot time out this member (missing Moderate Members or role too low)");
+      await member.timeout(Math.min(step.durationMs, MAX_TIMEOUT_MS), reason);
+      return `timed out for ${formatDuration(Math.min(step.durationMs, MAX_TIMEOUT_MS))}`;
+
+    case "kick":
+      if (!member.kickable) throw new Error("Bot cannot kick this member (missing Kick Members or role too low)");
+      await member.kick(reason);
+      return "kicked";
+
+    case "ban":
+      if (!member.bannable) throw new Error("Bot cannot ban this member (missing Ban Members or role too low)");
+      await member.ban({ reason });
+      return "banned";
+
+    default:
+      throw new Error(`Unknown escalation action "${step.action}"`);
+  }
+}
+
+module.exports = {
+  ESCALATION_ACTIONS,
+  DEFAULT_DECAY_MS,
+  getEscalationConfig,
+  activeStrikes,
+  recordStrike,
+  pickStep,
+  formatStep,
+  applyStep,
+};
@@ -0,0 +1,52 @@
+const { Events } = require("discord.js");
+
+// Route a button, menu or form to the command named at the start of its custom ID ("nyd:panel:..."). Other
+// components, such as confirmation buttons, are left to the collector waiting for them.
+async function handleComponent(interaction, context) {
+  const command = context.commands.get(interaction.customId.split(":")[0]);
+  if (!command || !command.handleComponent) return;
+  try {
+    await command.handleComponent(interaction, context);
+  } catch (error) {
+    console.error(`Error handling ${interaction.customId}:`, error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: "❌ There was an error while handling this action.", ephemeral: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  name: Events.InteractionCreate,
+  async execute(interaction, context) {
+    if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+      await handleComponent(interaction, context);
+      return;
+    }
+    if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) return;
+
+    const command = context.commands.get(interaction.commandName);
+    if (!command) {
+      console.error(`No command matching ${interaction.commandName} was found.`);
+      return;
+    }
+
+    if (interaction.isAutocomplete()) {
+      if (!command.autocomplete) return;
+      try {
+        await command.autocomplete(interaction, context);
+      } catch (error) {
+        console.error(`Autocomplete for /${interaction.commandName} failed:`, error);
+      }
+      return;
+    }
+
+    try {
+      await command.execute(interaction, context);
+    } catch (error) {
+      console.error(`Error executing /${interaction.commandName}:`, error);
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.reply({ content: "❌ There was an error while executing this command.", ephemeral: true }).catch(() => {});
+      }
+    }
+  },
+};
@@ -0,0 +1,9 @@
+const { Events } = require("discord.js");
+
+// Monitor messages
+module.exports = {
+  name: Events.MessageCreate,
+  async execute(message, { moderator }) {
+    await moderator.handleMessageCreate(message);
+  },
+};
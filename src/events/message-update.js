@@ -0,0 +1,9 @@
+const { Events } = require("discord.js");
+
+// Watchman: re-check edited messages
+module.exports = {
+  name: Events.MessageUpdate,
+  async execute(oldMessage, newMessage, { moderator }) {
+    await moderator.handleMessageUpdate(oldMessage, newMessage);
+  },
+};
@@ -1,13 +1,42 @@
-const { Events } = require("discord.js");
+const { Events, ActivityType } = require("discord.js");
 
 module.exports = {
   name: Events.ClientReady,
   once: true,
-  execute(client) {
+  async execute(
+    client,
+    { store, dataManager, linkResolver, sharedLists, registerCommands, startScheduledBackups, startAllowlistExpiry, startRuleExpiry }
+  ) {
     console.log(`Ready! Logged in as ${client.user.tag}`);
     console.log(`Bot is now online and serving ${client.guilds.cache.size} guilds`);
 
     // Set bot status
-    client.user.setActivity("your commands", { type: "WATCHING" });
+    client.user.setActivity("your commands", { type: ActivityType.Watching });
+
+    // Load saved data. Channels are resolved through the cache to migrate the old single-file format.
+    try {
+      const guilds = await store.load((channelId) => client.channels.cache.get(channelId)?.guildId || null);
+
+      const totals = Array.from(guilds.values()).map((guildData) => dataManager.getDataStats(guildData));
+      const sum = (key) => totals.reduce((total, stats) => total + stats[key], 0);
+      console.log(
+        `📊 Loaded data: ${sum("channelsWithRules")} channels with rules, ${totals.filter((stats) => stats.totalGlobalRules > 0).length} servers with global rules, ${sum("watchmanChannels")} watchman channels`
+      );
+    } catch (error) {
+      console.error("❌ Failed to load saved data:", error.message);
+      console.log("🔄 Starting with empty data");
+    }
+    await linkResolver.load();
+    await sharedLists.load();
+
+    try {
+      await registerCommands();
+    } catch (error) {
+      console.error("❌ Failed to register commands:", error.message);
+    }
+
+    startAllowlistExpiry();
+    startRuleExpiry();
+    await startScheduledBackups();
   },
 };
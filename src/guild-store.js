@@ -0,0 +1,44 @@
+/*
+ * Guild data store for NYD Bot
+ * Keeps every guild's data in memory and queues changed guilds for saving through the DataManager
+ */
+
+const { createGuildData } = require("./data-manager");
+
+class GuildStore {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    // Per-guild data, Map<guildId, guildData> (loaded from storage on startup)
+    this.guilds = new Map();
+  }
+
+  // Load saved data. resolveChannelGuild maps channel IDs to guild IDs when migrating the old single-file format.
+  async load(resolveChannelGuild) {
+    this.guilds = await this.dataManager.loadData(resolveChannelGuild);
+    return this.guilds;
+  }
+
+  // Get a guild's data, creating empty data the first time a guild is seen
+  get(guildId) {
+    if (!this.guilds.has(guildId)) {
+      this.guilds.set(guildId, createGuildData());
+    }
+    return this.guilds.get(guildId);
+  }
+
+  // Replace a guild's data, e.g. after a restore or import
+  set(guildId, guildData) {
+    this.guilds.set(guildId, guildData);
+  }
+
+  // Queue only the changed guild for saving; bursts of changes are coalesced into one write
+  save(guildId) {
+    this.dataManager.scheduleSave(guildId, this.get(guildId));
+  }
+
+  [Symbol.iterator]() {
+    return this.guilds.entries();
+  }
+}
+
+module.exports = GuildStore;
@@ -0,0 +1,257 @@
+/*
+ * Link resolver for NYD Bot
+ * Expands shortened links (bit.ly, t.co, ...) by following their redirects with HEAD requests, so rules
+ * can be matched against where a link really goes. Only public addresses are ever requested. Resolved chains
+ * are cached in memory and on disk.
+ */
+
+const dns = require("dns");
+const fs = require("fs").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { hostMatchesDomain } = require("./rules");
+const { normalizeLink } = require("./url-parser");
+const { writeFileAtomic } = require("./storage/atomic-write");
+
+// Hosts treated as shorteners until a guild configures its own list
+const DEFAULT_SHORTENER_HOSTS = [
+  "bit.ly",
+  "t.co",
+  "tinyurl.com",
+  "goo.gl",
+  "ow.ly",
+  "is.gd",
+  "buff.ly",
+  "rebrand.ly",
+  "cutt.ly",
+  "shorturl.at",
+  "t.ly",
+  "tiny.cc",
+  "rb.gy",
+];
+
+// Per-guild link expansion settings stored in guild settings
+const DEFAULT_LINK_EXPANSION_SETTINGS = { enabled: false, hosts: DEFAULT_SHORTENER_HOSTS };
+
+const DEFAULT_MAX_HOPS = 5;
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+const DEFAULT_SAVE_DELAY_MS = 5000;
+
+// Addresses that are never requested: "this network", private, carrier-grade NAT, loopback, link-local,
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isPublicAddress(address, family) {
+  return !NON_PUBLIC_ADDRESSES.check(address, `ipv${family}`);
+}
+
+// URL host names keep the brackets around IPv6 addresses
+function bareHost(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+function nonPublicHostError(hostname) {
+  const error = new Error(`${hostname} is not a public host`);
+  error.code = "ERR_NON_PUBLIC_HOST";
+  return error;
+}
+
+// Send a HEAD request without following redirects. Resolves to { status, location }.
+function headRequest(url, { lookup, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.request(url, { method: "HEAD", lookup, signal: AbortSignal.timeout(timeoutMs) }, (response) => {
+      response.resume();
+      resolve({ status: response.statusCode, location: response.headers.location || null });
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+class LinkResolver {
+  constructor({
+    cacheFile = null,
+    maxHops = DEFAULT_MAX_HOPS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    saveDelayMs = DEFAULT_SAVE_DELAY_MS,
+    lookup = dns.lookup,
+    isAllowedAddress = isPublicAddress,
+  } = {}) {
+    this.cacheFile = cacheFile;
+    this.maxHops = maxHops;
+    this.timeoutMs = timeoutMs;
+    this.cacheTtlMs = cacheTtlMs;
+    this.saveDelayMs = saveDelayMs;
+    // dns.lookup and the check every address a request connects to must pass
+    this.lookup = lookup;
+    this.isAllowedAddress = isAllowedAddress;
+    // Resolved redirect chains, Map<href, { chain: [href], resolvedAt }>, oldest first
+    this.cache = new Map();
+    // Lookups in progress, so a link posted twice at once is only fetched once
+    this.pending = new Map();
+    this.saveTimer = null;
+  }
+
+  // Load the persisted cache. A missing or unreadable file starts an empty cache.
+  async load() {
+    if (!this.cacheFile) return;
+    try {
+      const entries = JSON.parse(await fs.readFile(this.cacheFile, "utf8"));
+      this.cache = new Map(Object.entries(entries));
+      console.log(`🔗 Loaded ${this.cache.size} resolved links`);
+    } catch (error) {
+      if (error.code !== "ENOENT") console.error("⚠️ Could not read the link cache:", error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (!this.cacheFile || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) => console.error("❌ Failed to save the link cache:", error.message));
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    if (!this.cacheFile) return;
+    await writeFileAtomic(this.cacheFile, JSON.stringify(Object.fromEntries(this.cache)));
+  }
+
+  // Write a pending cache save immediately
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  // Follow a link's redirects. Returns the hrefs it redirects through, in order, without the link itself.
+  // Neither the link nor a redirect is requested unless its host is public, so a link cannot make the bot send
+  // requests into its own network. A refused redirect still ends the chain, so rules are matched against it.
+  async resolve(href) {
+    const cached = this.cache.get(href);
+    if (cached && Date.now() - cached.resolvedAt < this.cacheTtlMs) return cached.chain;
+    if (this.pending.has(href)) return this.pending.get(href);
+
+    const lookup = this.followRedirects(href).finally(() => this.pending.delete(href));
+    this.pending.set(href, lookup);
+    return lookup;
+  }
+
+  async followRedirects(href) {
+    const chain = [];
+    let current = new URL(href);
+    try {
+      for (let hop = 0; hop < this.maxHops; hop++) {
+        const response = await this.request(current);
+        if (!response) break;
+        const { status, location } = response;
+        if (status < 300 || status >= 400 || !location) break;
+
+        const next = new URL(location, current);
+        if (next.href === href || chain.includes(next.href)) break;
+        chain.push(next.href);
+        current = next;
+      }
+    } catch (error) {
+      // Keep the part of the chain that was resolved, but try again next time
+      console.error(`⚠️ Could not resolve ${href}:`, error.message);
+      return chain;
+    }
+
+    this.cache.delete(href);
+    this.cache.set(href, { chain, resolvedAt: Date.now() });
+    if (this.cache.size > MAX_CACHE_ENTRIES) this.cache.delete(this.cache.keys().next().value);
+    this.scheduleSave();
+    return chain;
+  }
+
+  // Send a HEAD request to a web link on a public host. Returns { status, location }, or null if the link is not
+  // requested. Host names are resolved by checkedLookup, so the request connects to the address that was checked
+  // and DNS cannot point it somewhere else in between.
+  async request(url) {
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    const host = bareHost(url.hostname);
+    try {
+      if (net.isIP(host) && !this.isAllowedAddress(host, net.isIP(host))) throw nonPublicHostError(host);
+      return await headRequest(url, { lookup: (...args) => this.checkedLookup(...args), timeoutMs: this.timeoutMs });
+    } catch (error) {
+      if (error.code !== "ERR_NON_PUBLIC_HOST") throw error;
+      console.warn(`⚠️ Not requesting ${url.href}: the host is not public`);
+      return null;
+    }
+  }
+
+  // A lookup for http.request that fails when a host name resolves to any address that is not allowed
+  checkedLookup(hostname, options, callback) {
+    this.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (addresses.length === 0 || addresses.some(({ address, family }) => !this.isAllowedAddress(address, family))) {
+        return callback(nonPublicHostError(hostname));
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  // Whether a host is an address that is not allowed, or a name resolving to one. Names that do not resolve are
+  // not reported, since requests to them are checked again.
+  isPrivateHost(hostname) {
+    const host = bareHost(hostname);
+    if (net.isIP(host)) return Promise.resolve(!this.isAllowedAddress(host, net.isIP(host)));
+    return new Promise((resolve) => {
+      this.lookup(host, { all: true }, (error, addresses) =>
+        resolve(!error && addresses.some(({ address, family }) => !this.isAllowedAddress(address, family)))
+      );
+    });
+  }
+
+  // Add the destinations of links on shortener hosts to a message's links. Expanded links remember the link
+  // they came from in expandedFrom, and the part of the message it was in.
+  async expandLinks(links, hosts) {
+    const expanded = [...links];
+    for (const link of links) {
+      if (!hosts.some((host) => hostMatchesDomain(link.hostname, host))) continue;
+      for (const href of await this.resolve(link.originalHref)) {
+        const target = normalizeLink(href, true);
+        if (target && !expanded.some((other) => other.originalHref === target.originalHref))
+          expanded.push({ ...target, source: link.source, expandedFrom: link.raw });
+      }
+    }
+    return expanded;
+  }
+}
+
+module.exports = {
+  DEFAULT_SHORTENER_HOSTS,
+  DEFAULT_LINK_EXPANSION_SETTINGS,
+  LinkResolver,
+};
@@ -0,0 +1,86 @@
+/*
+ * Command and event loader for NYD Bot
+ * Discovers slash command modules in src/commands, subcommand modules in the directory named after their command
+ * (e.g. src/commands/nyd) and event modules in src/events, so the bot and deploy-commands.js share one source of commands.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Collection } = require("discord.js");
+
+// Require every .js module directly inside a directory, sorted by file name
+function requireModules(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => ({ file: path.join(dir, file), module: require(path.join(dir, file)) }));
+}
+
+// Load top-level slash commands ({ data, execute, autocomplete? }) keyed by command name
+function loadCommands(dir = path.join(__dirname, "commands")) {
+  const commands = new Collection();
+  for (const { file, module: command } of requireModules(dir)) {
+    if (!command.data || typeof command.execute !== "function") {
+      console.warn(`⚠️ Skipping command ${file}: it must export "data" and "execute"`);
+      continue;
+    }
+    commands.set(command.data.name, command);
+  }
+  return commands;
+}
+
+// Add the subcommands in a directory to a command builder. Each sub-directory is a subcommand group
+// whose index.js exports the group's data. Returns the modules keyed "<subcommand>" or "<group> <subcommand>".
+function loadSubcommands(dir, builder) {
+  const subcommands = new Collection();
+
+  for (const { file, module: subcommand } of requireModules(dir)) {
+    if (!subcommand.data || typeof subcommand.execute !== "function") {
+      throw new Error(`Subcommand ${file} must export "data" and "execute"`);
+    }
+    builder.addSubcommand(subcommand.data);
+    subcommands.set(subcommand.data.name, subcommand);
+  }
+
+  const groupDirs = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+  for (const groupDir of groupDirs) {
+    const { data: group } = require(path.join(dir, groupDir));
+    for (const { file, module: subcommand } of requireModules(path.join(dir, groupDir))) {
+      if (path.basename(file) === "index.js") continue;
+      if (!subcommand.data || typeof subcommand.execute !== "function") {
+        throw new Error(`Subcommand ${file} must export "data" and "execute"`);
+      }
+      group.addSubcommand(subcommand.data);
+      subcommands.set(`${group.name} ${subcommand.data.name}`, subcommand);
+    }
+    builder.addSubcommandGroup(group);
+  }
+
+  return subcommands;
+}
+
+// Attach event modules ({ name, once?, execute }) to a client. Listeners receive the event's
+// arguments followed by the bot context.
+function loadEvents(client, context, dir = path.join(__dirname, "events")) {
+  const events = requireModules(dir).map(({ module: event }) => event);
+  for (const event of events) {
+    const listener = (...args) => event.execute(...args, context);
+    if (event.once) {
+      client.once(event.name, listener);
+    } else {
+      client.on(event.name, listener);
+    }
+  }
+  return events;
+}
+
+module.exports = {
+  loadCommands,
+  loadSubcommands,
+  loadEvents,
+};
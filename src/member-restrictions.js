@@ -0,0 +1,62 @@
+/*
+ * Member restrictions for NYD Bot
+ * Keeps links away from accounts that are most likely to spam: members who joined the server recently,
+ * accounts that were created recently, and members without a required role. Restrictions are checked with
+ * the block rules and reported like them, with the restriction as the matched rule.
+ */
+
+const { GatewayIntentBits } = require("discord.js");
+
+// Per-guild restriction settings stored in guild settings. Ages of 0 and a null role turn a restriction off.
+const DEFAULT_MEMBER_RESTRICTIONS = { enabled: false, minMemberAgeHours: 0, minAccountAgeDays: 0, requiredRoleId: null };
+
+// Rule type used to report links from restricted members (see rules.js formatRule)
+const RESTRICTED_RULE_TYPE = "restricted";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function getMemberRestrictions(settings) {
+  return { ...DEFAULT_MEMBER_RESTRICTIONS, ...settings.memberRestrictions };
+}
+
+// Restrictions need the privileged Server Members intent, which the bot only requests when MEMBER_RESTRICTIONS is set
+function memberRestrictionsAvailable(env = process.env) {
+  return ["1", "true", "yes"].includes(String(env.MEMBER_RESTRICTIONS || "").toLowerCase());
+}
+
+// Gateway intents to log in with
+function clientIntents(env = process.env) {
+  const intents = [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent];
+  if (memberRestrictionsAvailable(env)) intents.push(GatewayIntentBits.GuildMembers);
+  return intents;
+}
+
+// The restriction a member breaks by posting links at postedAt, as a rule for the deletion log, or null if they may
+// post links. Members the bot cannot find, e.g. because they left, are not restricted. The rule's pattern describes
+// the restriction, e.g. "members who joined less than 24h ago".
+function findRestriction(restrictions, member, user, postedAt = Date.now()) {
+  if (!restrictions.enabled || !member) return null;
+  const restricted = (pattern) => ({ type: RESTRICTED_RULE_TYPE, pattern });
+
+  if (restrictions.requiredRoleId && !member.roles.cache.has(restrictions.requiredRoleId)) {
+    return restricted(`members without <@&${restrictions.requiredRoleId}>`);
+  }
+  const memberAgeMs = restrictions.minMemberAgeHours * HOUR_MS;
+  if (memberAgeMs > 0 && (!member.joinedTimestamp || postedAt - member.joinedTimestamp < memberAgeMs)) {
+    return restricted(`members who joined less than ${restrictions.minMemberAgeHours}h ago`);
+  }
+  const accountAgeMs = restrictions.minAccountAgeDays * 24 * HOUR_MS;
+  if (accountAgeMs > 0 && postedAt - user.createdTimestamp < accountAgeMs) {
+    return restricted(`accounts younger than ${restrictions.minAccountAgeDays}d`);
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_MEMBER_RESTRICTIONS,
+  RESTRICTED_RULE_TYPE,
+  getMemberRestrictions,
+  memberRestrictionsAvailable,
+  clientIntents,
+  findRestriction,
+};
@@ -0,0 +1,118 @@
+/*
+ * Message sources for NYD Bot
+ * Collects candidate links from every part of a message: its text, embeds, attachments, stickers,
+ * forwarded messages and polls. Each link remembers which part it was found in. Attachment file names are
+ * not links; they are kept as file name entries that only substring rules match.
+ */
+
+const { extractUrls } = require("./url-parser");
+
+const MESSAGE_SOURCES = {
+  content: "Message text",
+  embeds: "Embed",
+  attachments: "Attachment",
+  stickers: "Sticker",
+  forwards: "Forwarded message",
+  polls: "Poll",
+};
+
+// Per-guild scan settings stored in guild settings: every source is scanned unless turned off
+const DEFAULT_SCAN_SOURCES = Object.fromEntries(Object.keys(MESSAGE_SOURCES).map((source) => [source, true]));
+
+function getScanSources(settings) {
+  return { ...DEFAULT_SCAN_SOURCES, ...settings.scanSources };
+}
+
+// Text of an embed. Link previews generated by Discord only contribute their URL, since their
+// descriptions come from the linked page rather than the author.
+function embedTexts(embed) {
+  if (embed.data.type && embed.data.type !== "rich") return [embed.url];
+  return [
+    embed.url,
+    embed.title,
+    embed.description,
+    embed.author && embed.author.name,
+    embed.author && embed.author.url,
+    embed.footer && embed.footer.text,
+    ...embed.fields.flatMap((field) => [field.name, field.value]),
+  ];
+}
+
+// An attachment's file name in the shape of a link from url-parser's extractUrls, with no host or path, so rules
+// other than substring rules never match it (see rules.js matchesRule)
+function fileNameLink(name) {
+  return {
+    raw: name,
+    href: name.toLowerCase(),
+    originalHref: `file:${name}`,
+    hostname: "",
+    unicodeHostname: "",
+    pathname: "",
+    searchParams: new URLSearchParams(),
+    fileName: true,
+  };
+}
+
+// Pieces of text to scan in a message (or forwarded snapshot), as [{ source, text, fileName }]. The link Discord
+// gives an attachment is left out: it always points to Discord's own media host and only repeats the file name.
+function messageTexts(message, sources) {
+  const texts = [];
+  const add = (source, values, fileName = false) => {
+    for (const text of values) if (text) texts.push({ source, text, fileName });
+  };
+
+  if (sources.content) add("content", [message.content]);
+  if (sources.embeds) add("embeds", (message.embeds || []).flatMap(embedTexts));
+  if (sources.attachments && message.attachments) {
+    for (const file of message.attachments.values()) {
+      add("attachments", [file.name], true);
+      add("attachments", [file.description]);
+    }
+  }
+  if (sources.stickers && message.stickers) {
+    for (const sticker of message.stickers.values()) add("stickers", [sticker.name]);
+  }
+  if (sources.polls && message.poll) {
+    add("polls", [message.poll.question.text, ...Array.from(message.poll.answers.values(), (answer) => answer.text)]);
+  }
+  return texts;
+}
+
+// Every link in a message from the enabled sources, without duplicates. Links get a source key from
+// MESSAGE_SOURCES; links in forwarded messages are reported as "forwards" whichever part they were in.
+function collectLinks(message, sources = DEFAULT_SCAN_SOURCES) {
+  const texts = messageTexts(message, sources);
+  if (sources.forwards && message.messageSnapshots) {
+    for (const snapshot of message.messageSnapshots.values()) {
+      texts.push(...messageTexts(snapshot, { ...sources, forwards: false }).map((part) => ({ ...part, source: "forwards" })));
+    }
+  }
+
+  const links = [];
+  for (const { source, text, fileName } of texts) {
+    for (const link of fileName ? [fileNameLink(text)] : extractUrls(text)) {
+      if (!links.some((other) => other.originalHref === link.originalHref)) links.push({ ...link, source });
+    }
+  }
+  return links;
+}
+
+// Whether a message has anything to scan, e.g. to skip messages whose content the bot cannot see
+function hasScannableParts(message) {
+  return Boolean(
+    message.content ||
+    (message.embeds && message.embeds.length > 0) ||
+    (message.attachments && message.attachments.size > 0) ||
+    (message.stickers && message.stickers.size > 0) ||
+    message.poll ||
+    (message.messageSnapshots && message.messageSnapshots.size > 0)
+  );
+}
+
+module.exports = {
+  MESSAGE_SOURCES,
+  DEFAULT_SCAN_SOURCES,
+  getScanSources,
+  collectLinks,
+  hasScannableParts,
+};
@@ -0,0 +1,342 @@
+/*
+ * Moderation pipeline for NYD Bot
+ * Checks new and edited messages against the rules that apply in their channel, deletes offending
+ * messages, and reports, notifies and escalates against their authors. Watchman mode re-checks
+ * recent history and edits.
+ */
+
+const { DEFAULT_WATCHMAN_SETTINGS } = require("./data-manager");
+const { MESSAGE_SOURCES, getScanSources, collectLinks, hasScannableParts } = require("./message-sources");
+const { DEFAULT_LINK_EXPANSION_SETTINGS } = require("./link-resolver");
+const { findMatches, formatRule } = require("./rules");
+const { effectiveRuleSets } = require("./rule-scope");
+const { channelMode, approvedDomainSets, findUnapprovedLink } = require("./channel-modes");
+const { isAllowlisted, exemptionChecker } = require("./allowlist");
+const { isMonitoredChannel, recordMonitorHit } = require("./monitor");
+const { recordRuleHit } = require("./rule-stats");
+const { getAntiSpamSettings, SpamDetector, deleteBurst, autoBlockDomain } = require("./anti-spam");
+const { getMemberRestrictions, findRestriction } = require("./member-restrictions");
+const { buildDeletionEmbed, buildMonitorEmbed, buildEscalationEmbed, buildSpamEmbed, sendToLogChannel } = require("./audit-log");
+const { notifyOffender } = require("./notifier");
+const { getEscalationConfig, recordStrike, pickStep, applyStep } = require("./escalation");
+
+const MAX_SCANNED_MESSAGES = 5000;
+
+function scanVersion(message) {
+  return message.editedTimestamp || message.createdTimestamp;
+}
+
+class Moderator {
+  // linkResolver expands shortened links for guilds that enable it; sharedLists holds the lists guilds subscribe to
+  constructor(store, { linkResolver = null, sharedLists = null } = {}) {
+    this.store = store;
+    this.linkResolver = linkResolver;
+    this.sharedLists = sharedLists;
+    // Messages already scanned by watchman, keyed by ID, with the edit timestamp they were scanned at
+    this.scannedMessages = new Map();
+    this.spamDetector = new SpamDetector();
+  }
+
+  // Forget scanned messages, so watchman re-checks them after rules or allowlists change
+  resetScans() {
+    this.scannedMessages.clear();
+  }
+
+  markScanned(message) {
+    this.scannedMessages.delete(message.id);
+    this.scannedMessages.set(message.id, scanVersion(message));
+    if (this.scannedMessages.size > MAX_SCANNED_MESSAGES) {
+      this.scannedMessages.delete(this.scannedMessages.keys().next().value);
+    }
+  }
+
+  wasScanned(message) {
+    return this.scannedMessages.get(message.id) === scanVersion(message);
+  }
+
+  // Report a deletion to the guild's audit log channel, if one is configured
+  async logDeletion(message, match, scope) {
+    const { logChannelId } = this.store.get(message.guildId).settings;
+    if (!logChannelId) return;
+    await sendToLogChannel(message.guild, logChannelId, [buildDeletionEmbed({ message, rule: match.rule, scope, link: match.link })]);
+  }
+
+  // Log and count a match in monitor mode instead of deleting the message.
+  // channelId is the channel the rule is set on, or null for server-wide rules.
+  async logMonitorHit(message, match, scope, channelId, logPrefix = "") {
+    const guildData = this.store.get(message.guildId);
+    recordMonitorHit(guildData, channelId, match.rule);
+    this.store.save(message.guildId);
+
+    console.log(`${logPrefix}👀 Would delete message matching ${formatRule(match.rule)} (${match.link.href}) from ${message.author.tag}`);
+    const { logChannelId } = guildData.settings;
+    if (!logChannelId) return;
+    await sendToLogChannel(message.guild, logChannelId, [buildMonitorEmbed({ message, rule: match.rule, scope, link: match.link })]);
+  }
+
+  // Matches of monitored rules, and every match in monitored channels, are logged instead of deleted
+  isMonitored(message, rule) {
+    return Boolean(rule.monitor) || isMonitoredChannel(this.store.get(message.guildId).settings, message.channel);
+  }
+
+  // Count a deleted message for /nyd stats. ruleChannelId is the channel the rule is set on, or null for server-wide rules.
+  recordHit(message, rule, ruleChannelId) {
+    recordRuleHit(this.store.get(message.guildId), { ruleChannelId, rule, channelId: message.channelId, userId: message.author.id });
+    this.store.save(message.guildId);
+  }
+
+  // Add a strike for the author of a deleted message and apply any escalation step they reached
+  async recordViolation(message) {
+    const guildData = this.store.get(message.guildId);
+    const { settings } = guildData;
+    const config = getEscalationConfig(settings);
+    const strikeCount = recordStrike(guildData.strikes, message.author.id, config.decayMs);
+    this.store.save(message.guildId);
+
+    const step = pickStep(config.steps, strikeCount);
+    if (!step) return;
+
+    let member = message.member;
+    try {
+      if (!member) member = await message.guild.members.fetch(message.author.id);
+      const outcome = await applyStep(member, step, strikeCount);
+      console.log(`⚖️ ${message.author.tag} ${outcome} (${strikeCount} strikes)`);
+      await sendToLogChannel(message.guild, settings.logChannelId, [buildEscalationEmbed({ user: message.author, strikeCount, outcome })]);
+    } catch (err) {
+      console.error(`Failed to apply escalation "${step.action}" to ${message.author.tag}:`, err.message);
+      await sendToLogChannel(message.guild, settings.logChannelId, [
+        buildEscalationEmbed({ user: message.author, strikeCount, error: err.message }),
+      ]);
+    }
+  }
+
+  // Delete a message that broke a rule, then log, notify and record the violation. violation is a
+  // result of findViolation: scope is where the rule comes from ("channel", "parent", "category", "global" or "list")
+  // and channelId the channel it is set on.
+  async deleteForMatch(message, { match, scope, channelId }, logPrefix = "") {
+    // Check if bot has permission to delete messages
+    if (!message.guild.members.me.permissions.has("ManageMessages")) {
+      console.error("Bot lacks 'Manage Messages' permission to delete messages");
+      return false;
+    }
+
+    const ruleText = formatRule(match.rule);
+    try {
+      await message.delete();
+      console.log(
+        `${logPrefix}Deleted message matching ${ruleText} (${match.link.href} in ${MESSAGE_SOURCES[match.link.source].toLowerCase()}) from ${message.author.tag}`
+      );
+      this.recordHit(message, match.rule, channelId);
+      await this.logDeletion(message, match, scope);
+      await notifyOffender(message, match.rule, this.store.get(message.guildId).settings);
+      await this.recordViolation(message);
+      return true;
+    } catch (err) {
+      console.error(`${logPrefix}Failed to delete message matching ${ruleText}:`, err);
+      return false; // Return false if deletion failed
+    }
+  }
+
+  // Whether any rules apply in a channel: its own or inherited block rules, an approved domains mode, or member
+  // restrictions unless restrictions is false
+  hasRules(channel, { restrictions = true } = {}) {
+    const guildData = this.store.get(channel.guildId);
+    return (
+      effectiveRuleSets(guildData, channel, this.sharedLists).length > 0 ||
+      channelMode(guildData, channel).mode === "allowlist-domains" ||
+      (restrictions && getMemberRestrictions(guildData.settings).enabled)
+    );
+  }
+
+  // Find the first match in a message that should be enforced: member restrictions first, then the channel's approved
+  // domains, its rules, inherited parent/category rules, the server-wide rules and the subscribed shared lists. Returns { match, scope, channelId } or null.
+  // Matches that are only monitored are passed to onMonitored(match, scope, channelId) and skipped, so an
+  // enforced rule further down can still catch the message. restrictions: false skips member restrictions, e.g. for
+  // old messages whose authors may have left or changed since.
+  async findViolation(message, { links = collectLinks(message), onMonitored = null, restrictions: checkRestrictions = true } = {}) {
+    const guildData = this.store.get(message.guildId);
+    if (links.length === 0) return null;
+    const isExempt = exemptionChecker(guildData.allowList, message);
+
+    const candidates = [];
+    const restrictions = getMemberRestrictions(guildData.settings);
+    if (checkRestrictions && restrictions.enabled) {
+      const member = message.member || (await message.guild.members.fetch(message.author.id).catch(() => null));
+      const rule = findRestriction(restrictions, member, message.author, message.createdTimestamp);
+      const link = rule && links.find((candidate) => !(isExempt && isExempt(rule, candidate)));
+      if (link) candidates.push({ match: { rule, link }, scope: "global", channelId: null });
+    }
+    const mode = channelMode(guildData, message.channel);
+    if (mode.mode === "allowlist-domains") {
+      const domains = approvedDomainSets(guildData, message.channel).flatMap((set) => Array.from(set.domains));
+      const match = findUnapprovedLink(domains, links, isExempt);
+      if (match) candidates.push({ match, scope: mode.origin, channelId: mode.channelId });
+    }
+    for (const set of effectiveRuleSets(guildData, message.channel, this.sharedLists)) {
+      for (const match of findMatches(set.rules, links, isExempt)) candidates.push({ match, scope: set.origin, channelId: set.channelId });
+    }
+
+    for (const { match, scope, channelId } of candidates) {
+      if (!this.isMonitored(message, match.rule)) return { match, scope, channelId };
+      if (onMonitored) await onMonitored(match, scope, channelId);
+    }
+    return null;
+  }
+
+  // Check a message against the rules that apply in its channel and delete it if it breaks one
+  async checkMessageRules(message, logPrefix = "") {
+    if (!this.hasRules(message.channel)) return false;
+
+    const violation = await this.findViolation(message, {
+      links: await this.messageLinks(message),
+      onMonitored: (match, scope, channelId) => this.logMonitorHit(message, match, scope, channelId, logPrefix),
+    });
+    if (!violation) return false;
+    return this.deleteForMatch(message, violation, logPrefix);
+  }
+
+  // Links in the parts of a message the guild scans, plus where its shortened links redirect to when link expansion is enabled
+  async messageLinks(message) {
+    const guildSettings = this.store.get(message.guildId).settings;
+    const links = collectLinks(message, getScanSources(guildSettings));
+    const settings = { ...DEFAULT_LINK_EXPANSION_SETTINGS, ...guildSettings.linkExpansion };
+    if (!settings.enabled || !this.linkResolver || links.length === 0) return links;
+    return this.linkResolver.expandLinks(links, settings.hosts);
+  }
+
+  // Delete a burst of repeated links or a user's link flood, and block a repeated domain for a while if the guild
+  // enables it. Returns true if the message was part of a burst.
+  async checkAntiSpam(message) {
+    const guildData = this.store.get(message.guildId);
+    const settings = getAntiSpamSettings(guildData.settings);
+    if (!settings.enabled) return false;
+
+    const links = collectLinks(message, getScanSources(guildData.settings));
+    if (links.length === 0) return false;
+    const burst = this.spamDetector.track(message, links, settings);
+    if (!burst) return false;
+
+    if (!message.guild.members.me.permissions.has("ManageMessages")) {
+      console.error("Bot lacks 'Manage Messages' permission to delete messages");
+      return false;
+    }
+    const deleted = await deleteBurst(burst.messages);
+
+    let autoBlocked = null;
+    if (burst.reason === "duplicates" && settings.autoBlockMinutes > 0) {
+      autoBlocked = autoBlockDomain(guildData, burst.link, settings.autoBlockMinutes);
+      if (autoBlocked) this.store.save(message.guildId);
+    }
+
+    const describe = (author) =>
+      burst.reason === "duplicates"
+        ? `${settings.match === "domain" ? `Links to ${burst.key}` : burst.key} posted ${burst.messages.length} times within ${settings.windowSeconds}s`
+        : `${author} posted more than ${settings.linksPerMinute} links in a minute`;
+    console.log(`🚨 Deleted ${deleted} spam messages: ${describe(message.author.tag)}`);
+    await sendToLogChannel(message.guild, guildData.settings.logChannelId, [
+      buildSpamEmbed({ trigger: describe(`${message.author}`), messages: burst.messages, deleted, autoBlocked }),
+    ]);
+    return true;
+  }
+
+  isAllowlisted(message) {
+    return isAllowlisted(this.store.get(message.guildId).allowList, message);
+  }
+
+  // Helper function to check multiple messages for watchman mode
+  async checkMultipleMessages(channel, settings = DEFAULT_WATCHMAN_SETTINGS) {
+    if (!this.hasRules(channel)) return false;
+
+    const oldestTimestamp = settings.windowMinutes ? Date.now() - settings.windowMinutes * 60 * 1000 : 0;
+    let deletedAny = false;
+
+    try {
+      // Fetch the lookback window (current message + previous ones)
+      const messages = await channel.messages.fetch({ limit: settings.lookback });
+
+      for (const message of messages.values()) {
+        // Skip bot messages
+        if (message.author.bot) continue;
+
+        // Skip messages outside the time window
+        if (message.createdTimestamp < oldestTimestamp) continue;
+
+        // Skip messages with nothing to check (or whose content the bot cannot see)
+        if (!hasScannableParts(message)) continue;
+
+        // Skip messages that have not changed since they were last checked
+        if (this.wasScanned(message)) continue;
+        this.markScanned(message);
+
+        if (this.isAllowlisted(message)) continue;
+
+        if (await this.checkMessageRules(message, "[Watchman] ")) deletedAny = true;
+      }
+    } catch (err) {
+      console.error("Failed to fetch messages for watchman check:", err);
+    }
+
+    return deletedAny;
+  }
+
+  // messageCreate: check a new message (and recent history in watchman channels)
+  async handleMessageCreate(message) {
+    if (message.author.bot) return;
+
+    // Check if we have access to message content
+    if (!hasScannableParts(message)) {
+      console.log("Message content not available - MessageContent intent may not be enabled");
+      return;
+    }
+
+    const guildId = message.guildId;
+    if (!guildId) return; // Skip DMs
+
+    const { watchmanChannels } = this.store.get(guildId);
+
+    // Anti-spam looks at every link, whether or not a rule covers it
+    if (!this.isAllowlisted(message) && (await this.checkAntiSpam(message))) return;
+
+    // Check if watchman mode is enabled for this channel
+    if (watchmanChannels.has(message.channel.id)) {
+      // Watchman checks each fetched message's author against the allowlist itself
+      await this.checkMultipleMessages(message.channel, watchmanChannels.get(message.channel.id));
+      return;
+    }
+
+    // Check allowlist
+    if (this.isAllowlisted(message)) return; // Skip blocked link check
+
+    // Normal mode - check only the current message
+    await this.checkMessageRules(message);
+  }
+
+  // messageUpdate: watchman re-checks edited messages, including ones that are no longer cached
+  async handleMessageUpdate(oldMessage, newMessage) {
+    if (!newMessage.guildId || !this.store.get(newMessage.guildId).watchmanChannels.has(newMessage.channelId)) return;
+
+    let message = newMessage;
+    if (message.partial) {
+      try {
+        message = await message.fetch();
+      } catch (err) {
+        console.error("[Watchman] Failed to fetch edited message:", err.message);
+        return;
+      }
+    }
+
+    if (message.author.bot || !hasScannableParts(message)) return;
+
+    // Ignore updates that did not touch the text (e.g. link embeds being resolved)
+    if (!oldMessage.partial && oldMessage.content === message.content) return;
+
+    if (this.wasScanned(message)) return;
+    this.markScanned(message);
+
+    if (this.isAllowlisted(message)) return;
+
+    await this.checkMessageRules(message, "[Watchman] ");
+  }
+}
+
+module.exports = Moderator;
@@ -0,0 +1,68 @@
+/*
+ * Monitor mode for NYD Bot
+ * Rules, channels or a whole server can be put in monitor mode: matches are logged and counted
+ * instead of deleted, so a rule can be tried out before it is enforced.
+ */
+
+const { ruleKey } = require("./rules");
+const { ruleSources } = require("./rule-scope");
+
+// Per-guild monitor settings stored in guild settings: the whole server, or individual channels and categories
+const DEFAULT_MONITOR_SETTINGS = { enabled: false, channels: [] };
+
+function getMonitorSettings(settings) {
+  return { ...DEFAULT_MONITOR_SETTINGS, ...settings.monitor };
+}
+
+// Whether matches in a channel are only logged, because the server, the channel, its parent or its category is monitored
+function isMonitoredChannel(settings, channel) {
+  const monitor = getMonitorSettings(settings);
+  return monitor.enabled || ruleSources(channel).some((source) => monitor.channels.includes(source.channelId));
+}
+
+// Hits are counted per rule set and rule, e.g. "123 domain:tiktok.com" or "global substring:spam"
+function hitKey(channelId, rule) {
+  return `${channelId || "global"} ${ruleKey(rule)}`;
+}
+
+function parseHitKey(key) {
+  const [setId, rule] = key.split(/ (.*)/s);
+  const separator = rule.indexOf(":");
+  return { channelId: setId === "global" ? null : setId, rule: { type: rule.slice(0, separator), pattern: rule.slice(separator + 1) } };
+}
+
+// Count a match that was logged instead of deleted
+function recordMonitorHit(guildData, channelId, rule, now = Date.now()) {
+  const key = hitKey(channelId, rule);
+  const hits = guildData.monitorHits.get(key) || { count: 0, lastHitAt: null };
+  guildData.monitorHits.set(key, { count: hits.count + 1, lastHitAt: now });
+}
+
+// Every monitored rule and every rule with monitor hits, most hits first: [{ channelId, rule, count, lastHitAt }]
+function monitorSummary(guildData) {
+  const entries = new Map();
+  const add = (channelId, rule) => {
+    const key = hitKey(channelId, rule);
+    if (!entries.has(key)) entries.set(key, { channelId, rule, ...(guildData.monitorHits.get(key) || { count: 0, lastHitAt: null }) });
+  };
+
+  for (const [channelId, rules] of guildData.blockRules) {
+    for (const rule of rules.values()) if (rule.monitor) add(channelId, rule);
+  }
+  for (const rule of guildData.globalBlockRules.values()) if (rule.monitor) add(null, rule);
+  for (const key of guildData.monitorHits.keys()) {
+    const { channelId, rule } = parseHitKey(key);
+    add(channelId, rule);
+  }
+  return Array.from(entries.values()).sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  DEFAULT_MONITOR_SETTINGS,
+  getMonitorSettings,
+  isMonitoredChannel,
+  hitKey,
+  parseHitKey,
+  recordMonitorHit,
+  monitorSummary,
+};
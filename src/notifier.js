@@ -0,0 +1,84 @@
+/*
+ * Offender notifications for NYD Bot
+ * Tells users why their message disappeared, by DM or by a short self-deleting channel reply
+ */
+
+const { formatRule } = require("./rules");
+
+const NOTIFY_MODES = {
+  off: "Off",
+  dm: "Direct message",
+  channel: "Channel reply (deletes itself)",
+};
+
+const DEFAULT_NOTIFY_CONFIG = {
+  mode: "off",
+  template: "{user}, your message in {channel} was removed because it contained a blocked link ({rule}).",
+  deleteAfterSeconds: 10,
+  cooldownSeconds: 60,
+};
+
+// Last notice time per "<guildId>:<userId>", so a spammer cannot make the bot spam back
+const lastNotified = new Map();
+
+function getNotifyConfig(settings) {
+  return { ...DEFAULT_NOTIFY_CONFIG, ...(settings && settings.notify) };
+}
+
+// Replace {placeholders} in a template. Unknown placeholders are left untouched.
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+// Returns true (and records the notice) if the user is outside the cooldown window
+function takeNoticeSlot(guildId, userId, cooldownSeconds, now = Date.now()) {
+  const key = `${guildId}:${userId}`;
+  const last = lastNotified.get(key);
+  if (last && now - last < cooldownSeconds * 1000) return false;
+  lastNotified.set(key, now);
+
+  // Keep the map from growing forever in busy servers
+  if (lastNotified.size > 10000) {
+    for (const [staleKey, timestamp] of lastNotified) {
+      if (now - timestamp >= cooldownSeconds * 1000) lastNotified.delete(staleKey);
+    }
+  }
+  return true;
+}
+
+// Notify the author of a deleted message according to the guild's config
+async function notifyOffender(message, rule, settings) {
+  const config = getNotifyConfig(settings);
+  if (config.mode === "off") return;
+  if (!takeNoticeSlot(message.guildId, message.author.id, config.cooldownSeconds)) return;
+
+  const content = renderTemplate(config.template, {
+    user: `${message.author}`,
+    rule: formatRule(rule),
+    channel: `${message.channel}`,
+    server: message.guild.name,
+  });
+
+  try {
+    if (config.mode === "dm") {
+      await message.author.send({ content });
+      return;
+    }
+
+    const notice = await message.channel.send({ content, allowedMentions: { users: [message.author.id] } });
+    setTimeout(() => {
+      notice.delete().catch((err) => console.error("Failed to delete notice:", err.message));
+    }, config.deleteAfterSeconds * 1000);
+  } catch (err) {
+    // Users with closed DMs or channels without Send Messages are expected; just log it
+    console.error(`Failed to notify ${message.author.tag}:`, err.message);
+  }
+}
+
+module.exports = {
+  NOTIFY_MODES,
+  DEFAULT_NOTIFY_CONFIG,
+  getNotifyConfig,
+  renderTemplate,
+  notifyOffender,
+};
@@ -0,0 +1,95 @@
+/*
+ * Subcommand routing shared by /nyd and /nyd-admin
+ * Builds a slash command from a directory of subcommand modules. Every subcommand, and every button, menu or form
+ * it owns, is checked against the capability it needs before it runs, and the "type" option of any subcommand is
+ * autocompleted with the match types.
+ */
+
+const { SlashCommandBuilder } = require("discord.js");
+const { loadSubcommands } = require("./loader");
+const { hasCapability } = require("./permissions");
+const { MATCH_TYPES } = require("./rules");
+const { choicesMatching, requireCapability } = require("./nyd-helpers");
+const { listRef } = require("./shared-lists");
+
+// Subcommands inside a group are addressed as "<group> <subcommand>", e.g. "escalation set"
+function subcommandKey(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
+  return group ? `${group} ${interaction.options.getSubcommand()}` : interaction.options.getSubcommand();
+}
+
+// A command module ({ data, subcommands, execute, autocomplete, handleComponent }) with one module per subcommand in directory
+// and grouped subcommands in directory/<group>
+function createNydCommand({ name, description, directory }) {
+  // Not limited to Administrator by default: every subcommand checks the capability it needs
+  // against the roles granted it with /nyd-admin permissions
+  const data = new SlashCommandBuilder().setName(name).setDescription(description).setDMPermission(false);
+  const subcommands = loadSubcommands(directory, data);
+
+  return {
+    data,
+    subcommands,
+
+    async execute(interaction, context) {
+      // Check if command is used in a guild
+      if (!interaction.guildId) {
+        await interaction.reply({ content: "❌ This command can only be used in a server.", ephemeral: true });
+        return;
+      }
+
+      const subcommand = subcommands.get(subcommandKey(interaction));
+      if (!subcommand) {
+        await interaction.reply({ content: "❌ Unknown subcommand.", ephemeral: true });
+        return;
+      }
+
+      // Check if the user is an administrator or has a role granted the subcommand's capability
+      if (!(await requireCapability(interaction, context.store, subcommand.capability ?? null))) return;
+
+      // Rules or allowlists may change, so watchman must re-check messages it already scanned
+      context.moderator.resetScans();
+      await subcommand.execute(interaction, context);
+    },
+
+    async autocomplete(interaction, context) {
+      if (!interaction.guildId) return;
+      const subcommand = subcommands.get(subcommandKey(interaction));
+      if (!subcommand) return;
+      if (!hasCapability(interaction.member, context.store.get(interaction.guildId).permissions, subcommand.capability ?? null)) {
+        await interaction.respond([]);
+        return;
+      }
+      const focused = interaction.options.getFocused(true);
+      if (focused.name === "type") {
+        await interaction.respond(choicesMatching(MATCH_TYPES, focused.value));
+        return;
+      }
+      if (focused.name === "list") {
+        const { subscriptions } = context.store.get(interaction.guildId);
+        const lists = context.sharedLists
+          .visibleTo(interaction.guildId, subscriptions)
+          .map((list) => [listRef(list), `${list.rules.size} rules`]);
+        await interaction.respond(choicesMatching(Object.fromEntries(lists), focused.value));
+        return;
+      }
+      if (subcommand.autocomplete) await subcommand.autocomplete(interaction, context);
+    },
+
+    // Buttons, menus and forms on the command's messages, addressed "<command>:<subcommand>:<action>:<arguments...>",
+    // e.g. "nyd:panel:page:global:2". The subcommand's capability is checked again on every use.
+    async handleComponent(interaction, context) {
+      if (!interaction.guildId) return;
+      const [, key, ...args] = interaction.customId.split(":");
+      const subcommand = subcommands.get(key);
+      if (!subcommand || !subcommand.handleComponent) return;
+      if (!(await requireCapability(interaction, context.store, subcommand.capability ?? null))) return;
+
+      context.moderator.resetScans();
+      await subcommand.handleComponent(interaction, context, args);
+    },
+  };
+}
+
+module.exports = {
+  createNydCommand,
+};
@@ -0,0 +1,280 @@
+/*
+ * Shared helpers for /nyd subcommands
+ * Option builders, replies that are mirrored to the audit log, and confirmation prompts
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require("discord.js");
+const { DEFAULT_BACKUP_SETTINGS, MAX_IMPORT_BYTES } = require("./data-manager");
+const { createRule, ruleKey, formatRule } = require("./rules");
+const { normalizeHostname } = require("./url-parser");
+const { parseDuration, formatDuration } = require("./duration");
+const { createAllowEntry } = require("./allowlist");
+const { hasCapability, isAdministrator } = require("./permissions");
+const { listRef, normalizeListName } = require("./shared-lists");
+const { splitEntries } = require("./bulk-rules");
+const { buildConfigEmbed, sendToLogChannel } = require("./audit-log");
+
+// Optional "type" option shared by the block/unblock subcommands. It is autocompleted from MATCH_TYPES by /nyd
+// rather than given fixed choices, which would count against Discord's 8000 character limit once per subcommand.
+function matchTypeOption(opt) {
+  return opt.setName("type").setDescription("How the partial is matched (default: substring)").setRequired(false).setAutocomplete(true);
+}
+
+// Autocomplete suggestions from a { value: label } table, matching the typed text against both
+function choicesMatching(table, input) {
+  const typed = input.toLowerCase();
+  return Object.entries(table)
+    .filter(([value, label]) => value.includes(typed) || label.toLowerCase().includes(typed))
+    .slice(0, 25)
+    .map(([value, label]) => ({ name: `${value}: ${label}`.slice(0, 100), value }));
+}
+
+// Optional "monitor" flag shared by the block subcommands
+function monitorOption(opt) {
+  return opt.setName("monitor").setDescription("Only log matches instead of deleting them").setRequired(false);
+}
+
+// A rule with its monitor and expiry flags, e.g. `"tiktok" [monitor]`
+function describeRule(rule) {
+  const flags = [];
+  if (rule.monitor) flags.push(" [monitor]");
+  if (rule.expiresAt) flags.push(` [expires in ${formatDuration(rule.expiresAt - Date.now())}]`);
+  return `${formatRule(rule)}${flags.join("")}`;
+}
+
+function formatRules(rules) {
+  if (!rules || rules.size === 0) return "None";
+  return Array.from(rules.values()).map(describeRule).join(", ");
+}
+
+// Build a rule from the filtered_partial/type options, replying with the error if it is invalid
+async function ruleFromOptions(interaction) {
+  try {
+    return createRule(interaction.options.getString("type"), interaction.options.getString("filtered_partial"));
+  } catch (error) {
+    await interaction.reply({ content: `❌ Invalid rule: ${error.message}`, ephemeral: true });
+    return null;
+  }
+}
+
+// Required "list" option naming a shared list, autocompleted by /nyd like "type"
+function listOption(opt) {
+  return opt.setName("list").setDescription("Shared list, as name or name#id").setRequired(true).setAutocomplete(true);
+}
+
+// Look up the shared list the "list" option names, replying with the error if there is none. The option takes a
+// "<name>#<id>" reference, or the bare name of one of this server's lists or of a single list it can see. Lists
+// the server cannot see are reported as missing. With owned, lists of other servers are refused too, since only
+// the owner may edit a list.
+async function sharedListFromOptions(interaction, { store, sharedLists }, { owned = false } = {}) {
+  const guildId = interaction.guildId;
+  const input = interaction.options.getString("list").trim().toLowerCase();
+  const refuse = async (content) => {
+    await interaction.reply({ content: `❌ ${content}`, ephemeral: true });
+    return null;
+  };
+
+  const [rawName, id] = input.split("#");
+  let name;
+  try {
+    name = normalizeListName(rawName);
+  } catch (error) {
+    return refuse(error.message);
+  }
+
+  const visible = sharedLists.visibleTo(guildId, store.get(guildId).subscriptions);
+  let candidates;
+  if (id !== undefined) {
+    candidates = visible.filter((list) => listRef(list) === `${name}#${id}`);
+  } else {
+    const own = visible.filter((list) => list.ownerGuildId === guildId && list.name === name);
+    candidates = own.length > 0 || owned ? own : visible.filter((list) => list.name === name);
+  }
+
+  if (candidates.length > 1) return refuse(`Several shared lists are called \`${name}\`. Pick one from the suggestions.`);
+  const [list] = candidates;
+  if (!list && owned && id === undefined) return refuse(`This server has no shared list called \`${name}\`.`);
+  if (!list) return refuse(`There is no shared list called \`${input}\`. Use /nyd-admin lists show to see the available lists.`);
+  if (owned && list.ownerGuildId !== guildId)
+    return refuse(`\`${listRef(list)}\` belongs to another server. Only its owner can change it.`);
+  return list;
+}
+
+// Optional channel/rule/domain/duration options limiting an allow-user or allow-role entry
+function allowScopeOptions(builder) {
+  return builder
+    .addChannelOption((opt) => opt.setName("channel").setDescription("Only exempt in this channel or category").setRequired(false))
+    .addStringOption((opt) => opt.setName("rule").setDescription("Only exempt from this blocked partial").setRequired(false))
+    .addStringOption((opt) => matchTypeOption(opt).setDescription("How the rule partial is matched (default: substring)"))
+    .addStringOption((opt) => opt.setName("domain").setDescription("Only exempt links to this domain").setRequired(false))
+    .addStringOption((opt) =>
+      opt.setName("duration").setDescription("Remove the entry after this long, e.g. 24h or 7d").setRequired(false)
+    );
+}
+
+// Build an allowlist entry from the scope options, replying with the error if one is invalid
+async function allowEntryFromOptions(interaction) {
+  const channel = interaction.options.getChannel("channel");
+  const ruleInput = interaction.options.getString("rule");
+  const domainInput = interaction.options.getString("domain");
+  const durationInput = interaction.options.getString("duration");
+
+  const entry = createAllowEntry({ channels: channel ? [channel.id] : [] });
+  try {
+    if (ruleInput) entry.rules = [ruleKey(createRule(interaction.options.getString("type"), ruleInput))];
+  } catch (error) {
+    await interaction.reply({ content: `❌ Invalid rule: ${error.message}`, ephemeral: true });
+    return null;
+  }
+  if (domainInput) {
+    const domain = normalizeHostname(domainInput);
+    if (!domain) {
+      await interaction.reply({ content: `❌ "${domainInput}" is not a valid domain.`, ephemeral: true });
+      return null;
+    }
+    entry.domains = [domain];
+  }
+  if (durationInput) {
+    const durationMs = parseDuration(durationInput);
+    if (!durationMs) {
+      await interaction.reply({
+        content: `❌ "${durationInput}" is not a valid duration. Use values like 30m, 24h or 7d.`,
+        ephemeral: true,
+      });
+      return null;
+    }
+    entry.expiresAt = Date.now() + durationMs;
+  }
+  return entry;
+}
+
+// Download an uploaded file as text. Throws with a readable reason if it is too large or cannot be fetched.
+async function downloadAttachment(attachment) {
+  if (attachment.size > MAX_IMPORT_BYTES) throw new Error("file is larger than 1 MB");
+  const response = await fetch(attachment.url);
+  if (!response.ok) throw new Error(`download failed (HTTP ${response.status})`);
+  return response.text();
+}
+
+// Read the entries of a bulk command from its "partials" text and "file" upload, split for its "type" option,
+// replying with the error if neither was given or the file could not be read
+async function bulkEntriesFromOptions(interaction) {
+  const type = interaction.options.getString("type");
+  const text = interaction.options.getString("partials");
+  const attachment = interaction.options.getAttachment("file");
+  if (!text && !attachment) {
+    await interaction.reply({ content: "❌ Give a list of partials, a text file, or both.", ephemeral: true });
+    return null;
+  }
+
+  const entries = text ? splitEntries(text, type) : [];
+  if (attachment) {
+    try {
+      entries.push(...splitEntries(await downloadAttachment(attachment), type));
+    } catch (error) {
+      await interaction.reply({ content: `❌ Could not read \`${attachment.name}\`: ${error.message}`, ephemeral: true });
+      return null;
+    }
+  }
+  if (entries.length === 0) {
+    await interaction.reply({ content: "❌ There are no entries in that list.", ephemeral: true });
+    return null;
+  }
+  return entries;
+}
+
+// Check that the member is an administrator or has a role granted the capability, replying with the refusal if not
+async function requireCapability(interaction, store, capability) {
+  if (hasCapability(interaction.member, store.get(interaction.guildId).permissions, capability)) return true;
+  await interaction.reply({
+    content: capability
+      ? `❌ You need the \`${capability}\` permission to use this command. An administrator can grant it with /nyd-admin permissions grant.`
+      : "❌ This command can only be used by server administrators.",
+    ephemeral: true,
+  });
+  return false;
+}
+
+// Record a config change in the audit log channel
+async function logConfigChange(interaction, store, content) {
+  await sendToLogChannel(interaction.guild, store.get(interaction.guildId).settings.logChannelId, [buildConfigEmbed(interaction, content)]);
+}
+
+// Confirm a config change to the caller and record it in the audit log channel
+async function replyAndLog(interaction, store, content) {
+  await interaction.reply({ content, ephemeral: true });
+  await logConfigChange(interaction, store, content);
+}
+
+// Ask the caller to confirm a destructive action with buttons.
+// Returns the button interaction to update if confirmed, or null if cancelled or timed out.
+async function askConfirmation(interaction, prompt) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("confirm").setLabel("Confirm").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId("cancel").setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+  );
+  const response = await interaction.reply({ content: prompt, components: [row], ephemeral: true, fetchReply: true });
+
+  try {
+    const button = await response.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      filter: (i) => i.user.id === interaction.user.id,
+      time: 60000,
+    });
+    if (button.customId === "confirm") return button;
+    await button.update({ content: "❎ Cancelled.", components: [] });
+  } catch (error) {
+    await interaction.editReply({ content: "⌛ Confirmation timed out, nothing was changed.", components: [] });
+  }
+  return null;
+}
+
+function samePermissions(a, b) {
+  const serialize = (permissions) =>
+    JSON.stringify(Array.from(permissions, ([roleId, capabilities]) => [roleId, [...capabilities].sort()]).sort());
+  return serialize(a) === serialize(b);
+}
+
+// Replace a guild's data after a confirmed restore or import, backing up the current data first
+async function replaceGuildData(interaction, store, button, newData, description) {
+  const guildId = interaction.guildId;
+  const guildData = store.get(guildId);
+  const backupSettings = { ...DEFAULT_BACKUP_SETTINGS, ...guildData.settings.backup };
+  try {
+    await store.dataManager.createBackup(guildId, guildData, { retention: backupSettings.retention, label: "pre-restore" });
+  } catch (error) {
+    await button.update({ content: `❌ Could not back up the current data, nothing was changed: ${error.message}`, components: [] });
+    return;
+  }
+
+  // Role permissions are the only data reserved for administrators, so anyone else restores or imports around them
+  if (!isAdministrator(interaction.member) && !samePermissions(newData.permissions, guildData.permissions)) {
+    newData.permissions = guildData.permissions;
+    description += "\n🔒 Role permissions were left unchanged: only administrators can replace them.";
+  }
+
+  store.set(guildId, newData);
+  store.save(guildId);
+  await button.update({ content: description, components: [] });
+  await logConfigChange(interaction, store, description);
+}
+
+module.exports = {
+  matchTypeOption,
+  choicesMatching,
+  monitorOption,
+  describeRule,
+  formatRules,
+  allowScopeOptions,
+  allowEntryFromOptions,
+  ruleFromOptions,
+  listOption,
+  sharedListFromOptions,
+  downloadAttachment,
+  bulkEntriesFromOptions,
+  requireCapability,
+  logConfigChange,
+  replyAndLog,
+  askConfirmation,
+  replaceGuildData,
+};
@@ -0,0 +1,232 @@
+/*
+ * Rule panel for NYD Bot
+ * Builds the /nyd panel dashboard: one page of a channel's rules, the server-wide rules or the allowlist as an
+ * embed, with menus to switch views and pick an entry and buttons to page through, add rules, remove the picked
+ * entry and toggle watchman. The view, page and picked entry are kept in the components' custom IDs
+ * ("nyd:panel:<action>:<view>:<page>[:<entry>]"), so a panel keeps working after the bot restarts.
+ */
+
+const crypto = require("crypto");
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelSelectMenuBuilder,
+  ChannelType,
+  EmbedBuilder,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require("discord.js");
+const { ruleKey, formatRule } = require("./rules");
+const { formatAllowEntry } = require("./allowlist");
+const { describeRule } = require("./nyd-helpers");
+
+const PANEL_ID = "nyd:panel";
+const PANEL_COLOR = 0x0099ff;
+const PAGE_SIZE = 10;
+
+// Views other than a channel's rules, which use the channel ID
+const GLOBAL_VIEW = "global";
+const ALLOW_VIEW = "allow";
+
+function isChannelView(view) {
+  return /^\d+$/.test(view);
+}
+
+// Short stable ID for an entry, since rule patterns can be longer than a custom ID allows
+function entryId(key) {
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+}
+
+// The rule collection a view edits: the server-wide rules or a channel's own rules
+function viewRules(guildData, view) {
+  return view === GLOBAL_VIEW ? guildData.globalBlockRules : guildData.blockRules.get(view);
+}
+
+// Entries shown in a view: [{ id, line, label, remove() }]. remove() takes the entry out of the guild data and
+// returns a description of it for the reply.
+function panelEntries(guild, guildData, view) {
+  if (view === ALLOW_VIEW) {
+    const entries = [];
+    const { users, roles } = guildData.allowList;
+    const kinds = [
+      [users, (id) => `<@${id}>`, (id) => `User ${guild.members.cache.get(id)?.user.tag || id}`],
+      [roles, (id) => `<@&${id}>`, (id) => `Role ${guild.roles.cache.get(id)?.name || id}`],
+    ];
+    for (const [owners, mention, name] of kinds) {
+      for (const [ownerId, list] of owners) {
+        for (const entry of list) {
+          entries.push({
+            id: entryId(`${mention(ownerId)} ${JSON.stringify(entry)}`),
+            line: `${mention(ownerId)}: ${formatAllowEntry(entry)}`,
+            label: name(ownerId),
+            remove() {
+              const remaining = owners.get(ownerId).filter((other) => other !== entry);
+              if (remaining.length > 0) owners.set(ownerId, remaining);
+              else owners.delete(ownerId);
+              return `the allowlist entry of ${mention(ownerId)} (${formatAllowEntry(entry)})`;
+            },
+          });
+        }
+      }
+    }
+    return entries;
+  }
+
+  const rules = viewRules(guildData, view);
+  const where = view === GLOBAL_VIEW ? "the server-wide rules" : `<#${view}>`;
+  return Array.from((rules || new Map()).values(), (rule) => ({
+    id: entryId(ruleKey(rule)),
+    line: describeRule(rule),
+    label: describeRule(rule),
+    remove() {
+      rules.delete(ruleKey(rule));
+      return `${formatRule(rule)} from ${where}`;
+    },
+  }));
+}
+
+function viewTitle(guild, view) {
+  if (view === GLOBAL_VIEW) return "🌐 Server-wide rules";
+  if (view === ALLOW_VIEW) return "✅ Allowlist";
+  const channel = guild.channels.cache.get(view);
+  return `📋 Rules set on ${channel ? `#${channel.name}` : `channel ${view}`}`;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// The panel message for a view: { content, embeds, components }. notice is shown above the embed, e.g. the result
+// of the last action.
+function renderPanel(guild, guildData, { view = GLOBAL_VIEW, page = 0, selected = null } = {}, notice = "") {
+  const entries = panelEntries(guild, guildData, view);
+  const pageCount = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+  const first = page * PAGE_SIZE;
+  const shown = entries.slice(first, first + PAGE_SIZE);
+  const picked = shown.find((entry) => entry.id === selected) || null;
+
+  const noun = view === ALLOW_VIEW ? "entries" : "rules";
+  const embed = new EmbedBuilder()
+    .setColor(PANEL_COLOR)
+    .setTitle(viewTitle(guild, view))
+    .setDescription(shown.length > 0 ? shown.map((entry, i) => `\`${first + i + 1}.\` ${entry.line}`).join("\n") : `No ${noun} yet.`)
+    .setFooter({ text: `Page ${page + 1}/${pageCount} · ${entries.length} ${noun}` });
+  if (view === GLOBAL_VIEW && guildData.subscriptions.size > 0) {
+    const names = Array.from(guildData.subscriptions, (ref) => `\`${ref}\``).join(", ");
+    embed.addFields({ name: "Subscribed shared lists", value: truncate(names, 1024) });
+  }
+  if (isChannelView(view)) {
+    embed.addFields(
+      { name: "Watchman", value: guildData.watchmanChannels.has(view) ? "On" : "Off", inline: true },
+      { name: "Also applies here", value: "Parent channel, category and server-wide rules (see /nyd list)", inline: true }
+    );
+  }
+
+  const components = [
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`${PANEL_ID}:view`)
+        .setPlaceholder("Switch to the server-wide rules or the allowlist")
+        .addOptions(
+          { label: "Server-wide rules", value: GLOBAL_VIEW, default: view === GLOBAL_VIEW },
+          { label: "Allowlist", value: ALLOW_VIEW, default: view === ALLOW_VIEW }
+        )
+    ),
+    new ActionRowBuilder().addComponents(
+      new ChannelSelectMenuBuilder()
+        .setCustomId(`${PANEL_ID}:channel`)
+        .setPlaceholder("Show the rules of a channel or category")
+        .setChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildCategory)
+        .setDefaultChannels(isChannelView(view) ? [view] : [])
+    ),
+  ];
+  if (shown.length > 0) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`${PANEL_ID}:pick:${view}:${page}`)
+          .setPlaceholder("Pick an entry to remove")
+          .addOptions(
+            shown.map((entry, i) => ({
+              label: truncate(`${first + i + 1}. ${entry.label}`, 100),
+              value: entry.id,
+              default: entry === picked,
+            }))
+          )
+      )
+    );
+  }
+
+  const buttons = [
+    new ButtonBuilder()
+      .setCustomId(`${PANEL_ID}:page:${view}:${page - 1}`)
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`${PANEL_ID}:page:${view}:${page + 1}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId([PANEL_ID, "remove", view, page, picked && picked.id].filter((part) => part !== null).join(":"))
+      .setLabel(picked ? `Remove #${first + shown.indexOf(picked) + 1}` : "Remove")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(!picked),
+  ];
+  if (view !== ALLOW_VIEW) {
+    buttons.push(new ButtonBuilder().setCustomId(`${PANEL_ID}:add:${view}:${page}`).setLabel("Add rules").setStyle(ButtonStyle.Primary));
+  }
+  if (isChannelView(view)) {
+    const watched = guildData.watchmanChannels.has(view);
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`${PANEL_ID}:watchman:${view}:${page}`)
+        .setLabel(watched ? "Turn watchman off" : "Turn watchman on")
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+  components.push(new ActionRowBuilder().addComponents(buttons));
+
+  return { content: notice, embeds: [embed], components };
+}
+
+// Form for adding rules to a view, submitted as "nyd:panel:addform:<view>:<page>"
+function addRulesModal(view, page) {
+  return new ModalBuilder()
+    .setCustomId(`${PANEL_ID}:addform:${view}:${page}`)
+    .setTitle(view === GLOBAL_VIEW ? "Add server-wide rules" : "Add channel rules")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("partials")
+          .setLabel("Partials, separated by commas or new lines")
+          .setPlaceholder("Put each regex or glob on its own line")
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(4000)
+          .setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("type")
+          .setLabel("Match type (default: substring)")
+          .setPlaceholder("substring, host, domain, path, query, glob or regex")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+      )
+    );
+}
+
+module.exports = {
+  GLOBAL_VIEW,
+  ALLOW_VIEW,
+  isChannelView,
+  viewRules,
+  panelEntries,
+  renderPanel,
+  addRulesModal,
+};
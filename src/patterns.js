@@ -0,0 +1,200 @@
+/*
+ * Pattern compiler for NYD Bot
+ * Turns glob and regular-expression rule patterns into matchers with a test(subject) method, rejecting
+ * regular expressions that are prone to catastrophic backtracking. Globs are matched without backtracking.
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Links longer than this are truncated before a pattern is run against them. Regular expressions that pass the
+// checks below can still take polynomial time, so they see a shorter part of the link than globs.
+const MAX_SUBJECT_LENGTH = 2048;
+const MAX_REGEX_SUBJECT_LENGTH = 256;
+
+// Each open-ended quantifier can multiply the work of the ones before it ("a.*b.*c.*d")
+const MAX_OPEN_QUANTIFIERS = 2;
+
+// A range wider than this (e.g. "{1,100}") backtracks like "+" and counts as open-ended
+const MAX_BOUNDED_RANGE = 10;
+
+// Ways a regular expression may try to match at one position, counting every choice of an optional or ranged item
+// ("a?" has 2, "\d{1,3}" has 3) and raising a repeated group's choices to its repeat count ("(a?){24}" has 2^24)
+const MAX_MATCH_PATHS = 100000;
+
+// Wildcards allowed in one glob
+const MAX_GLOB_WILDCARDS = 6;
+
+// Compiled patterns keyed by "<type>:<pattern>", so messageCreate never recompiles
+const compiledCache = new Map();
+
+// The quantifier starting at source[i], including a lazy "?" after it: { length, ranged, open, choices, repeats } or
+// null. choices is how many repeat counts it allows and repeats the most it allows, both 1 for "*" and "+", which
+// are limited separately. A "{" that does not form a quantifier is a literal brace.
+function quantifierAt(source, i) {
+  const char = source[i];
+  const lazy = source[i + 1] === "?" ? 1 : 0;
+  if (char === "*" || char === "+") return { length: 1 + lazy, ranged: true, open: true, choices: 1, repeats: 1 };
+  if (char === "?") return { length: 1 + lazy, ranged: true, open: false, choices: 2, repeats: 1 };
+  if (char !== "{") return null;
+  const range = /^\{(\d+)(,(\d*))?\}\??/.exec(source.slice(i));
+  if (!range) return null;
+  const [brace, min, comma, max] = range;
+  const ranged = Boolean(comma);
+  if (!ranged) return { length: brace.length, ranged, open: false, choices: 1, repeats: Number(min) };
+  if (max === "") return { length: brace.length, ranged, open: true, choices: 1, repeats: Number(min) };
+  const choices = Number(max) - Number(min) + 1;
+  return { length: brace.length, ranged, open: choices - 1 > MAX_BOUNDED_RANGE, choices, repeats: Number(max) };
+}
+
+// A group as findUnsafeConstruct tracks it. paths sums the match paths of the alternatives before the last "|" and
+// branchPaths multiplies those of the current one.
+function newGroup() {
+  return { hasQuantifier: false, hasOpenQuantifier: false, hasAlternation: false, paths: 0, branchPaths: 1 };
+}
+
+// Walk a regex source and report constructs that can backtrack exponentially or for too long: groups repeated by
+// an open-ended quantifier that contain another quantifier (e.g. "(a+)+", "(\w*)*") or an alternation
+// (e.g. "(a|aa)+"), groups repeated a fixed number of times that contain an open-ended quantifier
+// (e.g. "(.*a){12}"), too many open-ended quantifiers, too many ways to match (e.g. "(?:a?){24}"), and backreferences.
+function findUnsafeConstruct(source) {
+  const groups = [newGroup()];
+  let inClass = false;
+  let openQuantifiers = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\\") {
+      if (!inClass && /[1-9k]/.test(source[i + 1] || "")) return "backreferences are not allowed";
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === "]") inClass = false;
+      continue;
+    }
+
+    const current = groups[groups.length - 1];
+    const quantifier = quantifierAt(source, i);
+    if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(newGroup());
+      // Skip the "?:", "?=", "?!", "?<=", "?<!" or "?<name>" that makes it a special group, which is not a quantifier
+      const prefix = /^\?(?::|=|!|<=|<!|<[^>]*>)/.exec(source.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+    } else if (char === ")") {
+      if (groups.length === 1) continue;
+      const closed = groups.pop();
+      const parent = groups[groups.length - 1];
+      const repeat = quantifierAt(source, i + 1);
+      if (repeat && repeat.open && (closed.hasQuantifier || closed.hasAlternation)) {
+        return "nested quantifiers like (a+)+ or (a|b)* can freeze the bot";
+      }
+      if (repeat && closed.hasOpenQuantifier) return "repeating a group that contains * or +, like (.*a){12}, can freeze the bot";
+      parent.branchPaths *= (closed.paths + closed.branchPaths) ** (repeat ? repeat.repeats : 1);
+      parent.hasQuantifier = parent.hasQuantifier || closed.hasQuantifier;
+      parent.hasOpenQuantifier = parent.hasOpenQuantifier || closed.hasOpenQuantifier;
+    } else if (char === "|") {
+      current.hasAlternation = true;
+      current.paths += current.branchPaths;
+      current.branchPaths = 1;
+    } else if (quantifier) {
+      // Fixed repeats like "{2}" cannot backtrack, so only open-ended and ranged ones count
+      current.hasQuantifier = current.hasQuantifier || quantifier.ranged;
+      current.hasOpenQuantifier = current.hasOpenQuantifier || quantifier.open;
+      current.branchPaths *= quantifier.choices;
+      if (quantifier.open && ++openQuantifiers > MAX_OPEN_QUANTIFIERS) {
+        return `more than ${MAX_OPEN_QUANTIFIERS} open-ended quantifiers (*, + or {n,}) can freeze the bot`;
+      }
+      i += quantifier.length - 1;
+    }
+  }
+  if (groups[0].paths + groups[0].branchPaths > MAX_MATCH_PATHS) {
+    return "too many optional or ranged items, like (?:a?){24}, can freeze the bot";
+  }
+  return null;
+}
+
+// Validate a user-supplied regular expression. Throws with a readable reason.
+function compileRegex(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, "i");
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+
+  const unsafe = findUnsafeConstruct(pattern);
+  if (unsafe) throw new Error(`Unsafe regular expression: ${unsafe}`);
+  return regex;
+}
+
+// Split a glob into tokens: "*" matches within one path segment, "**" matches across segments, "?" matches one
+// character other than "/" and anything else matches itself.
+function compileGlob(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  if (!/[^*?]/.test(pattern)) throw new Error("Glob must contain more than wildcards");
+
+  const tokens = [];
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === "*" && pattern[i + 1] === "*") {
+      tokens.push("**");
+      i++;
+    } else {
+      tokens.push(pattern[i].toLowerCase());
+    }
+  }
+  const wildcards = tokens.filter((token) => token === "*" || token === "**" || token === "?").length;
+  if (wildcards > MAX_GLOB_WILDCARDS) throw new Error(`Glob has more than ${MAX_GLOB_WILDCARDS} wildcards`);
+  return { test: (subject) => matchGlob(tokens, subject.toLowerCase()) };
+}
+
+// Match a whole subject against glob tokens in one pass, tracking every token position the subject read so far
+// can end at, so no input makes it backtrack
+function matchGlob(tokens, subject) {
+  // reached[t]: the subject read so far matches the first t tokens
+  let reached = skipStars(tokens, [true, ...new Array(tokens.length).fill(false)]);
+  for (let i = 0; i < subject.length; i++) {
+    const char = subject[i];
+    const next = new Array(tokens.length + 1).fill(false);
+    for (let t = 0; t < tokens.length; t++) {
+      if (!reached[t]) continue;
+      const token = tokens[t];
+      if (token === "**" || (token === "*" && char !== "/")) next[t] = true;
+      else if ((token === "?" && char !== "/") || token === char) next[t + 1] = true;
+    }
+    reached = skipStars(tokens, next);
+  }
+  return reached[tokens.length];
+}
+
+// Stars can match nothing, so a position before a star also reaches the position after it
+function skipStars(tokens, reached) {
+  for (let t = 0; t < tokens.length; t++) {
+    if (reached[t] && (tokens[t] === "*" || tokens[t] === "**")) reached[t + 1] = true;
+  }
+  return reached;
+}
+
+// Get the matcher for a glob/regex pattern, compiling it once
+function getCompiledPattern(type, pattern) {
+  const key = `${type}:${pattern}`;
+  if (!compiledCache.has(key)) {
+    compiledCache.set(key, type === "glob" ? compileGlob(pattern) : compileRegex(pattern));
+  }
+  return compiledCache.get(key);
+}
+
+// Run a compiled pattern against a subject, bounding the subject length
+function testPattern(matcher, subject) {
+  const limit = matcher instanceof RegExp ? MAX_REGEX_SUBJECT_LENGTH : MAX_SUBJECT_LENGTH;
+  return matcher.test(subject.length > limit ? subject.slice(0, limit) : subject);
+}
+
+module.exports = {
+  getCompiledPattern,
+  testPattern,
+};
@@ -0,0 +1,50 @@
+/*
+ * Bot permissions for NYD Bot
+ * Administrators can do everything. Other members get the capabilities granted to their roles
+ * with /nyd-admin permissions, so moderators can manage rules without full admin.
+ */
+
+const { PermissionFlagsBits } = require("discord.js");
+
+const CAPABILITIES = {
+  "rules.view": "View block rules",
+  "rules.edit": "Add and remove block rules",
+  "allowlist.view": "View the allowlist",
+  "allowlist.edit": "Edit the allowlist",
+  "watchman.toggle": "Turn watchman mode on and off",
+  "settings.view": "View moderation settings",
+  "settings.edit": "Change log channel, notification, escalation and backup settings",
+  "strikes.view": "View strikes",
+  "strikes.edit": "Clear strikes",
+  "stats.view": "View statistics",
+  "sweep.run": "Delete earlier messages that break the rules with /nyd sweep",
+  "backup.create": "Create, list and export backups",
+  "backup.restore": "Restore backups and import configurations",
+};
+
+function isAdministrator(member) {
+  return Boolean(member && member.permissions.has(PermissionFlagsBits.Administrator));
+}
+
+// Capabilities a member has through their roles (guild permissions are Map<roleId, Set<capability>>)
+function memberCapabilities(member, permissions) {
+  const capabilities = new Set();
+  if (!member) return capabilities;
+  for (const roleId of member.roles.cache.keys()) {
+    for (const capability of permissions.get(roleId) || []) capabilities.add(capability);
+  }
+  return capabilities;
+}
+
+// Check whether a member may use a command needing a capability. null means administrators only.
+function hasCapability(member, permissions, capability) {
+  if (isAdministrator(member)) return true;
+  return capability !== null && memberCapabilities(member, permissions).has(capability);
+}
+
+module.exports = {
+  CAPABILITIES,
+  isAdministrator,
+  memberCapabilities,
+  hasCapability,
+};
@@ -0,0 +1,54 @@
+/*
+ * Rule inheritance for NYD Bot
+ * Works out which block rules apply in a channel: its own rules, its parent channel's rules
+ * when it is a thread or forum post, its category's rules, the server-wide rules, and finally the shared lists
+ * the server subscribes to.
+ */
+
+const RULE_ORIGINS = {
+  channel: "Channel",
+  parent: "Parent channel",
+  category: "Category",
+  global: "Server-wide",
+  list: "Subscribed list",
+};
+
+// Channels whose rules apply in a channel, most specific first: [{ origin, channelId }]
+function ruleSources(channel) {
+  const sources = [{ origin: "channel", channelId: channel.id }];
+
+  let categoryId = channel.parentId;
+  if (channel.isThread() && channel.parentId) {
+    sources.push({ origin: "parent", channelId: channel.parentId });
+    // Threads sit under a text or forum channel, which may itself be in a category
+    const parent = channel.parent || channel.guild.channels.cache.get(channel.parentId);
+    categoryId = parent ? parent.parentId : null;
+  }
+
+  if (categoryId) sources.push({ origin: "category", channelId: categoryId });
+  return sources;
+}
+
+// Rule sets that apply in a channel, most specific first: [{ origin, channelId, rules }].
+// Empty sets are left out; server-wide rules come next with a null channelId, then the subscribed shared lists
+// (see shared-lists.js), which also carry their "<name>#<id>" listRef.
+function effectiveRuleSets(guildData, channel, sharedLists = null) {
+  const sets = ruleSources(channel)
+    .map((source) => ({ ...source, rules: guildData.blockRules.get(source.channelId) }))
+    .filter((set) => set.rules && set.rules.size > 0);
+
+  if (guildData.globalBlockRules.size > 0) {
+    sets.push({ origin: "global", channelId: null, rules: guildData.globalBlockRules });
+  }
+  for (const ref of guildData.subscriptions) {
+    const list = sharedLists && sharedLists.get(ref);
+    if (list && list.rules.size > 0) sets.push({ origin: "list", channelId: null, listRef: ref, rules: list.rules });
+  }
+  return sets;
+}
+
+module.exports = {
+  RULE_ORIGINS,
+  ruleSources,
+  effectiveRuleSets,
+};
@@ -0,0 +1,92 @@
+/*
+ * Rule statistics for NYD Bot
+ * Counts deletions per rule, channel and user in daily buckets, so /nyd stats can show which rules
+ * fire, who trips them most, and which rules never fire at all.
+ */
+
+const { hitKey, parseHitKey } = require("./monitor");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily buckets older than this are dropped
+const HIT_RETENTION_DAYS = 90;
+
+const DEFAULT_STATS_DAYS = 30;
+
+// Bucket key for a timestamp, the UTC date, e.g. "2026-10-19"
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+// Count a deleted message. ruleChannelId is the channel the rule is set on (null for server-wide rules),
+// channelId the channel the message was in.
+function recordRuleHit(guildData, { ruleChannelId, rule, channelId, userId }, now = Date.now()) {
+  const day = dayKey(now);
+  if (!guildData.ruleHits.has(day)) guildData.ruleHits.set(day, { rules: {}, channels: {}, users: {} });
+  const bucket = guildData.ruleHits.get(day);
+  increment(bucket.rules, hitKey(ruleChannelId, rule));
+  increment(bucket.channels, channelId);
+  increment(bucket.users, userId);
+
+  const oldest = dayKey(now - HIT_RETENTION_DAYS * DAY_MS);
+  for (const key of guildData.ruleHits.keys()) if (key < oldest) guildData.ruleHits.delete(key);
+}
+
+function sortedCounts(counts) {
+  return Array.from(counts, ([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count);
+}
+
+// Hits in the last `days` days, most first: { rules: [{ channelId, rule, count }], channels: [{ channelId, count }],
+// users: [{ userId, count }], unused: [{ channelId, rule }] }. unused lists the current rules without any hits.
+function summarizeRuleHits(guildData, days = DEFAULT_STATS_DAYS, now = Date.now()) {
+  const totals = { rules: new Map(), channels: new Map(), users: new Map() };
+  const oldest = dayKey(now - (days - 1) * DAY_MS);
+  for (const [day, bucket] of guildData.ruleHits) {
+    if (day < oldest) continue;
+    for (const kind of Object.keys(totals)) {
+      for (const [key, count] of Object.entries(bucket[kind])) totals[kind].set(key, (totals[kind].get(key) || 0) + count);
+    }
+  }
+
+  const unused = [];
+  for (const [channelId, rules] of guildData.blockRules) {
+    for (const rule of rules.values()) if (!totals.rules.has(hitKey(channelId, rule))) unused.push({ channelId, rule });
+  }
+  for (const rule of guildData.globalBlockRules.values()) if (!totals.rules.has(hitKey(null, rule))) unused.push({ channelId: null, rule });
+
+  return {
+    rules: sortedCounts(totals.rules).map(({ key, count }) => ({ ...parseHitKey(key), count })),
+    channels: sortedCounts(totals.channels).map(({ key, count }) => ({ channelId: key, count })),
+    users: sortedCounts(totals.users).map(({ key, count }) => ({ userId: key, count })),
+    unused,
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The whole summary as CSV, one row per rule, channel, user and unused rule
+function ruleHitsCsv(summary) {
+  const rows = [["kind", "rule_set", "rule_type", "rule_pattern", "channel_id", "user_id", "hits"]];
+  const ruleSet = (channelId) => channelId || "global";
+  for (const { channelId, rule, count } of summary.rules) rows.push(["rule", ruleSet(channelId), rule.type, rule.pattern, "", "", count]);
+  for (const { channelId, count } of summary.channels) rows.push(["channel", "", "", "", channelId, "", count]);
+  for (const { userId, count } of summary.users) rows.push(["user", "", "", "", "", userId, count]);
+  for (const { channelId, rule } of summary.unused) rows.push(["unused_rule", ruleSet(channelId), rule.type, rule.pattern, "", "", 0]);
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  HIT_RETENTION_DAYS,
+  DEFAULT_STATS_DAYS,
+  dayKey,
+  recordRuleHit,
+  summarizeRuleHits,
+  ruleHitsCsv,
+};
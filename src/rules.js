@@ -0,0 +1,199 @@
+/*
+ * Block rules for NYD Bot
+ * A rule is { type, pattern } where type decides how the pattern is matched against a link
+ */
+
+const { normalizeHostname } = require("./url-parser");
+const { getCompiledPattern, testPattern } = require("./patterns");
+
+// Match types offered by the slash commands
+const MATCH_TYPES = {
+  substring: "Substring (anywhere in the link)",
+  host: "Exact host",
+  domain: "Domain and all subdomains",
+  path: "Domain and path prefix",
+  query: "Query parameter",
+  glob: "Wildcard (e.g. *.tiktok.com/*/video/*)",
+  regex: "Regular expression",
+};
+
+const DEFAULT_MATCH_TYPE = "substring";
+
+// Validate and normalize a pattern for the given match type. Throws if the pattern is unusable.
+function normalizePattern(type, input) {
+  const pattern = (input || "").trim();
+  if (!pattern) throw new Error("Pattern cannot be empty");
+
+  switch (type) {
+    case "substring":
+      return pattern.toLowerCase();
+
+    case "host":
+    case "domain": {
+      const hostname = normalizeHostname(pattern);
+      if (!hostname) throw new Error(`"${pattern}" is not a valid host name`);
+      return hostname;
+    }
+
+    case "path": {
+      const withoutScheme = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+      const slash = withoutScheme.indexOf("/");
+      if (slash === -1) throw new Error(`"${pattern}" needs a path, e.g. "youtube.com/shorts"`);
+      const hostname = normalizeHostname(withoutScheme.slice(0, slash));
+      if (!hostname) throw new Error(`"${pattern}" does not start with a valid host name`);
+      // Encode the path the same way url-parser does, so non-ASCII paths compare equal
+      const { pathname } = new URL(`http://${hostname}${withoutScheme.slice(slash)}`);
+      return `${hostname}${pathname.toLowerCase()}`;
+    }
+
+    case "query": {
+      const [name, ...rest] = pattern.replace(/^\?/, "").split("=");
+      if (!name) throw new Error(`"${pattern}" needs a parameter name, e.g. "si" or "utm_source=spam"`);
+      return rest.length > 0 ? `${name.toLowerCase()}=${rest.join("=").toLowerCase()}` : name.toLowerCase();
+    }
+
+    case "glob": {
+      const glob = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "").toLowerCase();
+      getCompiledPattern("glob", glob);
+      return glob;
+    }
+
+    case "regex":
+      // Compiling here validates the pattern (and primes the cache) before the rule is stored
+      getCompiledPattern("regex", pattern);
+      return pattern;
+
+    default:
+      throw new Error(`Unknown match type "${type}"`);
+  }
+}
+
+// Create a normalized rule
+function createRule(type, input) {
+  const ruleType = type || DEFAULT_MATCH_TYPE;
+  return { type: ruleType, pattern: normalizePattern(ruleType, input) };
+}
+
+// Key used to store a rule in a rule collection (Map<key, rule>)
+function ruleKey(rule) {
+  return `${rule.type}:${rule.pattern}`;
+}
+
+function hostMatchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// Check whether a link (from url-parser's extractUrls) matches a rule. Attachment file names only match substring rules.
+function matchesRule(rule, link) {
+  if (link.fileName) return rule.type === "substring" && link.href.includes(rule.pattern);
+  switch (rule.type) {
+    case "substring":
+      return (
+        link.raw.toLowerCase().includes(rule.pattern) || link.href.includes(rule.pattern) || link.unicodeHostname.includes(rule.pattern)
+      );
+
+    case "host":
+      return link.hostname === rule.pattern;
+
+    case "domain":
+      return hostMatchesDomain(link.hostname, rule.pattern);
+
+    case "path": {
+      const slash = rule.pattern.indexOf("/");
+      const domain = rule.pattern.slice(0, slash);
+      const pathPrefix = rule.pattern.slice(slash);
+      return hostMatchesDomain(link.hostname, domain) && link.pathname.startsWith(pathPrefix);
+    }
+
+    case "query": {
+      const [name, value] = rule.pattern.split(/=(.*)/s);
+      for (const [key, paramValue] of link.searchParams) {
+        if (key.toLowerCase() !== name) continue;
+        if (value === undefined || paramValue.toLowerCase() === value) return true;
+      }
+      return false;
+    }
+
+    case "glob": {
+      // Globs are written without a scheme, e.g. "*.tiktok.com/*/video/*"
+      const regex = getCompiledPattern("glob", rule.pattern);
+      const subject = link.href.replace(/^[a-z]+:\/\//, "");
+      return testPattern(regex, subject) || testPattern(regex, subject.replace(/[?#].*$/, ""));
+    }
+
+    case "regex": {
+      const regex = getCompiledPattern("regex", rule.pattern);
+      return testPattern(regex, link.href) || testPattern(regex, link.raw);
+    }
+
+    default:
+      return false;
+  }
+}
+
+// Temporary rules (e.g. added by anti-spam) stop matching once expiresAt has passed, before the expiry check removes them
+function isExpiredRule(rule, now = Date.now()) {
+  return Boolean(rule.expiresAt && rule.expiresAt <= now);
+}
+
+// Find the first rule that matches any of the links. Returns { rule, link } or null.
+// isExempt(rule, link), if given, skips matches the author is allowlisted for.
+function findMatch(rules, links, isExempt = null) {
+  if (!rules || links.length === 0) return null;
+  for (const rule of rules.values()) {
+    if (isExpiredRule(rule)) continue;
+    for (const link of links) {
+      if (matchesRule(rule, link) && !(isExempt && isExempt(rule, link))) return { rule, link };
+    }
+  }
+  return null;
+}
+
+// Find every rule that matches one of the links, with the first link it matches: [{ rule, link }]
+function findMatches(rules, links, isExempt = null) {
+  if (!rules || links.length === 0) return [];
+  const matches = [];
+  for (const rule of rules.values()) {
+    if (isExpiredRule(rule)) continue;
+    const link = links.find((candidate) => matchesRule(rule, candidate) && !(isExempt && isExempt(rule, candidate)));
+    if (link) matches.push({ rule, link });
+  }
+  return matches;
+}
+
+// Find rules in a collection matching user input (optionally restricted to one type)
+function findRules(rules, input, type) {
+  if (!rules) return [];
+  return Array.from(rules.values()).filter((rule) => {
+    if (type && rule.type !== type) return false;
+    try {
+      return rule.pattern === normalizePattern(rule.type, input);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Human readable rule, e.g. `"tiktok"` or `tiktok.com (domain)`
+function formatRule(rule) {
+  if (rule.type === "substring") return `"${rule.pattern}"`;
+  // Reported by allowlist-domains channels (see channel-modes.js)
+  if (rule.type === "unapproved") return `${rule.pattern} (not an approved domain)`;
+  // Reported for restricted members (see member-restrictions.js)
+  if (rule.type === "restricted") return `${rule.pattern} may not post links`;
+  return `${rule.pattern} (${rule.type})`;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  DEFAULT_MATCH_TYPE,
+  createRule,
+  ruleKey,
+  hostMatchesDomain,
+  matchesRule,
+  isExpiredRule,
+  findMatch,
+  findMatches,
+  findRules,
+  formatRule,
+};
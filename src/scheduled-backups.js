@@ -0,0 +1,30 @@
+/*
+ * Scheduled backups for NYD Bot
+ * Checked periodically; each guild is backed up once its configured interval has passed
+ */
+
+const { DEFAULT_BACKUP_SETTINGS } = require("./data-manager");
+
+const BACKUP_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Back up every guild whose backup interval has passed
+async function runScheduledBackups(store, now = Date.now()) {
+  for (const [guildId, guildData] of store) {
+    const backupSettings = { ...DEFAULT_BACKUP_SETTINGS, ...guildData.settings.backup };
+    if (!backupSettings.intervalHours) continue;
+    if (backupSettings.lastBackupAt && now - backupSettings.lastBackupAt < backupSettings.intervalHours * 60 * 60 * 1000) continue;
+
+    try {
+      await store.dataManager.createBackup(guildId, guildData, { retention: backupSettings.retention, label: "auto" });
+      guildData.settings.backup = { ...backupSettings, lastBackupAt: now };
+      store.save(guildId);
+    } catch (error) {
+      console.error(`❌ Scheduled backup failed for guild ${guildId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  BACKUP_CHECK_INTERVAL_MS,
+  runScheduledBackups,
+};
@@ -0,0 +1,171 @@
+/*
+ * Shared blocklists for NYD Bot
+ * Named rule lists (e.g. "scam-domains") kept once for the whole bot instead of per guild. The guild that
+ * creates a list owns it and is the only one that can edit it. Names are unique per owner, so other guilds
+ * refer to a list by "<name>#<id>", which does not reveal the owner. A list is private until its owner makes it
+ * public; any guild can then subscribe, and a subscribed list's rules apply server-wide next to the guild's own
+ * rules. Lists are stored in data/shared-lists.json.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { createRule, ruleKey } = require("./rules");
+const { addRules } = require("./bulk-rules");
+const { normalizeHostname } = require("./url-parser");
+const { serializeRules, deserializeRules } = require("./data-manager");
+const { writeFileAtomic } = require("./storage/atomic-write");
+
+// Lowercase letters, digits and dashes, e.g. "scam-domains"
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+// Names that hosts files map to local addresses, which are not blocklist entries
+const HOSTS_PLACEHOLDERS = new Set(["localhost", "localhost.localdomain", "local", "broadcasthost", "ip6-localhost", "ip6-loopback"]);
+const HOSTS_LINE = /^(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9a-f]*:[0-9a-f:]*)\s+(.+)$/i;
+
+// "<name>#<id>", how guilds other than the owner refer to a list and how subscriptions are stored
+function listRef(list) {
+  return `${list.name}#${list.id}`;
+}
+
+function normalizeListName(input) {
+  const name = input.trim().toLowerCase();
+  if (!LIST_NAME_PATTERN.test(name)) {
+    throw new Error(`"${input}" is not a valid list name. Use 2 to 32 lowercase letters, digits and dashes.`);
+  }
+  return name;
+}
+
+// Parse a plain-text or hosts-format list into rules. Blank lines and # comments are skipped. Hosts lines
+// ("0.0.0.0 example.com") become domain rules for each name; other lines are read with the given match type,
+// or as a domain rule when they are a bare domain and as a substring rule otherwise.
+// Returns { rules: [rule], invalid: [line] }.
+function parseListFile(text, type = null) {
+  const rules = [];
+  const invalid = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const hosts = line.match(HOSTS_LINE);
+    const entries = hosts ? hosts[1].split(/\s+/).filter((name) => !HOSTS_PLACEHOLDERS.has(name.toLowerCase())) : [line];
+    for (const entry of entries) {
+      try {
+        if (hosts || !type) {
+          const domain = normalizeHostname(entry);
+          if (domain) {
+            rules.push(createRule("domain", domain));
+            continue;
+          }
+          if (hosts) throw new Error("not a domain");
+        }
+        rules.push(createRule(type, entry));
+      } catch {
+        invalid.push(entry);
+      }
+    }
+  }
+  return { rules, invalid };
+}
+
+class SharedLists {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    // Map<id, { id, name, description, ownerGuildId, public, rules: Map<ruleKey, rule>, updatedAt }>
+    this.lists = new Map();
+    // Writes run one after another so they never overlap
+    this.saving = Promise.resolve();
+  }
+
+  // Load the lists. A missing file starts with no lists.
+  async load() {
+    if (!this.file) return;
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, "utf8"));
+      this.lists = new Map(
+        Object.entries(data.lists || {}).map(([id, list]) => [id, { public: false, ...list, id, rules: deserializeRules(list.rules) }])
+      );
+      console.log(`📚 Loaded ${this.lists.size} shared list(s)`);
+    } catch (error) {
+      if (error.code !== "ENOENT") console.error("⚠️ Could not read the shared lists:", error.message);
+    }
+  }
+
+  save() {
+    if (!this.file) return Promise.resolve();
+    const lists = Object.fromEntries(
+      Array.from(this.lists.values()).map(({ id, rules, ...list }) => [id, { ...list, rules: serializeRules(rules) }])
+    );
+    const write = () => writeFileAtomic(this.file, JSON.stringify({ lists }, null, 2));
+    this.saving = this.saving.then(write, write);
+    return this.saving.catch((error) => {
+      console.error("❌ Failed to save the shared lists:", error.message);
+      throw error;
+    });
+  }
+
+  // Wait for writes in progress, e.g. before shutting down. Failures were already logged by save().
+  async flush() {
+    await this.saving.catch(() => {});
+  }
+
+  // The list a "<name>#<id>" reference points to, or null if it was deleted
+  get(ref) {
+    const [name, id] = ref.split("#");
+    const list = this.lists.get(id);
+    return list && list.name === name ? list : null;
+  }
+
+  // A guild's own list with this name, or null
+  owned(guildId, name) {
+    return Array.from(this.lists.values()).find((list) => list.ownerGuildId === guildId && list.name === name) || null;
+  }
+
+  // Lists a guild may see and subscribe to: its own, public ones and the ones it already subscribes to, which
+  // stay visible to it if their owner makes them private
+  visibleTo(guildId, subscriptions) {
+    return Array.from(this.lists.values()).filter(
+      (list) => list.ownerGuildId === guildId || list.public || subscriptions.has(listRef(list))
+    );
+  }
+
+  create(name, ownerGuildId, { description = "", isPublic = false } = {}) {
+    let id = crypto.randomBytes(3).toString("hex");
+    while (this.lists.has(id)) id = crypto.randomBytes(3).toString("hex");
+    const list = { id, name, description, ownerGuildId, public: isPublic, rules: new Map(), updatedAt: Date.now() };
+    this.lists.set(id, list);
+    return list;
+  }
+
+  delete(list) {
+    return this.lists.delete(list.id);
+  }
+
+  // Add rules to a list. Returns { added: [rule], duplicates: [rule] }.
+  addRules(list, rules) {
+    const result = addRules(list.rules, rules);
+    if (result.added.length > 0) list.updatedAt = Date.now();
+    return result;
+  }
+
+  removeRules(list, rules) {
+    for (const rule of rules) list.rules.delete(ruleKey(rule));
+    if (rules.length > 0) list.updatedAt = Date.now();
+  }
+}
+
+// The lists a guild subscribes to that still exist, in subscription order
+function subscribedLists(guildData, sharedLists) {
+  if (!sharedLists) return [];
+  return Array.from(guildData.subscriptions)
+    .map((ref) => sharedLists.get(ref))
+    .filter(Boolean);
+}
+
+module.exports = {
+  LIST_NAME_PATTERN,
+  listRef,
+  normalizeListName,
+  parseListFile,
+  SharedLists,
+  subscribedLists,
+};
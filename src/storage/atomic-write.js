@@ -0,0 +1,29 @@
+/*
+ * Atomic file writes for NYD Bot
+ * Writes go to a temporary file that is flushed to disk and then renamed over the target,
+ * so a crash mid-write leaves either the old file or the new one, never a truncated mix.
+ */
+
+const fs = require("fs").promises;
+
+async function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(tempFile, "w");
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+};
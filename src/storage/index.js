@@ -0,0 +1,26 @@
+/*
+ * Storage backends for NYD Bot
+ * Every backend implements: init(), loadAll(), saveGuild(guildId, data), deleteGuild(guildId),
+ * quarantineGuild(guildId) and close()
+ */
+
+const JsonStorage = require("./json-storage");
+const SqliteStorage = require("./sqlite-storage");
+
+const STORAGE_BACKENDS = {
+  json: JsonStorage,
+  sqlite: SqliteStorage,
+};
+
+function createStorage(type, dataDir) {
+  const Backend = STORAGE_BACKENDS[type];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${type}" (expected ${Object.keys(STORAGE_BACKENDS).join(" or ")})`);
+  }
+  return new Backend(dataDir);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage,
+};
@@ -0,0 +1,63 @@
+/*
+ * JSON file storage backend for NYD Bot
+ * Stores each guild in its own file (data/guilds/<guildId>.json) so a save only rewrites one guild
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { writeFileAtomic } = require("./atomic-write");
+
+class JsonStorage {
+  constructor(dataDir) {
+    this.guildsDir = path.join(dataDir, "guilds");
+  }
+
+  guildFile(guildId) {
+    // Guild IDs are snowflakes; refuse anything else so an ID can never escape the data directory
+    if (!/^\d+$/.test(guildId)) throw new Error(`Invalid guild ID "${guildId}"`);
+    return path.join(this.guildsDir, `${guildId}.json`);
+  }
+
+  async init() {
+    await fs.mkdir(this.guildsDir, { recursive: true });
+  }
+
+  // Load every stored guild. Returns { guilds: Map<guildId, serialized guild data>, corrupt: guildIds[] }.
+  async loadAll() {
+    const guilds = new Map();
+    const corrupt = [];
+    // Leftover *.tmp files from an interrupted write are ignored
+    const files = (await fs.readdir(this.guildsDir)).filter((file) => /^\d+\.json$/.test(file));
+
+    for (const file of files) {
+      const guildId = path.basename(file, ".json");
+      try {
+        guilds.set(guildId, JSON.parse(await fs.readFile(path.join(this.guildsDir, file), "utf8")));
+      } catch (error) {
+        console.error(`❌ Error loading data for guild ${guildId}:`, error.message);
+        corrupt.push(guildId);
+      }
+    }
+    return { guilds, corrupt };
+  }
+
+  async saveGuild(guildId, data) {
+    await writeFileAtomic(this.guildFile(guildId), JSON.stringify(data, null, 2));
+  }
+
+  // Move an unreadable guild file aside so it is kept for inspection and never overwritten
+  async quarantineGuild(guildId) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const target = path.join(this.guildsDir, `${guildId}.corrupt-${timestamp}.json`);
+    await fs.rename(this.guildFile(guildId), target);
+    return target;
+  }
+
+  async deleteGuild(guildId) {
+    await fs.rm(this.guildFile(guildId), { force: true });
+  }
+
+  async close() {}
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,84 @@
+/*
+ * SQLite storage backend for NYD Bot
+ * Stores each guild as one row (data/bot-data.sqlite), using the optional better-sqlite3 package
+ */
+
+const path = require("path");
+
+class SqliteStorage {
+  constructor(dataDir) {
+    this.dbFile = path.join(dataDir, "bot-data.sqlite");
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error("SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)");
+    }
+
+    this.db = new Database(this.dbFile);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`CREATE TABLE IF NOT EXISTS guilds (
+      guild_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS corrupt_guilds (
+      guild_id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      quarantined_at INTEGER NOT NULL
+    )`);
+
+    this.statements = {
+      loadAll: this.db.prepare("SELECT guild_id, data FROM guilds"),
+      save: this.db.prepare(
+        "INSERT INTO guilds (guild_id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+      ),
+      delete: this.db.prepare("DELETE FROM guilds WHERE guild_id = ?"),
+      quarantine: this.db.prepare(
+        "INSERT INTO corrupt_guilds (guild_id, data, quarantined_at) SELECT guild_id, data, ? FROM guilds WHERE guild_id = ?"
+      ),
+    };
+  }
+
+  // Load every stored guild. Returns { guilds: Map<guildId, serialized guild data>, corrupt: guildIds[] }.
+  async loadAll() {
+    const guilds = new Map();
+    const corrupt = [];
+    for (const row of this.statements.loadAll.all()) {
+      try {
+        guilds.set(row.guild_id, JSON.parse(row.data));
+      } catch (error) {
+        console.error(`❌ Error loading data for guild ${row.guild_id}:`, error.message);
+        corrupt.push(row.guild_id);
+      }
+    }
+    return { guilds, corrupt };
+  }
+
+  async saveGuild(guildId, data) {
+    this.statements.save.run(guildId, JSON.stringify(data), Date.now());
+  }
+
+  async deleteGuild(guildId) {
+    this.statements.delete.run(guildId);
+  }
+
+  // Move an unreadable row to corrupt_guilds so it is kept for inspection and never overwritten
+  async quarantineGuild(guildId) {
+    this.db.transaction(() => {
+      this.statements.quarantine.run(Date.now(), guildId);
+      this.statements.delete.run(guildId);
+    })();
+    return "corrupt_guilds table";
+  }
+
+  async close() {
+    if (this.db) this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
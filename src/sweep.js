@@ -0,0 +1,144 @@
+/*
+ * Channel sweeps for NYD Bot
+ * Goes back through a channel's history and removes messages that break the rules in effect now, e.g.
+ * links posted before a rule was added. Messages younger than 14 days are bulk-deleted; older ones are
+ * deleted one at a time. discord.js queues requests and waits out rate limits, so large sweeps are slow
+ * rather than failing.
+ */
+
+const { hasScannableParts } = require("./message-sources");
+
+// Discord only bulk-deletes messages younger than 14 days; keep a margin for messages that age during a sweep
+const BULK_DELETE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000 - 10 * 60 * 1000;
+
+// Messages fetched per request, the most the Discord API returns
+const PAGE_SIZE = 100;
+
+const DEFAULT_SWEEP_LIMIT = 500;
+const MAX_SWEEP_LIMIT = 5000;
+
+// Channels being swept, so the same channel is not swept twice at once and a sweep can be cancelled from another
+// command: Map<channelId, { cancelled }>
+const activeSweeps = new Map();
+
+function isSweeping(channelId) {
+  return activeSweeps.has(channelId);
+}
+
+// Stop a channel's sweep before its next page. Returns false if the channel is not being swept.
+function cancelSweep(channelId) {
+  const sweep = activeSweeps.get(channelId);
+  if (!sweep) return false;
+  sweep.cancelled = true;
+  return true;
+}
+
+// Delete the messages that broke a rule, bulk-deleting the recent ones. Updates progress.deleted and progress.failed
+// and returns the IDs of the deleted messages.
+async function deleteMessages(channel, messages, progress) {
+  const now = Date.now();
+  const recent = messages.filter((message) => now - message.createdTimestamp < BULK_DELETE_MAX_AGE_MS);
+  const old = messages.filter((message) => !recent.includes(message));
+  const deletedIds = new Set();
+
+  if (recent.length > 0) {
+    try {
+      const deleted = await channel.bulkDelete(recent);
+      for (const id of deleted.keys()) deletedIds.add(id);
+      progress.deleted += deleted.size;
+      progress.failed += recent.length - deleted.size;
+    } catch (err) {
+      console.error(`[Sweep] Failed to bulk-delete ${recent.length} messages in #${channel.name}:`, err.message);
+      progress.failed += recent.length;
+    }
+  }
+  for (const message of old) {
+    try {
+      await message.delete();
+      deletedIds.add(message.id);
+      progress.deleted++;
+    } catch (err) {
+      console.error(`[Sweep] Failed to delete message ${message.id} in #${channel.name}:`, err.message);
+      progress.failed++;
+    }
+  }
+  return deletedIds;
+}
+
+// Sweep a channel's history, newest first, checking each message like a new one: bot messages and allowlisted
+// authors are skipped, and monitored rules never delete. Deletions count towards /nyd stats but do not notify
+// authors or add strikes.
+// Stops after `limit` messages, at the first message older than `since` (a timestamp), or when isCancelled()
+// returns true or cancelSweep is called for the channel. In preview mode matching messages are only counted. onProgress(progress) is called after each
+// page. Returns { scanned, matched, deleted, failed, cancelled, limitReached }, where limitReached means older
+// messages may be left unchecked.
+async function sweepChannel(
+  channel,
+  moderator,
+  { limit = DEFAULT_SWEEP_LIMIT, since = 0, preview = false, isCancelled = () => false, onProgress = null } = {}
+) {
+  if (activeSweeps.has(channel.id)) throw new Error(`#${channel.name} is already being swept`);
+  const sweep = { cancelled: false };
+  activeSweeps.set(channel.id, sweep);
+
+  const progress = { scanned: 0, matched: 0, deleted: 0, failed: 0, cancelled: false, limitReached: false };
+  try {
+    let before;
+    let finished = false;
+    while (!finished) {
+      if (progress.scanned >= limit) {
+        progress.limitReached = true;
+        break;
+      }
+      if (sweep.cancelled || isCancelled()) {
+        progress.cancelled = true;
+        break;
+      }
+
+      const pageSize = Math.min(PAGE_SIZE, limit - progress.scanned);
+      const page = await channel.messages.fetch({ limit: pageSize, before });
+      if (page.size === 0) break;
+      before = page.last().id;
+
+      // Messages that broke a rule, Map<message, violation>
+      const matches = new Map();
+      let reachedSince = false;
+      for (const message of page.values()) {
+        if (message.createdTimestamp < since) {
+          reachedSince = true;
+          break;
+        }
+        progress.scanned++;
+        if (message.author.bot || !hasScannableParts(message) || moderator.isAllowlisted(message)) continue;
+        // Member restrictions are about who may post links now, not about messages posted before they applied
+        const violation = await moderator.findViolation(message, { links: await moderator.messageLinks(message), restrictions: false });
+        if (violation) matches.set(message, violation);
+      }
+
+      progress.matched += matches.size;
+      if (!preview && matches.size > 0) {
+        const deletedIds = await deleteMessages(channel, Array.from(matches.keys()), progress);
+        for (const [message, violation] of matches) {
+          if (deletedIds.has(message.id)) moderator.recordHit(message, violation.match.rule, violation.channelId);
+        }
+      }
+      if (onProgress) await onProgress(progress);
+      finished = reachedSince || page.size < pageSize;
+    }
+  } finally {
+    activeSweeps.delete(channel.id);
+  }
+
+  console.log(
+    `🧹 ${preview ? "Previewed" : "Swept"} #${channel.name}: ${progress.scanned} scanned, ${progress.matched} matched, ${progress.deleted} deleted`
+  );
+  return progress;
+}
+
+module.exports = {
+  DEFAULT_SWEEP_LIMIT,
+  MAX_SWEEP_LIMIT,
+  isSweeping,
+  cancelSweep,
+  sweepChannel,
+};
@@ -0,0 +1,101 @@
+/*
+ * URL Parser for NYD Bot
+ * Extracts every link from a piece of message text and normalizes it for rule matching
+ */
+
+const { domainToASCII, domainToUnicode } = require("url");
+
+// Host label: letters/digits (any script, for IDN hosts) with inner hyphens
+const LABEL = "[\\p{L}\\p{N}](?:[\\p{L}\\p{N}-]{0,61}[\\p{L}\\p{N}])?";
+// Top-level domain: letters only, or a punycode TLD
+const TLD = "(?:xn--[a-z0-9-]{1,59}|\\p{L}{2,63})";
+const IPV4 = "\\d{1,3}(?:\\.\\d{1,3}){3}";
+
+// Matches "https://host/...", "www.host/..." and bare "host.tld/..." links.
+// The lookbehind stops e-mail addresses and mid-word dots from being picked up as hosts.
+const LINK_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}@.\\-])(?:(https?):\\/\\/)?((?:${LABEL}\\.)+${TLD}\\.?|${IPV4})(?::\\d{1,5})?(?:[/?#][^\\s<>\\[\\]"\`]*)?`,
+  "giu"
+);
+
+// Characters that commonly end a sentence or markdown span rather than the link itself
+const TRAILING_PUNCTUATION = /[.,!?;:'*_~|]+$/;
+
+// Remove trailing punctuation and unbalanced closing parentheses, e.g. "(see https://x.com/a)."
+function trimLink(raw) {
+  let link = raw;
+  for (;;) {
+    const trimmed = link.replace(TRAILING_PUNCTUATION, "");
+    if (trimmed.endsWith(")") && countChar(trimmed, "(") < countChar(trimmed, ")")) {
+      link = trimmed.slice(0, -1);
+      continue;
+    }
+    if (trimmed === link) return link;
+    link = trimmed;
+  }
+}
+
+function countChar(text, char) {
+  return text.split(char).length - 1;
+}
+
+// Build a normalized link object from a raw match, or null if it is not a valid URL
+function normalizeLink(raw, hasScheme) {
+  let url;
+  try {
+    url = new URL(hasScheme ? raw : `http://${raw}`);
+  } catch (error) {
+    return null;
+  }
+
+  // WHATWG URL already punycodes IDN hosts; drop the trailing dot of fully-qualified names
+  const hostname = url.hostname.replace(/\.$/, "");
+  if (!hostname || domainToASCII(hostname) === "") return null;
+
+  return {
+    raw,
+    href: url.href.toLowerCase(),
+    // Paths of shortened links are case-sensitive, so links are fetched and told apart by the href as written
+    originalHref: url.href,
+    hostname,
+    unicodeHostname: domainToUnicode(hostname),
+    pathname: url.pathname.toLowerCase(),
+    searchParams: url.searchParams,
+  };
+}
+
+// Extract all links from text. Handles scheme-less hosts, <suppressed> links,
+// markdown [text](url) links and internationalized domain names.
+function extractUrls(text) {
+  if (!text) return [];
+
+  const links = [];
+  const seen = new Set();
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    const raw = trimLink(match[0]);
+    const link = normalizeLink(raw, Boolean(match[1]));
+    if (!link || seen.has(link.originalHref)) continue;
+    seen.add(link.originalHref);
+    links.push(link);
+  }
+  return links;
+}
+
+// Normalize a hostname entered by an admin (may include scheme, unicode or a "*." prefix)
+function normalizeHostname(input) {
+  const cleaned = input
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+    .replace(/^\*\./, "")
+    .replace(/\.$/, "");
+  const ascii = domainToASCII(cleaned);
+  if (!ascii || !/^[a-z0-9.-]+$/.test(ascii) || !ascii.includes(".")) return null;
+  return ascii;
+}
+
+module.exports = {
+  extractUrls,
+  normalizeLink,
+  normalizeHostname,
+};
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadCommands } = require("../src/loader");
+const { FakeInteraction } = require("./support/fake-discord");
+const { createTestBot } = require("./support/test-bot");
+
+describe("command loader", () => {
+  it("loads every command module, with one module per /nyd and /nyd-admin subcommand", () => {
+    const commands = loadCommands();
+    const nyd = commands.get("nyd");
+
+    assert.deepEqual(Array.from(commands.keys()).sort(), ["info", "nyd", "nyd-admin", "ping", "serverinfo"]);
+    assert.ok(nyd.subcommands.has("block"));
+    assert.ok(nyd.subcommands.has("escalation set"));
+    assert.ok(nyd.subcommands.has("backup restore"));
+    assert.ok(commands.get("nyd-admin").subcommands.has("permissions grant"));
+
+    for (const name of ["nyd", "nyd-admin"]) {
+      const subcommandFiles = fs
+        .readdirSync(path.join(__dirname, "../src/commands", name), { recursive: true })
+        .filter((file) => file.endsWith(".js") && path.basename(file) !== "index.js");
+      assert.equal(commands.get(name).subcommands.size, subcommandFiles.length);
+    }
+  });
+
+  it("builds command definitions within Discord's limits", () => {
+    // Names, descriptions and choices of a command and everything in it may not exceed 8000 characters
+    const size = (option) =>
+      option.name.length +
+      option.description.length +
+      (option.choices || []).reduce((sum, choice) => sum + choice.name.length + String(choice.value).length, 0) +
+      (option.options || []).reduce((sum, child) => sum + size(child), 0);
+
+    for (const command of loadCommands().values()) {
+      const json = command.data.toJSON();
+      const options = json.options || [];
+      assert.ok(options.length <= 25, `/${json.name} has ${options.length} top-level options`);
+      for (const option of options) {
+        assert.ok(!option.options || option.options.length <= 25, `/${json.name} ${option.name} has too many subcommands`);
+      }
+      assert.ok(size(json) <= 8000, `/${json.name} has ${size(json)} characters`);
+    }
+  });
+});
+
+describe("command registration", () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("registers all commands from one source and skips unchanged definitions", async () => {
+    const first = await t.bot.registerCommands();
+    const second = await t.bot.registerCommands();
+
+    assert.deepEqual(first, { registered: true, count: 5 });
+    assert.deepEqual(second, { registered: false, count: 5 });
+    assert.equal(t.rest.puts.length, 1);
+    assert.equal(t.rest.puts[0].route, "/applications/1/commands");
+    assert.deepEqual(t.rest.puts[0].body.map((command) => command.name).sort(), ["info", "nyd", "nyd-admin", "ping", "serverinfo"]);
+  });
+
+  it("registers again when forced or when the target changes", async () => {
+    await t.bot.registerCommands();
+    await t.bot.registerCommands({ force: true });
+    await t.bot.registerCommands({ guildId: t.guild.id });
+
+    assert.deepEqual(
+      t.rest.puts.map((put) => put.route),
+      ["/applications/1/commands", "/applications/1/commands", `/applications/1/guilds/${t.guild.id}/commands`]
+    );
+  });
+
+  it("loads data and registers commands when the client is ready", async () => {
+    await t.client.dispatch("ready", t.client);
+
+    assert.equal(t.rest.puts.length, 1);
+    assert.equal(t.client.user.activity.name, "your commands");
+  });
+});
+
+describe("interaction dispatch", () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("routes /nyd subcommands to their modules", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.admin, "escalation set", { strikes: 2, action: "warn" });
+
+    assert.equal(interaction.lastContent, "✅ Escalation step set: 2 strikes → warn.");
+  });
+
+  it("suggests match types for the type option of any subcommand", async () => {
+    const interaction = new FakeInteraction({
+      guild: t.guild,
+      channel: t.channel,
+      member: t.admin,
+      command: "block-global",
+      autocomplete: true,
+      focused: "wild",
+      focusedName: "type",
+    });
+
+    await t.client.dispatch("interactionCreate", interaction);
+
+    assert.deepEqual(interaction.autocompleteChoices, [{ name: "glob: Wildcard (e.g. *.tiktok.com/*/video/*)", value: "glob" }]);
+  });
+
+  it("reports errors thrown by a command instead of leaving the interaction unanswered", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.admin, "block", { filtered_partial: "tiktok" });
+
+    assert.equal(interaction.lastContent, "❌ There was an error while executing this command.");
+  });
+});
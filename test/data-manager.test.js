@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const DataManager = require("../src/data-manager");
+
+describe("DataManager", () => {
+  let dataDir;
+  let log;
+
+  beforeEach(async () => {
+    // Keep the data manager's console.log output off the test runner's stdout report
+    log = console.log;
+    console.log = console.error;
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "nyd-test-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+    console.log = log;
+  });
+
+  it("loads the other guilds and refuses to save a guild whose data has the wrong shape", async () => {
+    await fs.mkdir(path.join(dataDir, "guilds"));
+    const malformed = JSON.stringify({ permissions: { 100: 5 } });
+    await fs.writeFile(path.join(dataDir, "guilds", "1.json"), malformed);
+    await fs.writeFile(
+      path.join(dataDir, "guilds", "2.json"),
+      JSON.stringify({ globalBlockRules: [{ type: "domain", pattern: "x.com" }] })
+    );
+
+    const dataManager = new DataManager({ dataDir, backend: "json" });
+    const guilds = await dataManager.loadData();
+    assert.deepEqual(Array.from(guilds.keys()), ["2"]);
+    assert.equal(guilds.get("2").globalBlockRules.size, 1);
+
+    await assert.rejects(dataManager.saveGuild("1", DataManager.createGuildData()), /Refusing to save guild 1/);
+    assert.equal(await fs.readFile(path.join(dataDir, "guilds", "1.json"), "utf8"), malformed);
+    await dataManager.saveGuild("2", guilds.get("2"));
+  });
+
+  it("refuses to save when the legacy data file is corrupt and there is no backup", async () => {
+    await fs.writeFile(path.join(dataDir, "bot-data.json"), "{ not json");
+
+    const dataManager = new DataManager({ dataDir, backend: "json" });
+    assert.equal((await dataManager.loadData()).size, 0);
+
+    assert.equal(dataManager.saveBlocked, true);
+    await assert.rejects(dataManager.saveGuild("1", DataManager.createGuildData()), /Refusing to save guild 1/);
+    assert.equal(await fs.readFile(path.join(dataDir, "bot-data.json"), "utf8"), "{ not json");
+  });
+
+  it("runs every guild from its own latest backup when the storage cannot be read", async () => {
+    const writer = new DataManager({ dataDir, backend: "json" });
+    for (const [guildId, pattern] of [
+      ["1", "old.example"],
+      ["1", "one.example"],
+      ["2", "two.example"],
+    ]) {
+      const guildData = DataManager.createGuildData();
+      guildData.globalBlockRules.set(`domain:${pattern}`, { type: "domain", pattern });
+      await writer.createBackup(guildId, guildData);
+      // Backup names start with a timestamp, so later backups need a later millisecond
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    // A file where the guilds directory should be makes the json storage unreadable
+    await fs.writeFile(path.join(dataDir, "guilds"), "");
+
+    const dataManager = new DataManager({ dataDir, backend: "json" });
+    const guilds = await dataManager.loadData();
+
+    assert.equal(dataManager.saveBlocked, true);
+    assert.deepEqual(Array.from(guilds, ([guildId, guildData]) => [guildId, Array.from(guildData.globalBlockRules.keys())]).sort(), [
+      ["1", ["domain:one.example"]],
+      ["2", ["domain:two.example"]],
+    ]);
+  });
+});
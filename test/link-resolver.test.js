@@ -0,0 +1,200 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { LinkResolver } = require("../src/link-resolver");
+const { extractUrls } = require("../src/url-parser");
+const { createTestBot } = require("./support/test-bot");
+
+// Local stand-in for a shortener: /s/<n> redirects n more times before landing on /tiktok/video, /S/AbC (but not
+// /s/abc) redirects there directly, /internal redirects to a link-local address and /slow never answers
+function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const hops = req.url.match(/^\/s\/(\d+)$/);
+    if (req.url === "/S/AbC") {
+      res.writeHead(301, { Location: "/tiktok/video" });
+      res.end();
+    } else if (req.url === "/internal") {
+      res.writeHead(301, { Location: "http://169.254.169.254/latest/meta-data" });
+      res.end();
+    } else if (hops) {
+      const remaining = Number(hops[1]) - 1;
+      res.writeHead(301, { Location: remaining > 0 ? `/s/${remaining}` : "/tiktok/video" });
+      res.end();
+    } else if (req.url !== "/slow") {
+      res.writeHead(200);
+      res.end();
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, requests, origin: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// The stub listens on a loopback address, which the resolver only requests when told to allow it. lookup resolves
+// short.example to the stub and intranet.example to a private address.
+const STUB_OPTIONS = {
+  isAllowedAddress: (address) => address === "127.0.0.1",
+  lookup(hostname, options, callback) {
+    const address = { "short.example": "127.0.0.1", "intranet.example": "10.0.0.5" }[hostname];
+    if (!address) return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" }));
+    return callback(null, [{ address, family: 4 }]);
+  },
+};
+
+describe("link resolver", () => {
+  let stub;
+  let dir;
+
+  before(async () => {
+    stub = await startServer();
+  });
+
+  after(() => {
+    stub.server.closeAllConnections();
+    stub.server.close();
+  });
+
+  beforeEach(async () => {
+    stub.requests.length = 0;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "nyd-links-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("follows redirects with HEAD requests and caches the chain", async () => {
+    const resolver = new LinkResolver(STUB_OPTIONS);
+
+    const chain = await resolver.resolve(`${stub.origin}/s/2`);
+    await resolver.resolve(`${stub.origin}/s/2`);
+
+    assert.deepEqual(chain, [`${stub.origin}/s/1`, `${stub.origin}/tiktok/video`]);
+    assert.deepEqual(stub.requests, ["HEAD /s/2", "HEAD /s/1", "HEAD /tiktok/video"]);
+  });
+
+  it("stops after the hop limit", async () => {
+    const resolver = new LinkResolver({ ...STUB_OPTIONS, maxHops: 2 });
+
+    assert.deepEqual(await resolver.resolve(`${stub.origin}/s/5`), [`${stub.origin}/s/4`, `${stub.origin}/s/3`]);
+  });
+
+  it("gives up on slow hosts without caching the failure", async () => {
+    const resolver = new LinkResolver({ ...STUB_OPTIONS, timeoutMs: 100 });
+
+    assert.deepEqual(await resolver.resolve(`${stub.origin}/slow`), []);
+    assert.equal(resolver.cache.size, 0);
+  });
+
+  it("does not follow redirects to hosts that are not public", async () => {
+    const resolver = new LinkResolver(STUB_OPTIONS);
+
+    assert.deepEqual(await resolver.resolve(`${stub.origin}/internal`), ["http://169.254.169.254/latest/meta-data"]);
+    assert.deepEqual(stub.requests, ["HEAD /internal"]);
+  });
+
+  it("does not request links on hosts that are not public", async () => {
+    const resolver = new LinkResolver();
+
+    assert.deepEqual(await resolver.resolve(`${stub.origin}/s/1`), []);
+    assert.deepEqual(stub.requests, []);
+  });
+
+  it("connects to the address its checked lookup returned", async () => {
+    const resolver = new LinkResolver(STUB_OPTIONS);
+    const port = stub.server.address().port;
+
+    assert.deepEqual(await resolver.resolve(`http://short.example:${port}/s/1`), [`http://short.example:${port}/tiktok/video`]);
+    assert.deepEqual(await resolver.resolve(`http://intranet.example:${port}/s/1`), []);
+    assert.deepEqual(stub.requests, ["HEAD /s/1", "HEAD /tiktok/video"]);
+    assert.equal(await resolver.isPrivateHost("intranet.example"), true);
+    assert.equal(await resolver.isPrivateHost("unknown.example"), false);
+  });
+
+  it("expands shortened links with their original case", async () => {
+    const resolver = new LinkResolver(STUB_OPTIONS);
+
+    const expanded = await resolver.expandLinks(extractUrls(`${stub.origin}/S/AbC ${stub.origin}/s/abc`), ["127.0.0.1"]);
+
+    assert.deepEqual(
+      expanded.map((link) => link.href),
+      [`${stub.origin}/s/abc`, `${stub.origin}/s/abc`, `${stub.origin}/tiktok/video`]
+    );
+    assert.equal(expanded[2].expandedFrom, `${stub.origin}/S/AbC`);
+    assert.deepEqual(stub.requests, ["HEAD /S/AbC", "HEAD /tiktok/video", "HEAD /s/abc"]);
+  });
+
+  it("persists resolved links", async () => {
+    const cacheFile = path.join(dir, "link-cache.json");
+    const resolver = new LinkResolver({ ...STUB_OPTIONS, cacheFile, saveDelayMs: 0 });
+    await resolver.resolve(`${stub.origin}/s/1`);
+    await resolver.flush();
+
+    const reloaded = new LinkResolver({ ...STUB_OPTIONS, cacheFile });
+    await reloaded.load();
+    stub.requests.length = 0;
+
+    assert.deepEqual(await reloaded.resolve(`${stub.origin}/s/1`), [`${stub.origin}/tiktok/video`]);
+    assert.deepEqual(stub.requests, []);
+  });
+});
+
+describe("link expansion", () => {
+  let stub;
+  let t;
+
+  beforeEach(async () => {
+    stub = await startServer();
+    stub.origin = `http://short.example:${stub.server.address().port}`;
+    t = await createTestBot();
+    Object.assign(t.bot.linkResolver, STUB_OPTIONS);
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+    stub.server.closeAllConnections();
+    stub.server.close();
+  });
+
+  it("matches rules against where a shortened link redirects once enabled", async () => {
+    assert.equal((await t.client.sendMessage(t.channel, t.member, `${stub.origin}/s/2`)).deleted, false);
+    assert.deepEqual(stub.requests, []);
+
+    const interaction = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings shorteners", {
+      enabled: true,
+      add: "short.example",
+    });
+    assert.match(interaction.lastContent, /^✅ Shorteners updated: link expansion enabled, added short\.example\./);
+
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    t.bot.store.get(t.guild.id).settings.logChannelId = logChannel.id;
+    assert.equal((await t.client.sendMessage(t.channel, t.member, `${stub.origin}/s/2`)).deleted, true);
+    const urlField = logChannel.sent[0].embeds[0].data.fields.find((field) => field.name === "Offending URL");
+    assert.equal(urlField.value, `${stub.origin}/tiktok/video (via ${stub.origin}/s/2)`);
+  });
+
+  it("refuses shortener hosts on the bot's own network", async () => {
+    for (const [add, error] of [
+      ["127.0.0.1", "❌ Add shorteners by host name, not by IP address."],
+      ["169.254.169.254", "❌ Add shorteners by host name, not by IP address."],
+      ["intranet.example", "❌ intranet.example points to a private network address."],
+    ]) {
+      const interaction = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings shorteners", { add });
+      assert.equal(interaction.lastContent, error);
+    }
+    assert.equal(t.bot.store.get(t.guild.id).settings.linkExpansion, undefined);
+  });
+
+  it("only expands links on shortener hosts", async () => {
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings shorteners", { enabled: true });
+
+    assert.equal((await t.client.sendMessage(t.channel, t.member, `${stub.origin}/s/2`)).deleted, false);
+    assert.deepEqual(stub.requests, []);
+  });
+});
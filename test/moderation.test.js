@@ -0,0 +1,380 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ChannelType, PermissionsBitField } = require("discord.js");
+const { createRule, ruleKey } = require("../src/rules");
+const { createAllowEntry } = require("../src/allowlist");
+const { dayKey, recordRuleHit, summarizeRuleHits } = require("../src/rule-stats");
+const { runRuleExpiry } = require("../src/anti-spam");
+const { findRestriction } = require("../src/member-restrictions");
+const { FakeUser } = require("./support/fake-discord");
+const { createTestBot } = require("./support/test-bot");
+
+function addRule(rules, type, pattern) {
+  const rule = createRule(type, pattern);
+  rules.set(ruleKey(rule), rule);
+}
+
+describe("message filtering", () => {
+  let t;
+  let guildData;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+    guildData = t.bot.store.get(t.guild.id);
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("deletes messages matching a channel rule and keeps clean ones", async () => {
+    guildData.blockRules.set(t.channel.id, new Map());
+    addRule(guildData.blockRules.get(t.channel.id), "domain", "tiktok.com");
+
+    const blocked = await t.client.sendMessage(t.channel, t.member, "look https://vm.tiktok.com/abc");
+    const clean = await t.client.sendMessage(t.channel, t.member, "look https://example.com/tiktok");
+
+    assert.equal(blocked.deleted, true);
+    assert.equal(clean.deleted, false);
+  });
+
+  it("applies server-wide rules in every channel", async () => {
+    addRule(guildData.globalBlockRules, "substring", "spam");
+    const other = t.guild.addChannel({ name: "other" });
+
+    const message = await t.client.sendMessage(other, t.member, "www.spam.example");
+
+    assert.equal(message.deleted, true);
+  });
+
+  it("applies category rules to child channels and parent rules to threads", async () => {
+    const category = t.guild.addChannel({ name: "links", type: ChannelType.GuildCategory });
+    const forum = t.guild.addChannel({ name: "forum", type: ChannelType.GuildForum, parentId: category.id });
+    const post = t.guild.addChannel({ name: "post", type: ChannelType.PublicThread, parentId: forum.id });
+    guildData.blockRules.set(category.id, new Map());
+    addRule(guildData.blockRules.get(category.id), "domain", "x.com");
+    guildData.blockRules.set(forum.id, new Map());
+    addRule(guildData.blockRules.get(forum.id), "domain", "reddit.com");
+
+    assert.equal((await t.client.sendMessage(post, t.member, "https://x.com/a")).deleted, true);
+    assert.equal((await t.client.sendMessage(post, t.member, "https://reddit.com/r/a")).deleted, true);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://x.com/a")).deleted, false);
+  });
+
+  it("skips allowlisted users and roles", async () => {
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    const role = t.guild.addRole({ name: "trusted" });
+    const trusted = t.guild.addMember(new FakeUser({ username: "trusted" }), { roles: [role] });
+    guildData.allowList.users.set(t.admin.id, [createAllowEntry()]);
+    guildData.allowList.roles.set(role.id, [createAllowEntry()]);
+
+    assert.equal((await t.client.sendMessage(t.channel, t.admin, "https://tiktok.com")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, trusted, "https://tiktok.com")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com")).deleted, true);
+  });
+
+  it("limits scoped allowlist entries to their channel and domain", async () => {
+    addRule(guildData.globalBlockRules, "substring", "youtu");
+    const clips = t.guild.addChannel({ name: "clips" });
+    const role = t.guild.addRole({ name: "clips" });
+    const clipper = t.guild.addMember(new FakeUser({ username: "clipper" }), { roles: [role] });
+    guildData.allowList.roles.set(role.id, [createAllowEntry({ channels: [clips.id], domains: ["youtube.com"] })]);
+
+    assert.equal((await t.client.sendMessage(clips, clipper, "https://www.youtube.com/watch?v=1")).deleted, false);
+    assert.equal((await t.client.sendMessage(clips, clipper, "https://youtu.be/1")).deleted, true);
+    assert.equal((await t.client.sendMessage(t.channel, clipper, "https://www.youtube.com/watch?v=1")).deleted, true);
+  });
+
+  it("ignores expired allowlist entries", async () => {
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    guildData.allowList.users.set(t.member.id, [createAllowEntry({ expiresAt: Date.now() - 1000 })]);
+
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com")).deleted, true);
+  });
+
+  it("removes links outside the approved domains in allowlist-domains channels", async () => {
+    const category = t.guild.addChannel({ name: "dev", type: ChannelType.GuildCategory });
+    const dev = t.guild.addChannel({ name: "dev-chat", parentId: category.id });
+    guildData.channelModes.set(category.id, "allowlist-domains");
+    guildData.approvedDomains.set(category.id, new Set(["github.com"]));
+    guildData.approvedDomains.set(dev.id, new Set(["docs.example.org"]));
+    addRule(guildData.globalBlockRules, "substring", "github.com/evil");
+
+    assert.equal((await t.client.sendMessage(dev, t.member, "see https://gist.github.com/a")).deleted, false);
+    assert.equal((await t.client.sendMessage(dev, t.member, "see https://docs.example.org/start")).deleted, false);
+    assert.equal((await t.client.sendMessage(dev, t.member, "no links here")).deleted, false);
+    assert.equal((await t.client.sendMessage(dev, t.member, "https://github.com/a and https://gitlab.com/b")).deleted, true);
+    assert.equal((await t.client.sendMessage(dev, t.member, "https://github.com/evil/repo")).deleted, true);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://gitlab.com/b")).deleted, false);
+  });
+
+  it("finds links in embeds, attachments, stickers, polls and forwarded messages", async () => {
+    addRule(guildData.globalBlockRules, "domain", "tiktok.com");
+    const parts = {
+      embeds: { embeds: [{ data: { type: "rich", description: "watch https://tiktok.com/@x" } }] },
+      attachments: { attachments: [{ name: "clip.mp4", url: "https://cdn.example.com/clip.mp4", description: "from tiktok.com/@x" }] },
+      stickers: { stickers: [{ name: "vm.tiktok.com" }] },
+      polls: { poll: { question: "Best site?", answers: ["example.com", "www.tiktok.com"] } },
+      forwards: { messageSnapshots: [{ content: "https://tiktok.com/@x" }] },
+    };
+
+    for (const [source, options] of Object.entries(parts)) {
+      assert.equal((await t.client.sendMessage(t.channel, t.member, options)).deleted, true, source);
+    }
+    const preview = { embeds: [{ data: { type: "link", url: "https://example.com", description: "also on tiktok.com" } }] };
+    assert.equal((await t.client.sendMessage(t.channel, t.member, preview)).deleted, false);
+  });
+
+  it("only matches attachment file names against substring rules, and never Discord's attachment links", async () => {
+    addRule(guildData.globalBlockRules, "domain", "0.png");
+    addRule(guildData.globalBlockRules, "glob", "*.png");
+    addRule(guildData.globalBlockRules, "substring", "discord");
+    const upload = (name) => ({ attachments: [{ name, url: `https://cdn.discordapp.com/attachments/1/2/${name}` }] });
+
+    assert.equal((await t.client.sendMessage(t.channel, t.member, upload("IMG_0.png"))).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, upload("free-discord-nitro.exe"))).deleted, true);
+  });
+
+  it("says which part of the message matched in the deletion log", async () => {
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    guildData.settings.logChannelId = logChannel.id;
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+
+    await t.client.sendMessage(t.channel, t.member, {
+      content: "look",
+      attachments: [{ name: "tiktok.com.txt", url: "https://cdn.example.com/a.txt" }],
+    });
+
+    const field = logChannel.sent[0].embeds[0].data.fields.find((f) => f.name === "Found in");
+    assert.equal(field.value, "Attachment");
+  });
+
+  it("logs and counts matches of monitored rules without deleting", async () => {
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    guildData.settings.logChannelId = logChannel.id;
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    guildData.globalBlockRules.get("substring:tiktok").monitor = true;
+    addRule(guildData.globalBlockRules, "domain", "x.com");
+
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/@a")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/@b https://x.com/c")).deleted, true);
+
+    assert.deepEqual(
+      logChannel.sent.map((message) => message.embeds[0].data.title),
+      ["👀 Would delete (monitor mode)", "👀 Would delete (monitor mode)", "🗑️ Message deleted"]
+    );
+    assert.equal(guildData.monitorHits.get("global substring:tiktok").count, 2);
+    const saved = await t.reload();
+    assert.equal(saved.globalBlockRules.get("substring:tiktok").monitor, true);
+    assert.equal(saved.monitorHits.get("global substring:tiktok").count, 2);
+    assert.equal(t.member.actions.length, 0);
+  });
+
+  it("only logs matches in monitored channels and servers", async () => {
+    const category = t.guild.addChannel({ name: "trial", type: ChannelType.GuildCategory });
+    const trial = t.guild.addChannel({ name: "trial-chat", parentId: category.id });
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    guildData.settings.monitor = { enabled: false, channels: [category.id] };
+
+    assert.equal((await t.client.sendMessage(trial, t.member, "https://tiktok.com")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com")).deleted, true);
+
+    guildData.settings.monitor.enabled = true;
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com")).deleted, false);
+    assert.equal(guildData.monitorHits.get("global substring:tiktok").count, 2);
+  });
+
+  it("counts deletions in daily buckets and drops buckets past the retention period", async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    const hit = { ruleChannelId: null, rule: createRule("substring", "tiktok"), channelId: t.channel.id, userId: t.member.id };
+    recordRuleHit(guildData, hit, now - 100 * day);
+    recordRuleHit(guildData, hit, now - 10 * day);
+    await t.client.sendMessage(t.channel, t.member, "https://tiktok.com");
+
+    assert.deepEqual(Array.from(guildData.ruleHits.keys()), [dayKey(now - 10 * day), dayKey(now)]);
+    assert.equal(summarizeRuleHits(guildData, 30, now).rules[0].count, 2);
+    assert.equal(summarizeRuleHits(guildData, 7, now).rules[0].count, 1);
+    assert.equal(summarizeRuleHits(guildData, 7, now).unused.length, 0);
+  });
+
+  it("stops new members, new accounts and members without the required role from posting links", async () => {
+    const hour = 60 * 60 * 1000;
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    guildData.settings.logChannelId = logChannel.id;
+    const verified = t.guild.addRole({ name: "verified" });
+    guildData.settings.memberRestrictions = { enabled: true, minMemberAgeHours: 24, minAccountAgeDays: 7 };
+    const newcomer = t.guild.addMember(new FakeUser({ username: "newcomer" }), { joinedTimestamp: Date.now() - hour });
+    const freshAccount = t.guild.addMember(new FakeUser({ username: "fresh", createdTimestamp: Date.now() - 48 * hour }));
+
+    assert.equal((await t.client.sendMessage(t.channel, newcomer, "hi there")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, newcomer, "https://example.com")).deleted, true);
+    assert.equal((await t.client.sendMessage(t.channel, freshAccount, "https://example.com")).deleted, true);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com")).deleted, false);
+    const reasons = logChannel.sent.map((message) => message.embeds[0].data.fields.find((field) => field.name === "Reason").value);
+    assert.deepEqual(reasons, ["members who joined less than 24h ago may not post links", "accounts younger than 7d may not post links"]);
+
+    guildData.settings.memberRestrictions.requiredRoleId = verified.id;
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com")).deleted, true);
+    guildData.allowList.users.set(t.member.id, [createAllowEntry({ domains: ["example.com"] })]);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.org")).deleted, true);
+  });
+
+  it("does not restrict members it cannot find, and judges ages when the link was posted", async () => {
+    const hour = 60 * 60 * 1000;
+    const restrictions = { enabled: true, minMemberAgeHours: 24, minAccountAgeDays: 0, requiredRoleId: "1" };
+    const newcomer = t.guild.addMember(new FakeUser({ username: "newcomer" }), { joinedTimestamp: Date.now() - 30 * hour });
+
+    assert.equal(findRestriction(restrictions, null, newcomer.user), null);
+    assert.equal(findRestriction({ ...restrictions, requiredRoleId: null }, newcomer, newcomer.user), null);
+    assert.equal(
+      findRestriction({ ...restrictions, requiredRoleId: null }, newcomer, newcomer.user, Date.now() - 10 * hour).pattern,
+      "members who joined less than 24h ago"
+    );
+  });
+
+  it("deletes a burst of the same link across users and channels and blocks its domain for a while", async () => {
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    const other = t.guild.addChannel({ name: "other" });
+    guildData.settings.logChannelId = logChannel.id;
+    guildData.settings.antiSpam = { enabled: true, duplicates: 3, autoBlockMinutes: 30 };
+    const raiders = ["a", "b", "c"].map((username) => t.guild.addMember(new FakeUser({ username })));
+
+    const first = await t.client.sendMessage(t.channel, raiders[0], "free nitro https://scam.example/nitro");
+    const second = await t.client.sendMessage(other, raiders[1], "https://scam.example/nitro");
+    assert.equal(first.deleted || second.deleted, false);
+    const third = await t.client.sendMessage(t.channel, raiders[2], "https://scam.example/nitro !!");
+
+    assert.deepEqual([first.deleted, second.deleted, third.deleted], [true, true, true]);
+    assert.equal(logChannel.sent[0].embeds[0].data.title, "🚨 Spam burst deleted");
+    const rule = guildData.globalBlockRules.get("domain:scam.example");
+    assert.ok(rule.expiresAt > Date.now());
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://www.scam.example/other")).deleted, true);
+    assert.equal((await t.reload()).globalBlockRules.get("domain:scam.example").expiresAt, rule.expiresAt);
+
+    runRuleExpiry(t.bot.store, rule.expiresAt);
+    assert.equal(guildData.globalBlockRules.size, 0);
+  });
+
+  it("does not count attachments or links to Discord's media hosts as spam", async () => {
+    guildData.settings.antiSpam = { enabled: true, match: "domain", duplicates: 3, linksPerMinute: 3, autoBlockMinutes: 30 };
+    const uploaders = ["a", "b", "c", "d", "e"].map((username) => t.guild.addMember(new FakeUser({ username })));
+
+    const messages = [];
+    for (const [i, uploader] of uploaders.entries()) {
+      const attachments = [{ name: `IMG_${i}.png`, url: `https://cdn.discordapp.com/attachments/1/${i}/IMG_${i}.png` }];
+      messages.push(await t.client.sendMessage(t.channel, uploader, { attachments }));
+    }
+    for (const i of [1, 2, 3, 4]) {
+      messages.push(await t.client.sendMessage(t.channel, t.member, `https://media.discordapp.net/attachments/1/${i}/a.png`));
+    }
+
+    assert.equal(
+      messages.some((message) => message.deleted),
+      false
+    );
+    assert.equal(guildData.globalBlockRules.size, 0);
+  });
+
+  it("deletes every link of a user who posts links too fast", async () => {
+    guildData.settings.antiSpam = { enabled: true, linksPerMinute: 3 };
+
+    const messages = [];
+    for (const path of ["a", "b", "c d"]) messages.push(await t.client.sendMessage(t.channel, t.member, `https://example.com/${path}`));
+    assert.equal(
+      messages.some((message) => message.deleted),
+      false
+    );
+    messages.push(await t.client.sendMessage(t.channel, t.member, "https://example.org/x https://example.org/y"));
+
+    assert.equal(
+      messages.every((message) => message.deleted),
+      true
+    );
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com/later")).deleted, true);
+    const bystander = t.guild.addMember(new FakeUser({ username: "bystander" }));
+    assert.equal((await t.client.sendMessage(t.channel, bystander, "https://example.com/a")).deleted, false);
+  });
+
+  it("does not delete without the Manage Messages permission", async () => {
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    t.guild.members.me.permissions = new PermissionsBitField();
+
+    const message = await t.client.sendMessage(t.channel, t.member, "https://tiktok.com");
+
+    assert.equal(message.deleted, false);
+  });
+
+  it("logs deletions, records strikes and persists them", async () => {
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    guildData.settings.logChannelId = logChannel.id;
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+
+    await t.client.sendMessage(t.channel, t.member, "https://tiktok.com");
+
+    assert.equal(logChannel.sent.length, 1);
+    assert.equal(logChannel.sent[0].embeds[0].data.title, "🗑️ Message deleted");
+    const saved = await t.reload();
+    assert.equal(saved.strikes.get(t.member.id).length, 1);
+  });
+
+  it("applies escalation steps once the strike threshold is reached", async () => {
+    guildData.settings.escalation = { steps: [{ strikes: 2, action: "timeout", durationMs: 60000 }] };
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+
+    await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/1");
+    assert.equal(t.member.actions.length, 0);
+    await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/2");
+
+    assert.deepEqual(
+      t.member.actions.map((action) => action.action),
+      ["timeout"]
+    );
+  });
+});
+
+describe("watchman", () => {
+  let t;
+  let guildData;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+    guildData = t.bot.store.get(t.guild.id);
+    addRule(guildData.globalBlockRules, "substring", "tiktok");
+    guildData.watchmanChannels.set(t.channel.id, { lookback: 6, windowMinutes: null });
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("re-checks messages that are edited to add a blocked link", async () => {
+    const message = await t.client.sendMessage(t.channel, t.member, "hello");
+    assert.equal(message.deleted, false);
+
+    await t.client.editMessage(message, "hello https://tiktok.com/@spam");
+
+    assert.equal(message.deleted, true);
+  });
+
+  it("checks recent history when a new message arrives", async () => {
+    const earlier = await t.client.sendMessage(t.channel, t.member, "hello");
+    // Edited while the bot was not watching, so no messageUpdate was seen
+    earlier.edit("hello https://tiktok.com/@spam");
+
+    await t.client.sendMessage(t.channel, t.admin, "next message");
+
+    assert.equal(earlier.deleted, true);
+  });
+
+  it("ignores edits outside watchman channels", async () => {
+    const other = t.guild.addChannel({ name: "other" });
+    const message = await t.client.sendMessage(other, t.member, "hello");
+
+    await t.client.editMessage(message, "hello https://tiktok.com/@spam");
+
+    assert.equal(message.deleted, false);
+  });
+});
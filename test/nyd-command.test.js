@@ -0,0 +1,521 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ChannelType, GatewayIntentBits, IntentsBitField, PermissionFlagsBits } = require("discord.js");
+const { runAllowlistExpiry } = require("../src/allowlist");
+const { SharedLists } = require("../src/shared-lists");
+const { createRule, ruleKey } = require("../src/rules");
+const { FakeUser, FakeInteraction } = require("./support/fake-discord");
+const { createTestBot } = require("./support/test-bot");
+
+describe("/nyd", () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("rejects members without Administrator or a granted permission", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.member, "block-global", { filtered_partial: "tiktok" });
+
+    assert.match(interaction.lastContent, /^❌ You need the `rules\.edit` permission/);
+    assert.equal(t.bot.store.get(t.guild.id).globalBlockRules.size, 0);
+  });
+
+  it("blocks a partial in a channel, persists it and enforces it", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.admin, "block", {
+      channel: t.channel,
+      filtered_partial: "tiktok.com",
+      type: "domain",
+    });
+
+    assert.match(interaction.lastContent, /^✅ Blocked links matching tiktok\.com \(domain\)/);
+    const saved = await t.reload();
+    assert.deepEqual(Array.from(saved.blockRules.get(t.channel.id).values()), [{ type: "domain", pattern: "tiktok.com" }]);
+
+    const message = await t.client.sendMessage(t.channel, t.member, "https://www.tiktok.com/@x");
+    assert.equal(message.deleted, true);
+  });
+
+  it("reports invalid rules without saving them", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "(a+)+", type: "regex" });
+
+    assert.match(interaction.lastContent, /^❌ Invalid rule/);
+    assert.equal(t.bot.store.get(t.guild.id).globalBlockRules.size, 0);
+  });
+
+  it("lists the effective rules of a thread with their origin", async () => {
+    const category = t.guild.addChannel({ name: "links", type: ChannelType.GuildCategory });
+    const parent = t.guild.addChannel({ name: "chat", parentId: category.id });
+    const thread = t.guild.addChannel({ name: "thread", type: ChannelType.PublicThread, parentId: parent.id });
+    await t.client.runCommand(t.guild, t.admin, "block", { channel: category, filtered_partial: "x.com", type: "domain" });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+
+    const interaction = await t.client.runCommand(t.guild, t.admin, "list", { channel: thread });
+
+    assert.match(interaction.lastContent, new RegExp(`• Category \\(<#${category.id}>\\): x\\.com \\(domain\\)`));
+    assert.match(interaction.lastContent, /• Server-wide: "tiktok"/);
+  });
+
+  it("unblocks rules and warns about unknown ones", async () => {
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+
+    const removed = await t.client.runCommand(t.guild, t.admin, "unblock-global", { filtered_partial: "tiktok" });
+    const missing = await t.client.runCommand(t.guild, t.admin, "unblock-global", { filtered_partial: "tiktok" });
+
+    assert.match(removed.lastContent, /^✅ Removed/);
+    assert.match(missing.lastContent, /^⚠️ "tiktok" was not globally blocked/);
+  });
+
+  it("exempts allowlisted users from blocking", async () => {
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+    await t.client.runCommand(t.guild, t.admin, "allow-user", { user: t.member.user });
+
+    const message = await t.client.sendMessage(t.channel, t.member, "https://tiktok.com");
+
+    assert.equal(message.deleted, false);
+    assert.ok((await t.reload()).allowList.users.has(t.member.id));
+  });
+
+  it("adds expiring allowlist entries, lists their scope and removes them once they lapse", async () => {
+    const clips = t.guild.addChannel({ name: "clips" });
+    const allowed = await t.client.runCommand(t.guild, t.admin, "allow-user", {
+      user: t.member.user,
+      channel: clips,
+      domain: "YouTube.com",
+      duration: "24h",
+    });
+    assert.match(allowed.lastContent, new RegExp(`^✅ member#0 is now allowlisted: in <#${clips.id}>, links to youtube\\.com, expires in`));
+
+    const listed = await t.client.runCommand(t.guild, t.admin, "list-allow");
+    assert.match(listed.lastContent, new RegExp(`• <@${t.member.id}>: in <#${clips.id}>, links to youtube\\.com, expires in (23h 59m|1d)`));
+
+    const [entry] = (await t.reload()).allowList.users.get(t.member.id);
+    assert.deepEqual(entry.domains, ["youtube.com"]);
+    runAllowlistExpiry(t.bot.store, entry.expiresAt);
+    assert.equal(t.bot.store.get(t.guild.id).allowList.users.has(t.member.id), false);
+    assert.equal((await t.reload()).allowList.users.size, 0);
+  });
+
+  it("rejects invalid allowlist durations", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.admin, "allow-user", { user: t.member.user, duration: "soon" });
+
+    assert.match(interaction.lastContent, /^❌ "soon" is not a valid duration/);
+    assert.equal(t.bot.store.get(t.guild.id).allowList.users.size, 0);
+  });
+
+  it("switches a channel to allowlist-domains mode and manages its approved domains", async () => {
+    const mode = await t.client.runCommand(t.guild, t.admin, "/nyd-admin domains mode", { channel: t.channel, mode: "allowlist-domains" });
+    assert.match(mode.lastContent, /No domains are approved yet/);
+    const added = await t.client.runCommand(t.guild, t.admin, "/nyd-admin domains add", {
+      channel: t.channel,
+      domain: "https://GitHub.com/",
+    });
+    assert.match(added.lastContent, /^✅ Approved links to github\.com/);
+
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://github.com/a")).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com/a")).deleted, true);
+
+    const listed = await t.client.runCommand(t.guild, t.admin, "/nyd-admin domains list", { channel: t.channel });
+    assert.match(listed.lastContent, /Mode in .+: allowlist-domains\nApproved domains:\n• Channel: github\.com/);
+    const saved = await t.reload();
+    assert.equal(saved.channelModes.get(t.channel.id), "allowlist-domains");
+    assert.deepEqual(Array.from(saved.approvedDomains.get(t.channel.id)), ["github.com"]);
+
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin domains remove", { channel: t.channel, domain: "github.com" });
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin domains mode", { channel: t.channel, mode: "blocklist" });
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com/a")).deleted, false);
+  });
+
+  it("only scans the parts of messages that are turned on", async () => {
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+    const interaction = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings sources", { attachments: false });
+    assert.match(interaction.lastContent, /⛔ Attachment/);
+
+    const attachment = { attachments: [{ name: "tiktok.com.mp4", url: "https://cdn.example.com/a.mp4" }] };
+    assert.equal((await t.client.sendMessage(t.channel, t.member, attachment)).deleted, false);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com")).deleted, true);
+    assert.equal((await t.reload()).settings.scanSources.attachments, false);
+  });
+
+  it("tries out a rule in monitor mode, summarizes its hits and promotes it", async () => {
+    const added = await t.client.runCommand(t.guild, t.admin, "block", { channel: t.channel, filtered_partial: "tiktok", monitor: true });
+    assert.match(added.lastContent, /^👀 Monitoring links matching "tiktok"/);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/@a")).deleted, false);
+    await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/@b");
+
+    const listed = await t.client.runCommand(t.guild, t.admin, "list", { channel: t.channel });
+    assert.match(listed.lastContent, /"tiktok" \[monitor\]/);
+    const summary = await t.client.runCommand(t.guild, t.admin, "/nyd-admin monitor summary");
+    assert.match(summary.lastContent, new RegExp(`• <#${t.channel.id}> "tiktok": 2 hits, last`));
+
+    const promoted = await t.client.runCommand(t.guild, t.admin, "/nyd-admin monitor rule", {
+      channel: t.channel,
+      filtered_partial: "tiktok",
+      enabled: false,
+    });
+    assert.match(promoted.lastContent, /is now enforced/);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://tiktok.com/@c")).deleted, true);
+
+    const reset = await t.client.runCommand(t.guild, t.admin, "/nyd-admin monitor summary", { reset: true });
+    assert.match(reset.lastContent, /Hit counts cleared/);
+    assert.equal((await t.reload()).monitorHits.size, 0);
+  });
+
+  it("keeps the monitor summary within Discord's message limit", async () => {
+    const { globalBlockRules } = t.bot.store.get(t.guild.id);
+    for (let i = 0; i < 60; i++) {
+      const rule = { ...createRule("domain", `monitored-rule-with-a-long-name-${i}.example`), monitor: true };
+      globalBlockRules.set(ruleKey(rule), rule);
+    }
+
+    const summary = await t.client.runCommand(t.guild, t.admin, "/nyd-admin monitor summary", { reset: true });
+    assert.ok(summary.lastContent.length <= 2000);
+    assert.match(summary.lastContent, /\n…and \d+ more\n✅ Hit counts cleared\.$/);
+  });
+
+  it("only enables member restrictions when the bot has the Server Members intent", async () => {
+    const verified = t.guild.addRole({ name: "verified" });
+    t.client.options.intents = new IntentsBitField([GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]);
+    const refused = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings restrictions", { enabled: true });
+    assert.match(refused.lastContent, /^❌ Member restrictions need the Server Members intent/);
+
+    t.client.options.intents.add(GatewayIntentBits.GuildMembers);
+    const enabled = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings restrictions", {
+      enabled: true,
+      member_hours: 12,
+      required_role: verified,
+    });
+    assert.match(enabled.lastContent, new RegExp(`joined less than 12h ago\\n• Members without <@&${verified.id}>$`));
+    assert.deepEqual((await t.reload()).settings.memberRestrictions, {
+      enabled: true,
+      minMemberAgeHours: 12,
+      minAccountAgeDays: 0,
+      requiredRoleId: verified.id,
+    });
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://example.com")).deleted, true);
+  });
+
+  it("configures anti-spam thresholds", async () => {
+    const shown = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings antispam");
+    assert.match(shown.lastContent, /^🚨 Anti-spam is disabled\.\n• Burst: 5 posts of the same link within 10s/);
+
+    const updated = await t.client.runCommand(t.guild, t.admin, "/nyd-admin settings antispam", {
+      enabled: true,
+      match: "domain",
+      duplicates: 8,
+      auto_block_minutes: 60,
+    });
+    assert.match(
+      updated.lastContent,
+      /• Burst: 8 posts of the same domain within 10s\n.+\n• Repeated domains are blocked server-wide for 60 minutes/
+    );
+    assert.deepEqual((await t.reload()).settings.antiSpam, {
+      enabled: true,
+      match: "domain",
+      duplicates: 8,
+      windowSeconds: 10,
+      linksPerMinute: 10,
+      autoBlockMinutes: 60,
+    });
+  });
+
+  it("previews and sweeps earlier messages that break the current rules", async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const trusted = t.guild.addMember(new FakeUser({ username: "trusted" }));
+    const old = t.channel.addMessage(t.member, "https://tiktok.com/@old", { createdTimestamp: Date.now() - 30 * day });
+    const recent = [1, 2, 3].map((i) =>
+      t.channel.addMessage(t.member, `https://tiktok.com/@${i}`, { createdTimestamp: Date.now() - i * day })
+    );
+    const clean = t.channel.addMessage(t.member, "https://example.com");
+    const allowed = t.channel.addMessage(trusted, "https://tiktok.com/@trusted");
+    await t.client.runCommand(t.guild, t.admin, "block", { channel: t.channel, filtered_partial: "tiktok" });
+    await t.client.runCommand(t.guild, t.admin, "allow-user", { user: trusted.user });
+
+    const preview = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel, preview: true });
+    assert.match(preview.lastContent, /^🔎 Sweep preview for .+: 6 messages checked, 4 would be deleted\./);
+    assert.equal(old.deleted, false);
+
+    const recentOnly = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel, since: "2d" });
+    assert.match(recentOnly.lastContent, /^✅ Sweep finished for .+: 3 messages checked, 1 broke the rules, 1 deleted\./);
+
+    const swept = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel });
+    assert.match(swept.lastContent, /^✅ Sweep finished for .+: 5 messages checked, 3 broke the rules, 3 deleted\./);
+    assert.deepEqual(
+      [old, ...recent, clean, allowed].map((message) => message.deleted),
+      [true, true, true, true, false, false]
+    );
+    assert.deepEqual(t.channel.bulkDeletes, [1, 2]);
+  });
+
+  it("leaves member restrictions out of sweeps", async () => {
+    const newcomer = t.guild.addMember(new FakeUser({ username: "newcomer" }), { joinedTimestamp: Date.now() - 60 * 60 * 1000 });
+    const fromNewcomer = t.channel.addMessage(newcomer, "https://example.com");
+    const blocked = t.channel.addMessage(newcomer, "https://tiktok.com/@a");
+    t.bot.store.get(t.guild.id).settings.memberRestrictions = { enabled: true, minMemberAgeHours: 24 };
+
+    const nothing = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel });
+    assert.match(nothing.lastContent, /^⚠️ No rules apply in/);
+
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+    const swept = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel });
+    assert.match(swept.lastContent, /: 2 messages checked, 1 broke the rules, 1 deleted\./);
+    assert.deepEqual([fromNewcomer.deleted, blocked.deleted], [false, true]);
+  });
+
+  it("stops a sweep when it is cancelled", async () => {
+    for (let i = 0; i < 150; i++) t.channel.addMessage(t.member, `https://tiktok.com/@${i}`, { createdTimestamp: Date.now() - i * 1000 });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+
+    const sweep = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel }, { clicks: ["sweep-cancel"] });
+
+    assert.match(sweep.lastContent, /^❎ Sweep cancelled for .+: 100 messages checked, 100 broke the rules, 100 deleted\./);
+    assert.equal(t.channel.messages.cache.size, 50);
+  });
+
+  it("checks the whole since range, and says when a limit cut it short", async () => {
+    for (let i = 0; i < 600; i++) t.channel.addMessage(t.member, `https://tiktok.com/@${i}`, { createdTimestamp: Date.now() - i * 1000 });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+
+    const limited = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel, since: "1d", limit: 100, preview: true });
+    assert.match(limited.lastContent, /: 100 messages checked, 100 would be deleted\..* Stopped at the limit of 100 messages/);
+
+    const swept = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel, since: "1d" });
+    assert.equal(swept.lastContent, `✅ Sweep finished for ${t.channel}: 600 messages checked, 600 broke the rules, 600 deleted.`);
+  });
+
+  it("stops a running sweep with the cancel option", async () => {
+    for (let i = 0; i < 300; i++) t.channel.addMessage(t.member, `https://tiktok.com/@${i}`, { createdTimestamp: Date.now() - i * 1000 });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+    const notRunning = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel, cancel: true });
+    assert.equal(notRunning.lastContent, `⚠️ ${t.channel} is not being swept.`);
+
+    // Cancel while the second page is being fetched, as a moderator would once the Cancel button has expired
+    const fetchPage = t.channel.messages.fetch.bind(t.channel.messages);
+    let pages = 0;
+    let cancel;
+    t.channel.messages.fetch = async (options) => {
+      if (++pages === 2) cancel = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel, cancel: true });
+      return fetchPage(options);
+    };
+    const sweep = await t.client.runCommand(t.guild, t.admin, "sweep", { channel: t.channel });
+
+    assert.match(cancel.lastContent, /^❎ Cancelling the sweep of /);
+    assert.match(sweep.lastContent, /^❎ Sweep cancelled for .+: 200 messages checked, 200 broke the rules, 200 deleted\./);
+    assert.equal(t.channel.messages.cache.size, 100);
+  });
+
+  it("reports a sweep in the log channel once the interaction can no longer be edited", async () => {
+    t.channel.addMessage(t.member, "https://tiktok.com/@a");
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    t.bot.store.get(t.guild.id).settings.logChannelId = logChannel.id;
+    const sentBefore = t.channel.sent.length;
+    const interaction = new FakeInteraction({
+      guild: t.guild,
+      channel: t.channel,
+      member: t.admin,
+      command: "sweep",
+      options: { channel: t.channel },
+    });
+    interaction.createdTimestamp -= 15 * 60 * 1000;
+
+    await t.client.dispatch("interactionCreate", interaction);
+
+    assert.equal(interaction.replies.length, 1);
+    assert.equal(t.channel.sent.length, sentBefore);
+    assert.equal(logChannel.sent[0].content, `✅ Sweep finished for ${t.channel}: 1 messages checked, 1 broke the rules, 1 deleted.`);
+  });
+
+  it("shows top rules, offenders and rules without hits, with a CSV breakdown", async () => {
+    const spammer = t.guild.addMember(new FakeUser({ username: "spammer" }));
+    await t.client.runCommand(t.guild, t.admin, "block", { channel: t.channel, filtered_partial: "tiktok" });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "x.com", type: "domain" });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "never,used" });
+    await t.client.sendMessage(t.channel, spammer, "https://tiktok.com/@a");
+    await t.client.sendMessage(t.channel, spammer, "https://tiktok.com/@b");
+    await t.client.sendMessage(t.channel, t.member, "https://x.com/a");
+
+    const interaction = await t.client.runCommand(t.guild, t.admin, "stats", { days: 7 });
+
+    const reply = interaction.replies[0];
+    assert.match(reply.content, /^📊 Rule statistics for the last 7 days/);
+    const fields = Object.fromEntries(reply.embeds[0].data.fields.map((field) => [field.name, field.value]));
+    assert.equal(fields["Top rules"], `1. <#${t.channel.id}> "tiktok": 2 hits\n2. Server-wide x.com (domain): 1 hit`);
+    assert.equal(fields["Top offenders"], `1. <@${spammer.id}>: 2 hits\n2. <@${t.member.id}>: 1 hit`);
+    assert.equal(fields["Rules with no hits (1)"], '1. Server-wide "never,used"');
+
+    const csv = reply.files[0].attachment.toString();
+    assert.match(csv, /^kind,rule_set,rule_type,rule_pattern,channel_id,user_id,hits\r\n/);
+    assert.match(csv, new RegExp(`\r\nrule,${t.channel.id},substring,tiktok,,,2\r\n`));
+    assert.match(csv, /\r\nunused_rule,global,substring,"never,used",,,0\r\n/);
+    assert.equal((await t.reload()).ruleHits.size, 1);
+  });
+
+  it("shares a blocklist that other servers subscribe to and only its owner edits", async () => {
+    const other = t.client.addGuild({ name: "Sister Server" });
+    const otherChannel = other.addChannel({ name: "general" });
+    const otherAdmin = other.addMember(new FakeUser({ username: "other-admin" }), { permissions: [PermissionFlagsBits.Administrator] });
+    const otherMember = other.addMember(new FakeUser({ username: "other-member" }));
+    const hosts = "# scam hosts\n0.0.0.0 scam.example\n127.0.0.1 localhost\nphish.example\nphish.example\n0.0.0.0 not-a-domain\n";
+    const file = { name: "hosts.txt", size: hosts.length, url: `data:text/plain,${encodeURIComponent(hosts)}` };
+
+    const created = await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists create", { name: "scam-domains", public: true });
+    const ref = created.lastContent.match(/`(scam-domains#[0-9a-f]{6})`/)[1];
+    const imported = await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists import", { list: "scam-domains", file });
+    const subscribed = await t.client.runCommand(other, otherAdmin, "subscribe", { list: "scam-domains" });
+    const refused = await t.client.runCommand(other, otherAdmin, "/nyd-admin lists add", {
+      list: "scam-domains",
+      filtered_partial: "x.com",
+    });
+    const refusedByRef = await t.client.runCommand(other, otherAdmin, "/nyd-admin lists add", { list: ref, filtered_partial: "x.com" });
+
+    assert.match(imported.lastContent, /: 2 added, 1 duplicates, 1 invalid\.\n⚠️ Skipped invalid entries: "not-a-domain"$/);
+    assert.match(created.lastContent, /It is public, so any server can subscribe to it/);
+    assert.equal(subscribed.lastContent.startsWith(`✅ Subscribed to the shared list \`${ref}\` (2 rules)`), true);
+    assert.equal(refused.lastContent, "❌ This server has no shared list called `scam-domains`.");
+    assert.equal(refusedByRef.lastContent, `❌ \`${ref}\` belongs to another server. Only its owner can change it.`);
+    assert.equal((await t.client.sendMessage(otherChannel, otherMember, "https://login.scam.example/")).deleted, true);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://login.scam.example/")).deleted, false);
+
+    // The owner's edits apply to every subscriber
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists add", {
+      list: "scam-domains",
+      filtered_partial: "x.com",
+      type: "domain",
+    });
+    assert.equal((await t.client.sendMessage(otherChannel, otherMember, "https://x.com/scam")).deleted, true);
+
+    await t.client.runCommand(other, otherAdmin, "block-global", { filtered_partial: "tiktok" });
+    const listed = await t.client.runCommand(other, otherAdmin, "list-global");
+    assert.equal(listed.lastContent, `📋 Globally blocked partials: "tiktok"\n📚 Subscribed shared lists:\n• \`${ref}\`: 3 rules`);
+
+    await t.bot.sharedLists.flush();
+    const reloaded = new SharedLists({ file: t.bot.sharedLists.file });
+    await reloaded.load();
+    assert.deepEqual(Array.from(reloaded.get(ref).rules.keys()), ["domain:scam.example", "domain:phish.example", "domain:x.com"]);
+
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists delete", { list: "scam-domains" }, { clicks: ["confirm"] });
+    assert.equal(t.bot.sharedLists.get(ref), null);
+    assert.equal(t.bot.store.get(other.id).subscriptions.size, 0);
+  });
+
+  it("keeps private lists and list owners hidden from other servers", async () => {
+    const other = t.client.addGuild({ name: "Sister Server" });
+    const otherAdmin = other.addMember(new FakeUser({ username: "other-admin" }), { permissions: [PermissionFlagsBits.Administrator] });
+
+    const created = await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists create", { name: "scam-domains" });
+    const ref = created.lastContent.match(/`(scam-domains#[0-9a-f]{6})`/)[1];
+    assert.match(created.lastContent, /It is private/);
+
+    const hidden = await t.client.runCommand(other, otherAdmin, "subscribe", { list: ref });
+    const shownToOther = await t.client.runCommand(other, otherAdmin, "/nyd-admin lists show", {});
+    assert.equal(hidden.lastContent, `❌ There is no shared list called \`${ref}\`. Use /nyd-admin lists show to see the available lists.`);
+    assert.equal(shownToOther.lastContent, "📚 There are no shared lists yet. Create one with /nyd-admin lists create.");
+    assert.equal(t.bot.store.get(other.id).subscriptions.size, 0);
+
+    // Each server has its own namespace, so both can own a list called scam-domains
+    const otherCreated = await t.client.runCommand(other, otherAdmin, "/nyd-admin lists create", { name: "scam-domains" });
+    const otherRef = otherCreated.lastContent.match(/`(scam-domains#[0-9a-f]{6})`/)[1];
+    assert.notEqual(otherRef, ref);
+
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists publish", { list: "scam-domains" });
+    await t.client.runCommand(other, otherAdmin, "subscribe", { list: ref });
+    const shown = await t.client.runCommand(other, otherAdmin, "/nyd-admin lists show", {});
+    assert.equal(
+      shown.lastContent,
+      `📚 Shared lists:\n• \`${ref}\` (0 rules, subscribed)\n• \`${otherRef}\` (0 rules, owned by this server, private)`
+    );
+    assert.doesNotMatch(shown.lastContent, /Test Server/);
+
+    // Making the list private again does not drop existing subscribers
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin lists publish", { list: "scam-domains", enabled: false });
+    const stillShown = await t.client.runCommand(other, otherAdmin, "/nyd-admin lists show", { list: ref });
+    assert.equal(stillShown.lastContent, `📚 Shared list \`${ref}\` (0 rules, subscribed)\nNone`);
+    const unsubscribed = await t.client.runCommand(other, otherAdmin, "subscribe", { list: "scam-domains", enabled: false });
+    assert.equal(unsubscribed.lastContent, `✅ Unsubscribed from the shared list \`${ref}\`.`);
+  });
+
+  it("blocks and unblocks lists of partials from text and files", async () => {
+    const text = "scam.example\n# comment\nphish.example, discord.gg";
+    const file = { name: "more.txt", size: text.length, url: `data:text/plain,${encodeURIComponent("tiktok\nscam.example")}` };
+    const blocked = await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk block", { partials: text, file, channel: t.channel });
+    assert.match(blocked.lastContent, /4 added, 1 duplicates, 0 invalid/);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, { content: "https://phish.example" })).deleted, true);
+
+    const global = await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk block", {
+      partials: "a.example,b.example,not a domain",
+      type: "domain",
+    });
+    assert.match(global.lastContent, /server-wide: 2 added, 0 duplicates, 1 invalid/);
+    assert.match(global.lastContent, /Skipped invalid entries: "not a domain"/);
+    assert.deepEqual(Array.from(t.bot.store.get(t.guild.id).globalBlockRules.keys()), ["domain:a.example", "domain:b.example"]);
+
+    const unblocked = await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk unblock", {
+      partials: "tiktok, nope",
+      channel: t.channel,
+    });
+    assert.match(unblocked.lastContent, /1 removed, 1 not found/);
+    assert.equal((await t.reload()).blockRules.get(t.channel.id).size, 3);
+
+    const empty = await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk block", {});
+    assert.match(empty.lastContent, /^❌/);
+  });
+
+  it("splits regex and glob lists on line breaks only, so patterns can contain commas", async () => {
+    const partials = "https?://\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}/\n# comment\ndiscord\\.gift/\\w{5,30}";
+    const blocked = await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk block", { partials, type: "regex" });
+    assert.match(blocked.lastContent, /server-wide: 2 added, 0 duplicates, 0 invalid/);
+    assert.deepEqual(Array.from(t.bot.store.get(t.guild.id).globalBlockRules.keys()), [
+      "regex:https?://\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}/",
+      "regex:discord\\.gift/\\w{5,30}",
+    ]);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "http://203.0.113.7/login")).deleted, true);
+  });
+
+  it("copies a channel's rules and clears them after confirmation", async () => {
+    const other = t.guild.addChannel({ name: "other" });
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk block", { partials: "tiktok, discord.gg", channel: t.channel });
+    await t.client.runCommand(t.guild, t.admin, "block", { channel: other, filtered_partial: "tiktok" });
+
+    const copied = await t.client.runCommand(t.guild, t.admin, "copy-rules", { from: t.channel, to: other });
+    assert.match(copied.lastContent, /1 added, 1 duplicates/);
+    assert.equal(t.bot.store.get(t.guild.id).blockRules.get(other.id).size, 2);
+
+    await t.client.runCommand(t.guild, t.admin, "clear", { channel: t.channel }, { clicks: ["cancel"] });
+    assert.equal(t.bot.store.get(t.guild.id).blockRules.get(t.channel.id).size, 2);
+    const cleared = await t.client.runCommand(t.guild, t.admin, "clear", { channel: t.channel }, { clicks: ["confirm"] });
+    assert.match(cleared.lastContent, /Removed all 2 block rules/);
+    assert.equal((await t.reload()).blockRules.has(t.channel.id), false);
+  });
+
+  it("logs config changes to the log channel", async () => {
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    await t.client.runCommand(t.guild, t.admin, "log-channel", { channel: logChannel });
+    await t.client.runCommand(t.guild, t.admin, "escalation set", { strikes: 3, action: "kick" });
+
+    assert.deepEqual(
+      logChannel.sent.map((message) => message.embeds[0].data.title),
+      ["⚙️ /nyd log-channel", "⚙️ /nyd escalation set"]
+    );
+  });
+
+  it("restores a backup only after confirmation", async () => {
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+    const created = await t.client.runCommand(t.guild, t.admin, "backup create");
+    const name = created.lastContent.match(/`(.+)`/)[1];
+    await t.client.runCommand(t.guild, t.admin, "unblock-global", { filtered_partial: "tiktok" });
+
+    const cancelled = await t.client.runCommand(t.guild, t.admin, "backup restore", { name }, { clicks: ["cancel"] });
+    assert.equal(cancelled.lastContent, "❎ Cancelled.");
+    assert.equal(t.bot.store.get(t.guild.id).globalBlockRules.size, 0);
+
+    const restored = await t.client.runCommand(t.guild, t.admin, "backup restore", { name }, { clicks: ["confirm"] });
+    assert.match(restored.lastContent, /^✅ Restored backup/);
+    assert.equal(t.bot.store.get(t.guild.id).globalBlockRules.size, 1);
+    assert.equal((await t.reload()).globalBlockRules.size, 1);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeUser } = require("./support/fake-discord");
+const { createTestBot } = require("./support/test-bot");
+
+// The component on a panel message with this label or placeholder
+function component(panel, text) {
+  const found = panel.components
+    .flatMap((row) => row.components)
+    .find((candidate) => candidate.data.label === text || candidate.data.placeholder === text);
+  assert.ok(found, `no component "${text}"`);
+  return found;
+}
+
+function lastPanel(interaction) {
+  return interaction.replies[interaction.replies.length - 1];
+}
+
+describe("/nyd panel", () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("adds, picks and removes a channel's rules and toggles watchman", async () => {
+    const logChannel = t.guild.addChannel({ name: "mod-log" });
+    await t.client.runCommand(t.guild, t.admin, "log-channel", { channel: logChannel });
+    const opened = await t.client.runCommand(t.guild, t.admin, "panel", { channel: t.channel });
+    assert.equal(lastPanel(opened).embeds[0].data.title, "📋 Rules set on #general");
+    assert.equal(lastPanel(opened).embeds[0].data.description, "No rules yet.");
+
+    const add = await t.client.useComponent(t.guild, t.admin, component(lastPanel(opened), "Add rules").data.custom_id);
+    const form = add.modal.data.custom_id;
+    const fields = { partials: "scam.example, phish.example\nnot a domain", type: "Domain" };
+    const added = await t.client.useComponent(t.guild, t.admin, form, { fields });
+    assert.match(added.lastContent, /^✅ Blocked <#\d+>: 2 added, 0 duplicates, 1 invalid\.\n⚠️ Skipped invalid entries: "not a domain"/);
+    assert.match(lastPanel(added).embeds[0].data.description, /`1\.` scam\.example \(domain\)\n`2\.` phish\.example \(domain\)/);
+    assert.equal((await t.client.sendMessage(t.channel, t.member, "https://phish.example/x")).deleted, true);
+
+    const menu = component(lastPanel(added), "Pick an entry to remove");
+    const picked = await t.client.useComponent(t.guild, t.admin, menu.data.custom_id, { values: [menu.options[1].data.value] });
+    const removed = await t.client.useComponent(t.guild, t.admin, component(lastPanel(picked), "Remove #2").data.custom_id);
+    assert.equal(removed.lastContent, `✅ Removed phish.example (domain) from <#${t.channel.id}>.`);
+    assert.deepEqual(Array.from((await t.reload()).blockRules.get(t.channel.id).keys()), ["domain:scam.example"]);
+
+    const toggled = await t.client.useComponent(t.guild, t.admin, component(lastPanel(removed), "Turn watchman on").data.custom_id);
+    assert.equal(toggled.lastContent, `✅ Watchman mode enabled for <#${t.channel.id}>.`);
+    assert.equal(t.bot.store.get(t.guild.id).watchmanChannels.has(t.channel.id), true);
+    component(lastPanel(toggled), "Turn watchman off");
+
+    const titles = logChannel.sent.map((message) => message.embeds[0].data.title).filter((title) => title.startsWith("⚙️"));
+    assert.deepEqual(titles, ["⚙️ /nyd log-channel", "⚙️ /nyd panel", "⚙️ /nyd panel", "⚙️ /nyd panel"]);
+  });
+
+  it("pages through long lists and switches views", async () => {
+    const partials = Array.from({ length: 12 }, (_, i) => `spam${i + 1}.example`).join(",");
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin bulk block", { partials });
+    await t.client.runCommand(t.guild, t.admin, "allow-user", { user: t.member.user });
+
+    const opened = await t.client.runCommand(t.guild, t.admin, "panel");
+    assert.equal(lastPanel(opened).embeds[0].data.footer.text, "Page 1/2 · 12 rules");
+    const next = await t.client.useComponent(t.guild, t.admin, component(lastPanel(opened), "Next ▶").data.custom_id);
+    assert.equal(lastPanel(next).embeds[0].data.footer.text, "Page 2/2 · 12 rules");
+    assert.match(lastPanel(next).embeds[0].data.description, /^`11\.` "spam11\.example"/);
+    assert.equal(component(lastPanel(next), "Next ▶").data.disabled, true);
+
+    const view = component(lastPanel(next), "Switch to the server-wide rules or the allowlist").data.custom_id;
+    const allowlist = await t.client.useComponent(t.guild, t.admin, view, { values: ["allow"] });
+    assert.equal(lastPanel(allowlist).embeds[0].data.title, "✅ Allowlist");
+    assert.match(lastPanel(allowlist).embeds[0].data.description, new RegExp(`<@${t.member.user.id}>: everywhere, permanent`));
+  });
+
+  it("checks the capability of every action", async () => {
+    const modRole = t.guild.addRole({ name: "Moderators" });
+    const moderator = t.guild.addMember(new FakeUser({ username: "mod" }), { roles: [modRole] });
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "rules.view" });
+    await t.client.runCommand(t.guild, t.admin, "block-global", { filtered_partial: "tiktok" });
+
+    const opened = await t.client.runCommand(t.guild, moderator, "panel");
+    const menu = component(lastPanel(opened), "Pick an entry to remove");
+    const picked = await t.client.useComponent(t.guild, moderator, menu.data.custom_id, { values: [menu.options[0].data.value] });
+    const removed = await t.client.useComponent(t.guild, moderator, component(lastPanel(picked), "Remove #1").data.custom_id);
+    assert.match(removed.lastContent, /^❌ You need the `rules\.edit` permission/);
+    assert.equal(t.bot.store.get(t.guild.id).globalBlockRules.size, 1);
+
+    const view = component(lastPanel(opened), "Switch to the server-wide rules or the allowlist").data.custom_id;
+    const allowlist = await t.client.useComponent(t.guild, moderator, view, { values: ["allow"] });
+    assert.match(allowlist.lastContent, /^❌ You need the `allowlist\.view` permission/);
+
+    const outsider = await t.client.useComponent(t.guild, t.member, view, { values: ["global"] });
+    assert.match(outsider.lastContent, /^❌ You need the `rules\.view` permission/);
+  });
+
+  it("leaves components it does not own to their collectors", async () => {
+    const pressed = await t.client.useComponent(t.guild, t.admin, "confirm");
+    assert.deepEqual(pressed.replies, []);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getCompiledPattern, testPattern } = require("../src/patterns");
+
+function globMatches(pattern, subject) {
+  return testPattern(getCompiledPattern("glob", pattern), subject);
+}
+
+describe("glob patterns", () => {
+  it("matches * within a path segment, ** across segments and ? for one character", () => {
+    assert.equal(globMatches("*.tiktok.com/*/video/*", "www.tiktok.com/@user/video/1"), true);
+    assert.equal(globMatches("*.tiktok.com/*/video/*", "www.tiktok.com/@user/extra/video/1"), false);
+    assert.equal(globMatches("x.com/**/status/*", "x.com/user/a/b/status/1"), true);
+    assert.equal(globMatches("x.com/status/?", "x.com/status/1"), true);
+    assert.equal(globMatches("x.com/status/?", "x.com/status/12"), false);
+    assert.equal(globMatches("x.com/?", "x.com//"), false);
+  });
+
+  it("matches the whole subject, ignoring case", () => {
+    assert.equal(globMatches("x.com/*", "X.com/Status"), true);
+    assert.equal(globMatches("x.com/*", "netflix.com/browse"), false);
+    assert.equal(globMatches("x.com", "x.com.evil.example"), false);
+  });
+
+  it("rejects globs that are only wildcards or have too many of them", () => {
+    assert.throws(() => getCompiledPattern("glob", "**?*"), /Glob must contain more than wildcards/);
+    assert.throws(() => getCompiledPattern("glob", "x.com/*a*a*a*a*a*a*a*b"), /Glob has more than 6 wildcards/);
+  });
+
+  it("does not backtrack on long links", () => {
+    const started = Date.now();
+    assert.equal(globMatches("x.com/*a*a*a*a*a*b", `x.com/${"a".repeat(2000)}`), false);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+describe("regex patterns", () => {
+  it("matches case-insensitively anywhere in the subject", () => {
+    const regex = getCompiledPattern("regex", "^https?://(www\\.)?x\\.com/");
+    assert.equal(testPattern(regex, "HTTPS://WWW.X.COM/status"), true);
+    assert.equal(testPattern(regex, "https://netflix.com/"), false);
+  });
+
+  it("accepts bounded repeats", () => {
+    for (const pattern of ["\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}", "(\\d{1,3}\\.){3}\\d{1,3}", "discord\\.gift/\\w+", "a{2}(bc){3}"]) {
+      assert.doesNotThrow(() => getCompiledPattern("regex", pattern), pattern);
+    }
+  });
+
+  it("rejects invalid expressions", () => {
+    assert.throws(() => getCompiledPattern("regex", "x.com/(unclosed"), /^Error: Invalid regular expression/);
+    assert.throws(() => getCompiledPattern("regex", `${"a".repeat(201)}`), /longer than 200 characters/);
+  });
+
+  it("rejects expressions that can backtrack for too long", () => {
+    const unsafe = {
+      "(a+)+": /nested quantifiers/,
+      "(\\w*)*": /nested quantifiers/,
+      "(a|aa)+": /nested quantifiers/,
+      "(a{1,3})+": /nested quantifiers/,
+      "(.*a){12}b": /repeating a group that contains \* or \+/,
+      "(\\w{1,50}\\.){3}": /repeating a group that contains \* or \+/,
+      ".*a.*a.*a.*a.*a.*a.*b": /more than 2 open-ended quantifiers/,
+      "(?:a?){24}b": /too many optional or ranged items/,
+      "(a?)+": /nested quantifiers/,
+      [`${"a?".repeat(30)}${"a".repeat(30)}`]: /too many optional or ranged items/,
+      "(a)\\1": /backreferences are not allowed/,
+      "(?<x>a)\\k<x>": /backreferences are not allowed/,
+    };
+    for (const [pattern, reason] of Object.entries(unsafe)) {
+      assert.throws(() => getCompiledPattern("regex", pattern), reason, pattern);
+    }
+  });
+
+  it("does not freeze on the subjects that made (?:a?){24}b slow", () => {
+    assert.throws(() => getCompiledPattern("regex", "(?:a?){24}b"));
+    const regex = getCompiledPattern("regex", "(?:a?){12}b");
+    const started = Date.now();
+    assert.equal(testPattern(regex, "a".repeat(256)), false);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("accepts optional items, lazy quantifiers and special groups", () => {
+    for (const pattern of ["^https?://(?:www\\.)?x\\.com/", "(?<id>\\d{1,3})\\.x", "a.*?b", "(?=x)x\\.com(?!/ads)"]) {
+      assert.doesNotThrow(() => getCompiledPattern("regex", pattern), pattern);
+    }
+  });
+
+  it("ignores quantifier characters inside classes and escapes", () => {
+    assert.doesNotThrow(() => getCompiledPattern("regex", "[*+]+x\\*\\+y.*"));
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeUser, FakeInteraction } = require("./support/fake-discord");
+const { createTestBot } = require("./support/test-bot");
+
+describe("/nyd-admin permissions", () => {
+  let t;
+  let modRole;
+  let moderator;
+
+  beforeEach(async () => {
+    t = await createTestBot();
+    modRole = t.guild.addRole({ name: "Moderators" });
+    moderator = t.guild.addMember(new FakeUser({ username: "mod" }), { roles: [modRole] });
+  });
+
+  afterEach(async () => {
+    await t.cleanup();
+  });
+
+  it("lets a granted role use matching commands only", async () => {
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "rules.edit" });
+
+    const blocked = await t.client.runCommand(t.guild, moderator, "block-global", { filtered_partial: "tiktok" });
+    const allowed = await t.client.runCommand(t.guild, moderator, "allow-user", { user: t.member.user });
+
+    assert.match(blocked.lastContent, /^✅ Blocked links matching "tiktok"/);
+    assert.match(allowed.lastContent, /^❌ You need the `allowlist\.edit` permission/);
+    assert.equal(t.bot.store.get(t.guild.id).allowList.users.size, 0);
+  });
+
+  it("grants read-only commands separately from editing", async () => {
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "rules.view" });
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "stats.view" });
+
+    const list = await t.client.runCommand(t.guild, moderator, "list-global");
+    const stats = await t.client.runCommand(t.guild, moderator, "stats");
+    const block = await t.client.runCommand(t.guild, moderator, "block-global", { filtered_partial: "tiktok" });
+
+    assert.match(list.lastContent, /^📋 Globally blocked partials/);
+    assert.match(stats.lastContent, /^📊/);
+    assert.match(block.lastContent, /^❌ You need the `rules\.edit` permission/);
+  });
+
+  it("keeps granting permissions to administrators", async () => {
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "rules.edit" });
+
+    const interaction = await t.client.runCommand(t.guild, moderator, "/nyd-admin permissions grant", {
+      role: modRole,
+      capability: "backup.restore",
+    });
+
+    assert.equal(interaction.lastContent, "❌ This command can only be used by server administrators.");
+    assert.deepEqual(Array.from(t.bot.store.get(t.guild.id).permissions.get(modRole.id)), ["rules.edit"]);
+  });
+
+  it("refuses to grant unknown permissions", async () => {
+    const interaction = await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "rules" });
+
+    assert.equal(interaction.lastContent, '❌ Unknown permission "rules". Pick one of the suggestions.');
+    assert.equal(t.bot.store.get(t.guild.id).permissions.size, 0);
+  });
+
+  it("revokes permissions and persists changes", async () => {
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "rules.edit" });
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "watchman.toggle" });
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions revoke", { role: modRole, capability: "rules.edit" });
+
+    const saved = await t.reload();
+    assert.deepEqual(Array.from(saved.permissions.get(modRole.id)), ["watchman.toggle"]);
+
+    const list = await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions list");
+    assert.match(list.lastContent, new RegExp(`<@&${modRole.id}>: watchman\\.toggle`));
+  });
+
+  it("does not suggest backups to members who cannot restore them", async () => {
+    const interaction = new FakeInteraction({
+      guild: t.guild,
+      channel: t.channel,
+      member: moderator,
+      command: "backup restore",
+      autocomplete: true,
+    });
+    await t.client.runCommand(t.guild, t.admin, "backup create");
+
+    await t.client.dispatch("interactionCreate", interaction);
+
+    assert.deepEqual(interaction.autocompleteChoices, []);
+  });
+
+  it("keeps role permissions when someone other than an administrator imports a configuration", async () => {
+    await t.client.runCommand(t.guild, t.admin, "/nyd-admin permissions grant", { role: modRole, capability: "backup.restore" });
+    const data = {
+      globalBlockRules: [{ type: "domain", pattern: "x.com" }],
+      permissions: { [modRole.id]: ["rules.edit", "settings.edit"] },
+    };
+    const text = JSON.stringify({ version: 1, data });
+    const file = { name: "config.json", size: text.length, url: `data:application/json,${encodeURIComponent(text)}` };
+
+    const imported = await t.client.runCommand(t.guild, moderator, "import", { file }, { clicks: ["confirm"] });
+    assert.match(imported.lastContent, /^✅ Imported configuration from `config\.json`\.\n🔒 Role permissions were left unchanged/);
+    assert.equal(t.bot.store.get(t.guild.id).globalBlockRules.size, 1);
+    assert.deepEqual(Array.from((await t.reload()).permissions.get(modRole.id)), ["backup.restore"]);
+
+    await t.client.runCommand(t.guild, t.admin, "import", { file }, { clicks: ["confirm"] });
+    assert.deepEqual(Array.from(t.bot.store.get(t.guild.id).permissions.get(modRole.id)), ["rules.edit", "settings.edit"]);
+  });
+
+  it("refuses imports with fields of the wrong shape", async () => {
+    const text = JSON.stringify({ version: 1, data: { permissions: { [modRole.id]: ["everything"] } } });
+    const file = { name: "config.json", size: text.length, url: `data:application/json,${encodeURIComponent(text)}` };
+
+    const imported = await t.client.runCommand(t.guild, t.admin, "import", { file });
+    assert.equal(
+      imported.lastContent,
+      '❌ Import failed: File is not a valid NYD Bot export: "permissions" should be role IDs mapped to capabilities'
+    );
+    assert.equal(t.bot.store.get(t.guild.id).permissions.size, 0);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { extractUrls } = require("../src/url-parser");
+const { createRule, ruleKey, matchesRule, findMatch, findMatches, findRules, formatRule } = require("../src/rules");
+
+// Whether a rule blocks the first link in the text
+function matches(type, pattern, text) {
+  const [link] = extractUrls(text);
+  assert.ok(link, `no link in "${text}"`);
+  return matchesRule(createRule(type, pattern), link);
+}
+
+describe("createRule", () => {
+  it("normalizes patterns per match type", () => {
+    assert.deepEqual(createRule(null, "TikTok"), { type: "substring", pattern: "tiktok" });
+    assert.deepEqual(createRule("domain", "https://WWW.X.com/"), { type: "domain", pattern: "www.x.com" });
+    assert.deepEqual(createRule("host", "bücher.example"), { type: "host", pattern: "xn--bcher-kva.example" });
+    assert.deepEqual(createRule("path", "https://YouTube.com/Shorts"), { type: "path", pattern: "youtube.com/shorts" });
+    assert.deepEqual(createRule("query", "?UTM_Source=Spam"), { type: "query", pattern: "utm_source=spam" });
+    assert.deepEqual(createRule("glob", "https://*.TikTok.com/*"), { type: "glob", pattern: "*.tiktok.com/*" });
+  });
+
+  it("rejects unusable patterns", () => {
+    assert.throws(() => createRule("substring", "  "), /Pattern cannot be empty/);
+    assert.throws(() => createRule("domain", "not a domain"), /is not a valid host name/);
+    assert.throws(() => createRule("path", "youtube.com"), /needs a path/);
+    assert.throws(() => createRule("query", "=spam"), /needs a parameter name/);
+    assert.throws(() => createRule("fuzzy", "x"), /Unknown match type "fuzzy"/);
+    assert.throws(() => createRule("regex", "x.com/(unclosed"), /Invalid regular expression/);
+    assert.throws(() => createRule("glob", "**"), /more than wildcards/);
+  });
+});
+
+describe("matchesRule", () => {
+  it("matches domains on label boundaries, so x.com does not block netflix.com", () => {
+    assert.equal(matches("domain", "x.com", "https://x.com/status/1"), true);
+    assert.equal(matches("domain", "x.com", "https://mobile.x.com/status/1"), true);
+    assert.equal(matches("domain", "x.com", "https://netflix.com/browse"), false);
+    assert.equal(matches("domain", "x.com", "https://x.com.evil.example/"), false);
+  });
+
+  it("matches hosts exactly", () => {
+    assert.equal(matches("host", "x.com", "www.X.com/a"), false);
+    assert.equal(matches("host", "www.x.com", "www.X.com/a"), true);
+  });
+
+  it("matches substrings anywhere in the link, including netflix.com for x.com", () => {
+    assert.equal(matches("substring", "x.com", "https://netflix.com/browse"), true);
+    assert.equal(matches("substring", "bücher", "https://xn--bcher-kva.example/"), true);
+  });
+
+  it("matches path prefixes on the domain and its subdomains", () => {
+    assert.equal(matches("path", "youtube.com/shorts", "https://m.youtube.com/shorts/abc"), true);
+    assert.equal(matches("path", "youtube.com/shorts", "https://youtube.com/watch?v=abc"), false);
+    assert.equal(matches("path", "youtube.com/shorts", "https://notyoutube.com/shorts/abc"), false);
+  });
+
+  it("matches query parameters by name or by name and value", () => {
+    assert.equal(matches("query", "si", "https://youtu.be/abc?SI=xyz"), true);
+    assert.equal(matches("query", "utm_source=spam", "https://x.com/?utm_source=Spam"), true);
+    assert.equal(matches("query", "utm_source=spam", "https://x.com/?utm_source=news"), false);
+  });
+
+  it("matches globs and regular expressions", () => {
+    assert.equal(matches("glob", "*.tiktok.com/*/video/*", "https://www.tiktok.com/@user/video/1?lang=en"), true);
+    assert.equal(matches("glob", "*.tiktok.com/*/video/*", "https://www.tiktok.com/@user/photo/1"), false);
+    assert.equal(matches("regex", "discord\\.gift/\\w+", "<https://Discord.Gift/Abc>"), true);
+    assert.equal(matches("regex", "^https://x\\.com/", "https://netflix.com/"), false);
+  });
+});
+
+describe("findMatch and findMatches", () => {
+  const rules = new Map(
+    [createRule("domain", "x.com"), createRule("substring", "nitro"), createRule("domain", "expired.example")].map((rule) => [
+      ruleKey(rule),
+      rule,
+    ])
+  );
+  rules.get("domain:expired.example").expiresAt = Date.now() - 1000;
+
+  it("returns the first matching rule and link, skipping expired and exempt matches", () => {
+    const links = extractUrls("https://netflix.com https://x.com/nitro https://expired.example");
+    assert.deepEqual(findMatch(rules, links), { rule: rules.get("domain:x.com"), link: links[1] });
+    assert.deepEqual(
+      findMatch(rules, links, (rule) => rule.type === "domain"),
+      { rule: rules.get("substring:nitro"), link: links[1] }
+    );
+    assert.equal(findMatch(rules, extractUrls("https://expired.example")), null);
+  });
+
+  it("returns every matching rule", () => {
+    const links = extractUrls("https://x.com/nitro");
+    assert.deepEqual(
+      findMatches(rules, links).map(({ rule }) => formatRule(rule)),
+      ["x.com (domain)", '"nitro"']
+    );
+  });
+
+  it("finds stored rules from user input", () => {
+    assert.deepEqual(findRules(rules, "https://X.com"), [rules.get("domain:x.com")]);
+    assert.deepEqual(findRules(rules, "x.com", "substring"), []);
+  });
+});
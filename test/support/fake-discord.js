@@ -0,0 +1,616 @@
+/*
+ * Fake discord.js objects for NYD Bot tests
+ * Covers the parts of the Client, Guild, Channel, Message and Interaction surface the bot uses,
+ * so tests can emit events and run /nyd commands end-to-end without a network connection.
+ */
+
+const { EventEmitter } = require("events");
+const {
+  Collection,
+  ChannelType,
+  Embed,
+  GatewayIntentBits,
+  IntentsBitField,
+  PermissionsBitField,
+  PermissionFlagsBits,
+} = require("discord.js");
+
+// Snowflake-like IDs, since the data layer rejects guild IDs that are not numeric
+let nextId = 100000000000000000n;
+function fakeId() {
+  nextId += 1n;
+  return nextId.toString();
+}
+
+class FakeUser {
+  constructor({ id = fakeId(), username = "user", bot = false, createdTimestamp = Date.now() - 365 * 24 * 60 * 60 * 1000 } = {}) {
+    this.id = id;
+    this.username = username;
+    this.tag = `${username}#0`;
+    this.bot = bot;
+    this.createdTimestamp = createdTimestamp;
+    // Direct messages sent to this user
+    this.dms = [];
+  }
+
+  async send(options) {
+    this.dms.push(typeof options === "string" ? { content: options } : options);
+  }
+
+  setActivity(name, options = {}) {
+    this.activity = { name, ...options };
+  }
+
+  displayAvatarURL() {
+    return `https://cdn.discordapp.com/embed/avatars/0.png`;
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class FakeMember {
+  constructor(guild, user, { roles = [], permissions = [], joinedTimestamp = Date.now() - 30 * 24 * 60 * 60 * 1000 } = {}) {
+    this.guild = guild;
+    this.user = user;
+    this.id = user.id;
+    this.joinedTimestamp = joinedTimestamp;
+    this.roles = { cache: new Collection(roles.map((role) => [role.id, role])) };
+    this.permissions = new PermissionsBitField(permissions);
+    this.moderatable = true;
+    this.kickable = true;
+    this.bannable = true;
+    // Moderation actions taken against this member, e.g. { action: "timeout", durationMs }
+    this.actions = [];
+  }
+
+  async send(options) {
+    await this.user.send(options);
+  }
+
+  async timeout(durationMs, reason) {
+    this.actions.push({ action: "timeout", durationMs, reason });
+  }
+
+  async kick(reason) {
+    this.actions.push({ action: "kick", reason });
+  }
+
+  async ban(options) {
+    this.actions.push({ action: "ban", ...options });
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+class FakeChannel {
+  constructor(guild, { id = fakeId(), name = "general", type = ChannelType.GuildText, parentId = null } = {}) {
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.parentId = parentId;
+    this.messages = new FakeMessageManager(this);
+    // Messages the bot sent to this channel
+    this.sent = [];
+    // Sizes of the bulk deletes made in this channel
+    this.bulkDeletes = [];
+  }
+
+  get parent() {
+    return this.parentId ? this.guild.channels.cache.get(this.parentId) || null : null;
+  }
+
+  isThread() {
+    return [ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.AnnouncementThread].includes(this.type);
+  }
+
+  isTextBased() {
+    return this.type !== ChannelType.GuildCategory && this.type !== ChannelType.GuildForum;
+  }
+
+  // Delete several messages at once. Unlike Discord, the fake does not reject messages older than 14 days.
+  async bulkDelete(messages) {
+    this.bulkDeletes.push(messages.length);
+    const deleted = new Collection();
+    for (const message of messages) {
+      if (!message.deleted) deleted.set(message.id, await message.delete());
+    }
+    return deleted;
+  }
+
+  // Add a message to the channel's history without running the messageCreate listeners
+  addMessage(member, content, options = {}) {
+    const message = new FakeMessage({ channel: this, author: member.user, member, content, ...options });
+    this.messages.cache.set(message.id, message);
+    return message;
+  }
+
+  async send(options) {
+    const message = new FakeMessage({
+      channel: this,
+      author: this.guild.client.user,
+      content: typeof options === "string" ? options : options.content || "",
+    });
+    message.embeds = (options && options.embeds) || [];
+    this.sent.push(message);
+    return message;
+  }
+
+  toString() {
+    return `<#${this.id}>`;
+  }
+}
+
+class FakeMessageManager {
+  constructor(channel) {
+    this.channel = channel;
+    this.cache = new Collection();
+    // Every message returned by fetch, so later pages can start before a deleted one
+    this.fetched = new Map();
+  }
+
+  // Newest messages first, like the Discord API. before is the ID of a message fetched earlier, even if since deleted.
+  async fetch(options = {}) {
+    const id = typeof options === "string" ? options : options.message;
+    if (id) return this.cache.get(id);
+
+    const newerFirst = (a, b) => b.createdTimestamp - a.createdTimestamp || Number(BigInt(b.id) - BigInt(a.id));
+    const before = options.before && this.fetched.get(options.before);
+    const newest = Array.from(this.cache.values())
+      .filter((message) => !before || newerFirst(message, before) > 0)
+      .sort(newerFirst)
+      .slice(0, options.limit || 50);
+    for (const message of newest) this.fetched.set(message.id, message);
+    return new Collection(newest.map((message) => [message.id, message]));
+  }
+}
+
+class FakeMessage {
+  constructor({
+    channel,
+    author,
+    member = null,
+    content = "",
+    embeds = [],
+    attachments = [],
+    stickers = [],
+    poll = null,
+    messageSnapshots = [],
+    createdTimestamp = Date.now(),
+  }) {
+    this.id = fakeId();
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guild = channel.guild;
+    this.guildId = channel.guild.id;
+    this.author = author;
+    this.member = member;
+    this.content = content;
+    // Embeds are EmbedBuilders or plain { data } objects; attachments, stickers and snapshots are plain objects
+    this.embeds = embeds.map((embed) => new Embed(embed.data || embed));
+    this.attachments = new Collection(attachments.map((attachment) => [attachment.id || fakeId(), attachment]));
+    this.stickers = new Collection(stickers.map((sticker) => [sticker.id || fakeId(), sticker]));
+    this.poll = poll && { question: { text: poll.question }, answers: new Collection(poll.answers.map((text, i) => [i + 1, { text }])) };
+    this.messageSnapshots = new Collection(
+      messageSnapshots.map((snapshot) => [fakeId(), new FakeMessage({ channel, author, ...snapshot })])
+    );
+    this.createdTimestamp = createdTimestamp;
+    this.createdAt = new Date(createdTimestamp);
+    this.editedTimestamp = null;
+    this.partial = false;
+    this.deleted = false;
+  }
+
+  async delete() {
+    if (this.deleted) throw new Error("Unknown Message");
+    this.deleted = true;
+    this.channel.messages.cache.delete(this.id);
+    return this;
+  }
+
+  async fetch() {
+    return this;
+  }
+
+  // Edit the text and return the previous version, for emitting messageUpdate
+  edit(content) {
+    const previous = Object.assign(Object.create(FakeMessage.prototype), this);
+    this.content = content;
+    this.editedTimestamp = Math.max(Date.now(), this.createdTimestamp + 1);
+    return previous;
+  }
+}
+
+class FakeGuild {
+  constructor(client, { id = fakeId(), name = "Test Server" } = {}) {
+    this.client = client;
+    this.id = id;
+    this.name = name;
+
+    const guild = this;
+    this.channels = {
+      cache: new Collection(),
+      async fetch(channelId) {
+        return guild.channels.cache.get(channelId) || null;
+      },
+    };
+    this.members = {
+      cache: new Collection(),
+      me: null,
+      async fetch(userId) {
+        const member = guild.members.cache.get(userId);
+        if (!member) throw new Error("Unknown Member");
+        return member;
+      },
+    };
+    this.roles = { cache: new Collection() };
+
+    this.members.me = this.addMember(client.user, { permissions: [PermissionFlagsBits.ManageMessages] });
+  }
+
+  addChannel(options = {}) {
+    const channel = new FakeChannel(this, options);
+    this.channels.cache.set(channel.id, channel);
+    this.client.channels.cache.set(channel.id, channel);
+    return channel;
+  }
+
+  addRole({ id = fakeId(), name = "role" } = {}) {
+    const role = { id, name, toString: () => `<@&${id}>` };
+    this.roles.cache.set(id, role);
+    return role;
+  }
+
+  addMember(user, options = {}) {
+    const member = new FakeMember(this, user, options);
+    this.members.cache.set(user.id, member);
+    return member;
+  }
+}
+
+// Option resolver for a chat input or autocomplete interaction
+class FakeOptions {
+  // focused is the text typed into the option being autocompleted, focusedName that option's name
+  constructor({ group = null, subcommand, values = {}, focused = "", focusedName = null }) {
+    this.group = group;
+    this.subcommand = subcommand;
+    this.values = values;
+    this.focused = focused;
+    this.focusedName = focusedName;
+  }
+
+  get(name) {
+    return this.values[name] === undefined ? null : this.values[name];
+  }
+
+  getSubcommandGroup() {
+    return this.group;
+  }
+
+  getSubcommand() {
+    return this.subcommand;
+  }
+
+  getFocused(getFull = false) {
+    return getFull ? { name: this.focusedName, value: this.focused } : this.focused;
+  }
+
+  getString(name) {
+    return this.get(name);
+  }
+
+  getInteger(name) {
+    return this.get(name);
+  }
+
+  getNumber(name) {
+    return this.get(name);
+  }
+
+  getBoolean(name) {
+    return this.get(name);
+  }
+
+  getUser(name) {
+    return this.get(name);
+  }
+
+  getMember(name) {
+    return this.get(name);
+  }
+
+  getRole(name) {
+    return this.get(name);
+  }
+
+  getChannel(name) {
+    return this.get(name);
+  }
+
+  getAttachment(name) {
+    return this.get(name);
+  }
+}
+
+// A button press on a reply, as returned by awaitMessageComponent
+class FakeButtonInteraction {
+  constructor(interaction, customId) {
+    this.interaction = interaction;
+    this.customId = customId;
+    this.user = interaction.user;
+  }
+
+  isButton() {
+    return true;
+  }
+
+  async update(options) {
+    this.interaction.replies.push({ ...options, update: true });
+  }
+
+  async deferUpdate() {}
+}
+
+// Collects button presses on a reply. Queued clicks are delivered in a microtask, once the handler has
+// attached its listeners and started waiting on something else.
+class FakeComponentCollector extends EventEmitter {
+  constructor(interaction) {
+    super();
+    this.ended = false;
+    queueMicrotask(() => {
+      for (const customId of interaction.pendingClicks.splice(0)) {
+        if (!this.ended) this.emit("collect", new FakeButtonInteraction(interaction, customId));
+      }
+    });
+  }
+
+  stop() {
+    if (this.ended) return;
+    this.ended = true;
+    this.emit("end");
+  }
+}
+
+class FakeInteraction {
+  // command is "block", "escalation set" and so on, or starts with the name of another top-level command, e.g.
+  // "/nyd-admin settings sources"; options holds resolved option values by name
+  constructor({
+    guild,
+    channel,
+    member,
+    command,
+    options = {},
+    commandName = "nyd",
+    autocomplete = false,
+    focused = "",
+    focusedName = null,
+  }) {
+    if (command.startsWith("/")) [commandName, command] = command.slice(1).split(/ (.*)/);
+    const [group, subcommand] = command.includes(" ") ? command.split(" ") : [null, command];
+    this.client = guild ? guild.client : null;
+    this.guild = guild;
+    this.guildId = guild ? guild.id : null;
+    this.channel = channel;
+    this.member = member;
+    this.user = member.user;
+    this.commandName = commandName;
+    this.autocomplete = autocomplete;
+    this.createdTimestamp = Date.now();
+    this.options = new FakeOptions({ group, subcommand, values: options, focused, focusedName });
+
+    // Everything sent back: replies, edits and button updates, in order
+    this.replies = [];
+    this.autocompleteChoices = null;
+    this.replied = false;
+    // Button custom IDs to "press" when the handler waits for a component
+    this.pendingClicks = [];
+  }
+
+  isChatInputCommand() {
+    return !this.autocomplete;
+  }
+
+  isAutocomplete() {
+    return this.autocomplete;
+  }
+
+  isButton() {
+    return false;
+  }
+
+  isMessageComponent() {
+    return false;
+  }
+
+  isModalSubmit() {
+    return false;
+  }
+
+  // Queue a button press for the next confirmation prompt
+  click(customId) {
+    this.pendingClicks.push(customId);
+    return this;
+  }
+
+  async reply(options) {
+    if (this.replied) throw new Error("Interaction has already been replied to");
+    this.replied = true;
+    this.replies.push(typeof options === "string" ? { content: options } : options);
+
+    const interaction = this;
+    return {
+      async awaitMessageComponent() {
+        const customId = interaction.pendingClicks.shift();
+        if (!customId) throw new Error("Collector received no interactions before ending with reason: time");
+        return new FakeButtonInteraction(interaction, customId);
+      },
+      createMessageComponentCollector() {
+        return new FakeComponentCollector(interaction);
+      },
+    };
+  }
+
+  async editReply(options) {
+    this.replies.push({ ...(typeof options === "string" ? { content: options } : options), edit: true });
+  }
+
+  async respond(choices) {
+    this.autocompleteChoices = choices;
+  }
+
+  // Text of the last reply, edit or update
+  get lastContent() {
+    const last = this.replies[this.replies.length - 1];
+    return last ? last.content : undefined;
+  }
+}
+
+// A button press, menu pick or form submission that reaches interactionCreate. values holds the picked menu
+// options; fields holds a submitted form's text inputs by custom ID, and is null for buttons and menus.
+class FakeComponentInteraction {
+  constructor({ guild, channel, member, customId, values = [], fields = null }) {
+    this.client = guild.client;
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.channel = channel;
+    this.member = member;
+    this.user = member.user;
+    this.customId = customId;
+    this.values = values;
+    this.modalSubmit = fields !== null;
+    this.fields = { getTextInputValue: (id) => (fields && fields[id]) || "" };
+
+    // Everything sent back: replies and updates of the message, in order
+    this.replies = [];
+    this.replied = false;
+    this.deferred = false;
+    // The form opened with showModal
+    this.modal = null;
+  }
+
+  isChatInputCommand() {
+    return false;
+  }
+
+  isAutocomplete() {
+    return false;
+  }
+
+  isMessageComponent() {
+    return !this.modalSubmit;
+  }
+
+  isModalSubmit() {
+    return this.modalSubmit;
+  }
+
+  async reply(options) {
+    if (this.replied) throw new Error("Interaction has already been replied to");
+    this.replied = true;
+    this.replies.push(typeof options === "string" ? { content: options } : options);
+  }
+
+  async update(options) {
+    if (this.replied) throw new Error("Interaction has already been replied to");
+    this.replied = true;
+    this.replies.push({ ...options, update: true });
+  }
+
+  async showModal(modal) {
+    if (this.replied) throw new Error("Interaction has already been replied to");
+    this.replied = true;
+    this.modal = modal;
+  }
+
+  // Text of the last reply or update
+  get lastContent() {
+    const last = this.replies[this.replies.length - 1];
+    return last ? last.content : undefined;
+  }
+}
+
+class FakeClient extends EventEmitter {
+  // intents are the gateway intents the bot "logged in" with
+  constructor({
+    intents = [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.GuildMembers],
+  } = {}) {
+    super();
+    this.user = new FakeUser({ username: "NYD Bot", bot: true });
+    this.options = { intents: new IntentsBitField(intents) };
+    this.channels = { cache: new Collection() };
+    this.guilds = { cache: new Collection() };
+  }
+
+  addGuild(options) {
+    const guild = new FakeGuild(this, options);
+    this.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+
+  // Emit an event and wait for every listener to finish, since the bot's listeners are async
+  async dispatch(event, ...args) {
+    await Promise.all(this.rawListeners(event).map((listener) => listener.apply(this, args)));
+  }
+
+  // Post a message as a user and run the messageCreate listeners. content is the text, or FakeMessage options
+  // such as { content, embeds, attachments, stickers, poll: { question, answers }, messageSnapshots }.
+  async sendMessage(channel, member, content) {
+    const options = typeof content === "string" ? { content } : content;
+    const message = new FakeMessage({ channel, author: member.user, member, ...options });
+    channel.messages.cache.set(message.id, message);
+    await this.dispatch("messageCreate", message);
+    return message;
+  }
+
+  // Edit a message and run the messageUpdate listeners
+  async editMessage(message, content) {
+    const previous = message.edit(content);
+    await this.dispatch("messageUpdate", previous, message);
+    return message;
+  }
+
+  // Run a /nyd or /nyd-admin command as a member and return the interaction to inspect its replies
+  async runCommand(guild, member, command, options = {}, { clicks = [] } = {}) {
+    const interaction = new FakeInteraction({ guild, channel: guild.channels.cache.first(), member, command, options });
+    clicks.forEach((customId) => interaction.click(customId));
+    await this.dispatch("interactionCreate", interaction);
+    return interaction;
+  }
+
+  // Press a button, pick menu options or submit a form ({ values } or { fields }) as a member
+  async useComponent(guild, member, customId, options = {}) {
+    const interaction = new FakeComponentInteraction({ guild, channel: guild.channels.cache.first(), member, customId, ...options });
+    await this.dispatch("interactionCreate", interaction);
+    return interaction;
+  }
+}
+
+// A REST stand-in that records registered commands instead of calling Discord
+class FakeRest {
+  constructor() {
+    this.puts = [];
+  }
+
+  async put(route, options) {
+    this.puts.push({ route, body: options.body });
+    return options.body;
+  }
+}
+
+module.exports = {
+  fakeId,
+  FakeClient,
+  FakeGuild,
+  FakeChannel,
+  FakeUser,
+  FakeMember,
+  FakeMessage,
+  FakeInteraction,
+  FakeComponentInteraction,
+  FakeRest,
+};
@@ -0,0 +1,60 @@
+/*
+ * Test bot setup for NYD Bot tests
+ * Builds the real bot on a fake client, with its data stored in a temporary directory
+ */
+
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { PermissionFlagsBits } = require("discord.js");
+const DataManager = require("../../src/data-manager");
+const { createBot } = require("../../src/bot");
+const { FakeClient, FakeRest, FakeUser } = require("./fake-discord");
+
+// A bot with one guild, one text channel, an administrator and a regular member
+async function createTestBot() {
+  // On Node 20 the test runner reports over stdout, and a busy stream of console.log output can corrupt that
+  // report ("Unable to deserialize cloned data"), so the bot logs to stderr until it is cleaned up
+  const log = console.log;
+  console.log = console.error;
+
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "nyd-test-"));
+  const dataManager = new DataManager({ dataDir, backend: "json", saveDelayMs: 0 });
+  const client = new FakeClient();
+  const rest = new FakeRest();
+  const bot = createBot({ client, dataManager, rest, clientId: "1" });
+  await bot.store.load();
+
+  const guild = client.addGuild();
+  const channel = guild.addChannel({ name: "general" });
+  const admin = guild.addMember(new FakeUser({ username: "admin" }), { permissions: [PermissionFlagsBits.Administrator] });
+  const member = guild.addMember(new FakeUser({ username: "member" }));
+
+  return {
+    client,
+    rest,
+    bot,
+    dataManager,
+    guild,
+    channel,
+    admin,
+    member,
+
+    // Write queued saves and read the guild back from disk with a fresh DataManager
+    async reload() {
+      await dataManager.flush();
+      const guilds = await new DataManager({ dataDir, backend: "json" }).loadData();
+      return guilds.get(guild.id);
+    },
+
+    async cleanup() {
+      await bot.destroy();
+      await fs.rm(dataDir, { recursive: true, force: true });
+      console.log = log;
+    },
+  };
+}
+
+module.exports = {
+  createTestBot,
+};
@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { extractUrls, normalizeHostname } = require("../src/url-parser");
+
+// The hrefs of every link found in a piece of text
+function hrefs(text) {
+  return extractUrls(text).map((link) => link.href);
+}
+
+describe("extractUrls", () => {
+  it("finds links with and without a scheme", () => {
+    assert.deepEqual(hrefs("https://x.com/a and www.tiktok.com/@user/video/1 or discord.gg/abc"), [
+      "https://x.com/a",
+      "http://www.tiktok.com/@user/video/1",
+      "http://discord.gg/abc",
+    ]);
+  });
+
+  it("finds suppressed <https://...> links and markdown [text](url) links", () => {
+    assert.deepEqual(hrefs("<https://X.com/Status/1>"), ["https://x.com/status/1"]);
+    assert.deepEqual(hrefs("[free nitro](https://discord.gift/abc)"), ["https://discord.gift/abc"]);
+    // A link text that looks like a link does not hide where the link really goes
+    assert.deepEqual(hrefs("[x.com](https://evil.example/path)"), ["http://x.com/", "https://evil.example/path"]);
+  });
+
+  it("leaves trailing punctuation and unbalanced parentheses out of the link", () => {
+    assert.deepEqual(hrefs("(see https://x.com/a)."), ["https://x.com/a"]);
+    assert.deepEqual(hrefs("Wiki: https://en.wikipedia.org/wiki/Link_(disambiguation)!"), [
+      "https://en.wikipedia.org/wiki/link_(disambiguation)",
+    ]);
+  });
+
+  it("ignores e-mail addresses and repeated links", () => {
+    assert.deepEqual(hrefs("mail me at user@example.com"), []);
+    assert.deepEqual(hrefs("https://x.com/a https://X.COM/a"), ["https://x.com/a"]);
+  });
+
+  it("punycodes internationalized hosts and keeps their unicode form", () => {
+    const [unicode] = extractUrls("https://bücher.example/straße");
+    assert.equal(unicode.hostname, "xn--bcher-kva.example");
+    assert.equal(unicode.unicodeHostname, "bücher.example");
+    assert.equal(unicode.pathname, "/stra%c3%9fe");
+
+    const [punycode] = extractUrls("xn--bcher-kva.example/x");
+    assert.equal(punycode.hostname, "xn--bcher-kva.example");
+    assert.equal(punycode.unicodeHostname, "bücher.example");
+  });
+
+  it("returns nothing for empty text", () => {
+    assert.deepEqual(extractUrls(""), []);
+    assert.deepEqual(extractUrls(null), []);
+  });
+});
+
+describe("normalizeHostname", () => {
+  it("strips schemes, wildcards, case and trailing dots", () => {
+    assert.equal(normalizeHostname("https://WWW.Example.COM."), "www.example.com");
+    assert.equal(normalizeHostname("*.x.com"), "x.com");
+  });
+
+  it("punycodes unicode hosts", () => {
+    assert.equal(normalizeHostname("bücher.example"), "xn--bcher-kva.example");
+  });
+
+  it("rejects input that is not a host name", () => {
+    assert.equal(normalizeHostname("localhost"), null);
+    assert.equal(normalizeHostname("not a domain"), null);
+  });
+});